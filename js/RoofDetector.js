@@ -9,8 +9,19 @@ class RoofDetector {
     processRoofData(roofData) {
         this.roofData = roofData;
         
+        // Center the shared local coordinate system on this roof
+        if (window.localProjection && this.roofData.center) {
+            window.localProjection.setOrigin(this.roofData.center);
+        }
+        
+        // Projects saved before facet support hold a single roof plane
+        if (!this.roofData.facets || this.roofData.facets.length === 0) {
+            this.roofData.facets = [this.createDefaultFacet(this.roofData)];
+        }
+        
         // Analyze roof characteristics
         this.analyzeRoofCharacteristics();
+        this.analyzeFacets();
         
         // Detect potential keepouts (simplified)
         this.detectKeepouts();
@@ -18,9 +29,188 @@ class RoofDetector {
         // Calculate optimal panel placement zones
         this.calculateOptimalZones();
         
+        this.renderFacetList();
+        this.renderKeepoutList();
+        
         console.log('Roof analysis complete:', this.roofData);
     }
 
+    createDefaultFacet(roofData) {
+        return {
+            id: 'facet_1',
+            name: 'Facet 1',
+            coordinates: roofData.coordinates,
+            area: roofData.area,
+            center: roofData.center,
+            azimuth: roofData.azimuth ?? 180,
+            pitch: roofData.pitch ?? 30
+        };
+    }
+
+    analyzeFacets() {
+        this.roofData.facets.forEach(facet => {
+            facet.shape = this.classifyRoofShape(facet.coordinates);
+            facet.sunExposure = this.calculateSunExposure(facet.azimuth, facet.pitch);
+        });
+    }
+
+    getFacets() {
+        return this.roofData?.facets || [];
+    }
+
+    getFacet(facetId) {
+        return this.getFacets().find(facet => facet.id === facetId) || null;
+    }
+
+    updateFacet(index, key, value) {
+        const facet = this.roofData?.facets?.[index];
+        const parsed = parseFloat(value);
+        if (!facet || isNaN(parsed)) return;
+        
+        // Degrees; an out-of-range entry is held at the nearest limit
+        const limits = { pitch: [0, 90], azimuth: [0, 360] };
+        const [min, max] = limits[key] || [-Infinity, Infinity];
+        facet[key] = Math.min(max, Math.max(min, parsed));
+        
+        // Remember the manual value so redrawing other facets keeps it
+        if (window.mapManager) {
+            window.mapManager.setFacetOverride(index, key, facet[key]);
+        }
+        
+        this.analyzeFacets();
+        
+        if (window.panelPlacer) {
+            window.panelPlacer.setRoofBoundary(this.roofData);
+        }
+    }
+
+    // Split a polygon along an infinite line through a and b.
+    // Returns two halves with azimuths facing away from the line, or null.
+    splitPolygonAtLine(coords, a, b) {
+        const toXY = (point) => window.localProjection.toLocal(point);
+        const pa = toXY(a);
+        const pb = toXY(b);
+        const dir = { x: pb.x - pa.x, y: pb.y - pa.y };
+        const side = (point) => {
+            const p = toXY(point);
+            return dir.x * (p.y - pa.y) - dir.y * (p.x - pa.x);
+        };
+        
+        const left = [];
+        const right = [];
+        let crossings = 0;
+        
+        for (let i = 0; i < coords.length; i++) {
+            const current = coords[i];
+            const next = coords[(i + 1) % coords.length];
+            const sCurrent = side(current);
+            const sNext = side(next);
+            
+            if (sCurrent >= 0) left.push(current);
+            if (sCurrent <= 0) right.push(current);
+            
+            if ((sCurrent > 0 && sNext < 0) || (sCurrent < 0 && sNext > 0)) {
+                const t = sCurrent / (sCurrent - sNext);
+                const crossing = {
+                    lat: current.lat + (next.lat - current.lat) * t,
+                    lng: current.lng + (next.lng - current.lng) * t
+                };
+                left.push(crossing);
+                right.push(crossing);
+                crossings++;
+            }
+        }
+        
+        if (crossings !== 2 || left.length < 3 || right.length < 3) {
+            return null;
+        }
+        
+        // Left-hand normal of the ridge direction, as a compass bearing
+        const leftAzimuth = (Math.atan2(-dir.y, dir.x) * 180 / Math.PI + 360) % 360;
+        
+        return [
+            { coordinates: left, azimuth: leftAzimuth },
+            { coordinates: right, azimuth: (leftAzimuth + 180) % 360 }
+        ];
+    }
+
+    renderFacetList() {
+        const container = document.getElementById('facetList');
+        if (!container) return;
+        
+        const units = window.unitSystem;
+        const area = (sqft) => units ? units.format(sqft, 'area', 0) : `${Math.round(sqft)} sq ft`;
+        
+        container.innerHTML = this.getFacets().map((facet, index) => `
+            <div class="facet-row">
+                <strong>${facet.name}</strong>
+                <span>${area(facet.area)}</span>
+                <label>Pitch°
+                    <input type="number" min="0" max="60" step="1" value="${Math.round(facet.pitch)}"
+                        onchange="updateFacet(${index}, 'pitch', this.value)">
+                </label>
+                <label>Azimuth°
+                    <input type="number" min="0" max="359" step="1" value="${Math.round(facet.azimuth)}"
+                        onchange="updateFacet(${index}, 'azimuth', this.value)">
+                </label>
+                <label>Grid
+                    <select onchange="setGridReference('${facet.id}', this.value)">
+                        <option value="">Along eave</option>
+                        ${facet.coordinates.map((coord, edge) => `<option value="${edge}">Edge ${edge + 1}</option>`).join('')}
+                    </select>
+                </label>
+            </div>
+        `).join('');
+    }
+
+    // Keepout size and height in the project's units; values are stored in feet
+    renderKeepoutList() {
+        const container = typeof document !== 'undefined' && document.getElementById('keepoutList');
+        if (!container) return;
+        
+        const units = window.unitSystem;
+        const label = units ? units.label('length') : 'ft';
+        const input = (index, key, feet) => `
+            <input type="number" min="0" step="${units?.getUnits() === 'metric' ? 0.05 : 0.5}"
+                value="${units ? units.inputValue(feet, 'length') : feet}" style="width: 60px;"
+                onchange="updateKeepout(${index}, '${key}', this.value)">
+        `;
+        
+        container.innerHTML = this.keepouts.map((keepout, index) => `
+            <div class="facet-row">
+                <strong>${keepout.type.charAt(0).toUpperCase() + keepout.type.slice(1)}</strong>
+                <label>Width (${label}) ${input(index, 'width', keepout.size.width)}</label>
+                <label>Length (${label}) ${input(index, 'length', keepout.size.height)}</label>
+                <label>Height (${label}) ${input(index, 'height', keepout.height)}</label>
+                <span>Buffer ${units ? units.format(keepout.buffer, 'length') : `${keepout.buffer} ft`}</span>
+            </div>
+        `).join('');
+    }
+
+    // value in feet; 'length' is the keepout's extent down the roof
+    updateKeepout(index, key, value) {
+        const keepout = this.keepouts[index];
+        const feet = parseFloat(value);
+        if (!keepout || isNaN(feet) || feet < 0) return;
+        
+        if (key === 'width') {
+            keepout.size = { ...keepout.size, width: feet };
+        } else if (key === 'length') {
+            keepout.size = { ...keepout.size, height: feet };
+        } else if (key === 'height') {
+            keepout.height = feet;
+        } else {
+            return;
+        }
+        
+        this.calculateOptimalZones();
+        this.renderKeepoutList();
+        
+        if (window.panelPlacer && this.roofData) {
+            window.panelPlacer.setRoofBoundary(this.roofData);
+        }
+    }
+
     analyzeRoofCharacteristics() {
         if (!this.roofData) return;
         
@@ -33,8 +223,7 @@ class RoofDetector {
         this.roofData.sunExposure = this.calculateSunExposure();
     }
 
-    classifyRoofShape() {
-        const coords = this.roofData.coordinates;
+    classifyRoofShape(coords = this.roofData.coordinates) {
         const vertexCount = coords.length;
         
         if (vertexCount === 4) {
@@ -67,10 +256,15 @@ class RoofDetector {
     }
 
     calculateAngle(p1, p2, p3) {
-        const dx1 = p1.lat - p2.lat;
-        const dy1 = p1.lng - p2.lng;
-        const dx2 = p3.lat - p2.lat;
-        const dy2 = p3.lng - p2.lng;
+        // Measure in local feet so angles aren't skewed by longitude convergence
+        const projection = window.localProjection;
+        const a = projection.toLocal(p1);
+        const b = projection.toLocal(p2);
+        const c = projection.toLocal(p3);
+        const dx1 = a.x - b.x;
+        const dy1 = a.y - b.y;
+        const dx2 = c.x - b.x;
+        const dy2 = c.y - b.y;
         
         const angle1 = Math.atan2(dy1, dx1);
         const angle2 = Math.atan2(dy2, dx2);
@@ -126,10 +320,8 @@ class RoofDetector {
         return (normalizedDeviation / 180) * 0.4;
     }
 
-    calculateSunExposure() {
+    calculateSunExposure(azimuth = this.roofData.azimuth, pitch = this.roofData.pitch) {
         // Simplified sun exposure calculation
-        const azimuth = this.roofData.azimuth;
-        const pitch = this.roofData.pitch;
         
         // South-facing roofs get maximum exposure
         let exposure = 1.0 - Math.abs(azimuth - 180) / 180;
@@ -174,6 +366,7 @@ class RoofDetector {
                     lng: bounds.west + Math.random() * (bounds.east - bounds.west)
                 },
                 size: size,
+                height: this.getKeepoutHeight(type),
                 buffer: this.getKeepoutBuffer(type)
             };
             
@@ -192,6 +385,18 @@ class RoofDetector {
         return sizes[type] || { width: 3, height: 3 };
     }
 
+    getKeepoutHeight(type) {
+        // Height above the roof surface in feet
+        const heights = {
+            chimney: 4,
+            vent: 1,
+            skylight: 0.5,
+            hvac: 3
+        };
+        
+        return heights[type] ?? 1;
+    }
+
     getKeepoutBuffer(type) {
         const buffers = {
             chimney: 3,
@@ -251,16 +456,18 @@ class RoofDetector {
     }
 
     // Method to manually add keepouts
-    addKeepout(type, position, size) {
+    addKeepout(type, position, size, height) {
         const keepout = {
             type: type,
             position: position,
             size: size || this.getKeepoutSize(type),
+            height: height ?? this.getKeepoutHeight(type),
             buffer: this.getKeepoutBuffer(type)
         };
         
         this.keepouts.push(keepout);
         this.calculateOptimalZones(); // Recalculate zones
+        this.renderKeepoutList();
         
         return keepout;
     }
@@ -269,12 +476,14 @@ class RoofDetector {
         if (index >= 0 && index < this.keepouts.length) {
             this.keepouts.splice(index, 1);
             this.calculateOptimalZones(); // Recalculate zones
+            this.renderKeepoutList();
         }
     }
 
     clearKeepouts() {
         this.keepouts = [];
         this.calculateOptimalZones();
+        this.renderKeepoutList();
     }
 
     // Auto-detection method (placeholder for future ML implementation)
@@ -0,0 +1,256 @@
+// js/batteryModel.js
+class BatteryModel {
+    constructor() {
+        this.settings = {
+            enabled: false,
+            capacity: 13.5,            // kWh nameplate
+            power: 5,                  // kW continuous charge/discharge
+            roundTripEfficiency: 90,   // %
+            depthOfDischarge: 100,     // % of capacity that may be used
+            strategy: 'selfConsumption',
+            reservePercent: 20,        // % of capacity held back for outages in backup-reserve mode
+            gridCharging: false,       // TOU arbitrage may top up from the grid in the cheapest hours
+            criticalLoad: 1.0,         // kW kept running during an outage
+            cost: 12000                // installed cost, input currency
+        };
+
+        this.strategies = {
+            selfConsumption: 'Self-consumption',
+            touArbitrage: 'TOU arbitrage',
+            backupReserve: 'Backup reserve'
+        };
+
+        this.maxOutageHours = 72; // Outage simulations stop here
+    }
+
+    setSetting(key, value) {
+        if (!(key in this.settings)) return;
+
+        if (key === 'strategy') {
+            if (!this.strategies[value]) return;
+            this.settings.strategy = value;
+        } else if (typeof this.settings[key] === 'boolean') {
+            this.settings[key] = !!value;
+        } else {
+            const parsed = parseFloat(value);
+            if (isNaN(parsed)) return;
+            this.settings[key] = Math.max(0, parsed);
+        }
+
+        window.projectManager?.markAsModified();
+        window.statsCalculator?.recalculate();
+        this.renderBatteryInputs();
+    }
+
+    isEnabled() {
+        return this.settings.enabled && this.settings.capacity > 0 && this.settings.power > 0;
+    }
+
+    getCost() {
+        return this.isEnabled() ? this.settings.cost : 0;
+    }
+
+    // State-of-charge limits in kWh
+    getLimits(strategy = this.settings.strategy) {
+        const { capacity, depthOfDischarge, reservePercent } = this.settings;
+        const floor = capacity * (1 - Math.min(depthOfDischarge, 100) / 100);
+        const reserve = strategy === 'backupReserve' ? capacity * reservePercent / 100 : 0;
+        return { floor: floor, minimum: Math.max(floor, reserve), maximum: capacity };
+    }
+
+    // Hourly dispatch over the reference year; prices (per kWh, optional) drive TOU arbitrage
+    dispatch(load, production, prices = null) {
+        const { power, roundTripEfficiency, strategy, gridCharging } = this.settings;
+        const limits = this.getLimits();
+
+        // Losses are split evenly between charging and discharging
+        const efficiency = Math.sqrt(Math.min(roundTripEfficiency, 100) / 100);
+        const arbitrage = strategy === 'touArbitrage' && prices;
+
+        let soc = limits.maximum; // Start the year full
+        const series = { soc: [], charge: [], discharge: [], gridImport: [], gridExport: [] };
+        let charged = 0;
+        let discharged = 0;
+        let gridCharged = 0;
+
+        for (let index = 0; index < load.length; index++) {
+            const net = load[index] - (production[index] || 0);
+            let charge = 0;     // kWh into the battery terminals
+            let discharge = 0;  // kWh delivered to the home
+
+            // Stored energy is saved for hours priced above the day's cheapest; those cheapest hours can refill it
+            let peak = true;
+            let offPeak = false;
+            if (arbitrage) {
+                const dayStart = index - (index % 24);
+                const dayPrices = prices.slice(dayStart, dayStart + 24);
+                const lowest = Math.min(...dayPrices);
+                const flat = dayPrices.every(price => price === lowest);
+                peak = flat || prices[index] > lowest;
+                offPeak = !flat && prices[index] === lowest;
+            }
+
+            if (net < 0) {
+                // Surplus solar always goes to the battery first
+                charge = Math.min(-net, power, (limits.maximum - soc) / efficiency);
+            } else if (peak) {
+                discharge = Math.min(net, power, Math.max(0, soc - limits.minimum) * efficiency);
+            } else if (offPeak && gridCharging) {
+                // Only worth buying if the stored kWh displaces peak energy after losses
+                const dayStart = index - (index % 24);
+                const highest = Math.max(...prices.slice(dayStart, dayStart + 24));
+                if (highest * efficiency * efficiency > prices[index]) {
+                    charge = Math.min(power, (limits.maximum - soc) / efficiency);
+                    gridCharged += charge;
+                }
+            }
+
+            soc += charge * efficiency - discharge / efficiency;
+            charged += charge;
+            discharged += discharge;
+
+            const residual = net + charge - discharge;
+            series.soc.push(soc);
+            series.charge.push(charge);
+            series.discharge.push(discharge);
+            series.gridImport.push(Math.max(0, residual));
+            series.gridExport.push(Math.max(0, -residual));
+        }
+
+        const usable = limits.maximum - limits.floor;
+        return {
+            strategy: strategy,
+            strategyName: this.strategies[strategy],
+            usableCapacity: usable,
+            charged: charged,
+            discharged: discharged,
+            throughput: charged + discharged,
+            gridCharged: gridCharged,
+            cycles: usable > 0 ? discharged / efficiency / usable : 0,
+            losses: charged - discharged - (series.soc[series.soc.length - 1] - limits.maximum),
+            series: series
+        };
+    }
+
+    // How long the critical load can run from the battery, alone and with solar recharging
+    summarizeBackup(soc, production) {
+        const { criticalLoad, roundTripEfficiency, power } = this.settings;
+        const limits = this.getLimits();
+        const efficiency = Math.sqrt(Math.min(roundTripEfficiency, 100) / 100);
+        if (criticalLoad <= 0) return null;
+
+        // Stored energy alone, hour by hour
+        const storedHours = soc.map(level => Math.max(0, level - limits.floor) * efficiency / criticalLoad);
+
+        // An outage starting at 6 pm each day, with solar recharging the next mornings
+        const outageHours = [];
+        for (let day = 0; day < 365; day++) {
+            const start = day * 24 + 18;
+            let level = soc[Math.max(0, start - 1)];
+            let hours = 0;
+            while (hours < this.maxOutageHours) {
+                const index = (start + hours) % soc.length;
+                const surplus = (production[index] || 0) - criticalLoad;
+                if (surplus >= 0) {
+                    level = Math.min(limits.maximum, level + Math.min(surplus, power) * efficiency);
+                } else {
+                    const needed = Math.min(-surplus, power) / efficiency;
+                    if (level - limits.floor < needed || -surplus > power) break;
+                    level -= needed;
+                }
+                hours++;
+            }
+            outageHours.push(hours);
+        }
+
+        const average = (values) => values.reduce((total, value) => total + value, 0) / (values.length || 1);
+        return {
+            criticalLoad: criticalLoad,
+            storedHours: {
+                average: average(storedHours),
+                minimum: Math.min(...storedHours),
+                maximum: Math.max(...storedHours)
+            },
+            eveningOutage: {
+                averageHours: average(outageHours),
+                minimumHours: Math.min(...outageHours),
+                daysCoveringFullPeriod: outageHours.filter(hours => hours >= this.maxOutageHours).length,
+                maxHours: this.maxOutageHours
+            }
+        };
+    }
+
+    renderBatteryInputs() {
+        const container = typeof document !== 'undefined' && document.getElementById('batterySettings');
+        if (!container) return;
+
+        const settings = this.settings;
+        const input = (key, label, step) => `
+            <label>${label}
+                <input type="number" min="0" step="${step}" value="${settings[key]}" style="width: 70px;"
+                    onchange="updateBatterySetting('${key}', this.value)">
+            </label>
+        `;
+        const strategyOptions = Object.entries(this.strategies).map(([id, name]) =>
+            `<option value="${id}" ${id === settings.strategy ? 'selected' : ''}>${name}</option>`).join('');
+
+        container.innerHTML = `
+            <div class="facet-row">
+                <label><input type="checkbox" ${settings.enabled ? 'checked' : ''}
+                    onchange="updateBatterySetting('enabled', this.checked)"> Add battery</label>
+                <select onchange="updateBatterySetting('strategy', this.value)">${strategyOptions}</select>
+                <label><input type="checkbox" ${settings.gridCharging ? 'checked' : ''}
+                    onchange="updateBatterySetting('gridCharging', this.checked)"> Grid charging</label>
+            </div>
+            <div class="facet-row">
+                ${input('capacity', 'Capacity (kWh)', 0.5)}
+                ${input('power', 'Power (kW)', 0.5)}
+                ${input('roundTripEfficiency', 'Round trip %', 1)}
+                ${input('depthOfDischarge', 'Depth of discharge %', 1)}
+                ${input('reservePercent', 'Backup reserve %', 5)}
+                ${input('criticalLoad', 'Critical load (kW)', 0.1)}
+                ${input('cost', 'Installed cost', 100)}
+            </div>
+        `;
+    }
+
+    renderBatterySummary(results, formatNumber, formatCurrency) {
+        const container = typeof document !== 'undefined' && document.getElementById('batterySummary');
+        if (!container) return;
+
+        if (!results) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const backup = results.backup;
+        container.innerHTML = `
+            <div class="facet-row">
+                <strong>${results.strategyName}</strong>
+                <span>${formatNumber(results.cycles, 0)} cycles/yr</span>
+                <span>${formatNumber(results.throughput, 0)} kWh throughput</span>
+                <span>Adds ${formatCurrency(results.savings)}/yr savings</span>
+            </div>
+            ${backup ? `
+                <div class="facet-row">
+                    <span>Stored backup at ${formatNumber(backup.criticalLoad, 1)} kW:
+                        ${formatNumber(backup.storedHours.average, 1)} h average, ${formatNumber(backup.storedHours.minimum, 1)} h minimum</span>
+                    <span>Evening outage with solar: ${formatNumber(backup.eveningOutage.averageHours, 0)} h average
+                        (${backup.eveningOutage.daysCoveringFullPeriod} days reach ${backup.eveningOutage.maxHours} h)</span>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    exportSettings() {
+        return { ...this.settings };
+    }
+
+    importSettings(settings) {
+        this.settings = { ...new BatteryModel().settings, ...(settings || {}) };
+        this.renderBatteryInputs();
+    }
+}
+
+// Global instance
+window.batteryModel = new BatteryModel();
@@ -0,0 +1,317 @@
+// js/chartRenderer.js
+//
+// Charts are inline SVG built from the stats calculator's last run, so they need no library and
+// can be rasterized for reports. Bars and points carry <title> tooltips.
+class ChartRenderer {
+    constructor() {
+        this.view = 'monthly'; // 'monthly', 'daily', 'usage' or 'cashflow'
+        this.month = null;     // average-day month (0 = January); null draws all twelve
+
+        this.views = {
+            monthly: 'Monthly production',
+            daily: 'Average day',
+            usage: 'Production vs usage',
+            cashflow: 'Cumulative cash flow'
+        };
+
+        this.width = 720;
+        this.height = 260;
+        this.margin = { top: 20, right: 20, bottom: 40, left: 72 };
+        this.colors = {
+            production: '#667eea',
+            load: '#ed8936',
+            selfConsumed: '#48bb78',
+            cash: '#764ba2',
+            negative: '#e53e3e',
+            grid: '#e2e8f0',
+            text: '#4a5568'
+        };
+
+        this.monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        this.daysInMonth = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+    }
+
+    setView(view) {
+        if (!this.views[view]) return;
+        this.view = view;
+        this.render();
+    }
+
+    setMonth(month) {
+        const parsed = parseInt(month, 10);
+        this.month = isNaN(parsed) || parsed < 0 || parsed > 11 ? null : parsed;
+        this.render();
+    }
+
+    // Mean of an 8760-hour series for each hour of the day in one month
+    getAverageDay(values, month) {
+        const sums = new Array(24).fill(0);
+        const start = this.daysInMonth.slice(0, month).reduce((total, days) => total + days, 0) * 24;
+        const days = this.daysInMonth[month];
+        for (let day = 0; day < days; day++) {
+            for (let hour = 0; hour < 24; hour++) {
+                sums[hour] += values[start + day * 24 + hour] || 0;
+            }
+        }
+        return sums.map(sum => sum / days);
+    }
+
+    getMonthlyTotals(values) {
+        const totals = new Array(12).fill(0);
+        let index = 0;
+        this.daysInMonth.forEach((days, month) => {
+            for (let i = 0; i < days * 24; i++) {
+                totals[month] += values[index++] || 0;
+            }
+        });
+        return totals;
+    }
+
+    format(value, decimals = 0) {
+        const stats = window.statsCalculator;
+        return stats ? stats.formatNumber(value, decimals) : value.toFixed(decimals);
+    }
+
+    // Round the axis maximum up to 1, 2 or 5 × a power of ten
+    niceStep(range, ticks = 5) {
+        if (range <= 0) return 1;
+        const rough = range / ticks;
+        const power = Math.pow(10, Math.floor(Math.log10(rough)));
+        const step = [1, 2, 5, 10].find(multiple => multiple * power >= rough);
+        return step * power;
+    }
+
+    getScale(values, includeZero = true) {
+        let min = Math.min(...values, includeZero ? 0 : Infinity);
+        let max = Math.max(...values, includeZero ? 0 : -Infinity);
+        if (min === max) max = min + 1;
+
+        const step = this.niceStep(max - min);
+        min = Math.floor(min / step) * step;
+        max = Math.ceil(max / step) * step;
+
+        const { top, bottom } = this.margin;
+        const plotHeight = this.height - top - bottom;
+        const ticks = [];
+        for (let value = min; value <= max + step / 2; value += step) ticks.push(value);
+
+        return {
+            min: min,
+            max: max,
+            ticks: ticks,
+            y: (value) => top + plotHeight - (value - min) / (max - min) * plotHeight
+        };
+    }
+
+    escape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    // Frame, gridlines, y ticks and axis title shared by every chart
+    drawAxes(scale, yLabel, formatTick) {
+        const { left, right } = this.margin;
+        const colors = this.colors;
+        const grid = scale.ticks.map(value => `
+            <line x1="${left}" x2="${this.width - right}" y1="${scale.y(value)}" y2="${scale.y(value)}"
+                stroke="${value === 0 ? colors.text : colors.grid}" stroke-width="1"/>
+            <text x="${left - 6}" y="${scale.y(value) + 4}" text-anchor="end" font-size="11" fill="${colors.text}">${this.escape(formatTick(value))}</text>
+        `).join('');
+
+        return `${grid}
+            <text transform="translate(14 ${this.height / 2}) rotate(-90)" text-anchor="middle" font-size="11" fill="${colors.text}">${this.escape(yLabel)}</text>`;
+    }
+
+    drawLegend(series) {
+        let x = this.margin.left;
+        return series.map(entry => {
+            const item = `
+                <rect x="${x}" y="4" width="10" height="10" fill="${entry.color}"/>
+                <text x="${x + 14}" y="13" font-size="11" fill="${this.colors.text}">${this.escape(entry.name)}</text>`;
+            x += 24 + entry.name.length * 6.5;
+            return item;
+        }).join('');
+    }
+
+    svg(content, title) {
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${this.width} ${this.height}" width="${this.width}" height="${this.height}"
+            font-family="sans-serif" role="img" aria-label="${this.escape(title)}">
+            <rect width="${this.width}" height="${this.height}" fill="white"/>
+            ${content}
+        </svg>`;
+    }
+
+    // series: [{ name, color, values }] with one value per label, drawn side by side
+    barChart(labels, series, yLabel, unit) {
+        const scale = this.getScale(series.flatMap(entry => entry.values));
+        const { left, right, bottom } = this.margin;
+        const slot = (this.width - left - right) / labels.length;
+        const barWidth = slot * 0.7 / series.length;
+
+        const bars = labels.map((label, index) => {
+            const x0 = left + index * slot + slot * 0.15;
+            const rects = series.map((entry, seriesIndex) => {
+                const value = entry.values[index] || 0;
+                const y = scale.y(Math.max(0, value));
+                const height = Math.abs(scale.y(value) - scale.y(0));
+                return `<rect x="${x0 + seriesIndex * barWidth}" y="${y}" width="${barWidth - 1}" height="${height}" fill="${entry.color}">
+                    <title>${this.escape(`${label} ${entry.name}: ${this.format(value)} ${unit}`)}</title></rect>`;
+            }).join('');
+            return `${rects}
+                <text x="${left + (index + 0.5) * slot}" y="${this.height - bottom + 16}" text-anchor="middle" font-size="11" fill="${this.colors.text}">${this.escape(label)}</text>`;
+        }).join('');
+
+        return this.drawAxes(scale, yLabel, value => this.format(value))
+            + bars
+            + (series.length > 1 ? this.drawLegend(series) : '');
+    }
+
+    // series: [{ name, color, values, dashed?, width? }]; labels mark the x positions
+    lineChart(labels, series, yLabel, formatValue, labelEvery = 1, formatTick = formatValue) {
+        const scale = this.getScale(series.flatMap(entry => entry.values));
+        const { left, right, bottom } = this.margin;
+        const step = (this.width - left - right) / Math.max(1, labels.length - 1);
+        const x = (index) => left + index * step;
+
+        const lines = series.map(entry => {
+            const points = entry.values.map((value, index) => `${x(index).toFixed(1)},${scale.y(value).toFixed(1)}`).join(' ');
+            return `<polyline points="${points}" fill="none" stroke="${entry.color}" stroke-width="${entry.width || 2}"
+                ${entry.dashed ? 'stroke-dasharray="5 3"' : ''}/>`;
+        }).join('');
+
+        // Invisible columns give each x position one tooltip listing every series
+        const hover = labels.map((label, index) => {
+            const text = [label, ...series.map(entry => `${entry.name}: ${formatValue(entry.values[index] || 0)}`)].join('\n');
+            return `<rect x="${x(index) - step / 2}" y="${this.margin.top}" width="${step}" height="${this.height - this.margin.top - bottom}" fill="transparent">
+                <title>${this.escape(text)}</title></rect>`;
+        }).join('');
+
+        const xLabels = labels.map((label, index) => index % labelEvery === 0
+            ? `<text x="${x(index)}" y="${this.height - bottom + 16}" text-anchor="middle" font-size="11" fill="${this.colors.text}">${this.escape(label)}</text>`
+            : '').join('');
+
+        return this.drawAxes(scale, yLabel, formatTick)
+            + lines + xLabels + hover
+            + (series.length > 1 ? this.drawLegend(series) : '');
+    }
+
+    buildMonthlyChart(stats) {
+        const series = [{ name: 'Production', color: this.colors.production, values: stats.simulation.monthly }];
+        return this.svg(this.barChart(this.monthNames, series, 'kWh per month', 'kWh'), this.views.monthly);
+    }
+
+    // One curve per month, or the chosen month against the household's average day
+    buildDailyChart(stats) {
+        const production = stats.simulation.hourly.map(hour => hour.energy);
+        const hours = Array.from({ length: 24 }, (_, hour) => `${hour}:00`);
+        const format = (value) => `${this.format(value, 2)} kWh`;
+        let series;
+
+        if (this.month === null) {
+            // Winter months cool, summer months warm
+            series = this.monthNames.map((name, month) => {
+                const warmth = (1 - Math.cos((month + 0.5) / 12 * 2 * Math.PI)) / 2;
+                return {
+                    name: name,
+                    color: `hsl(${Math.round(230 - warmth * 200)}, 65%, 55%)`,
+                    values: this.getAverageDay(production, month),
+                    width: 1.5
+                };
+            });
+        } else {
+            series = [{ name: `${this.monthNames[this.month]} production`, color: this.colors.production, values: this.getAverageDay(production, this.month) }];
+            const load = stats.energyBalance?.hourly.load;
+            if (load) {
+                series.push({ name: 'Usage', color: this.colors.load, values: this.getAverageDay(load, this.month), dashed: true });
+            }
+        }
+
+        const tick = (value) => this.format(value, value % 1 === 0 ? 0 : 1);
+        return this.svg(this.lineChart(hours, series, 'kWh per hour', format, 3, tick), this.views.daily);
+    }
+
+    buildUsageChart(stats) {
+        const hourly = stats.energyBalance?.hourly;
+        if (!hourly) return null;
+
+        const series = [
+            { name: 'Production', color: this.colors.production, values: stats.simulation.monthly },
+            { name: 'Usage', color: this.colors.load, values: this.getMonthlyTotals(hourly.load) },
+            { name: 'Used on site', color: this.colors.selfConsumed, values: this.getMonthlyTotals(hourly.selfConsumed) }
+        ];
+        return this.svg(this.barChart(this.monthNames, series, 'kWh per month', 'kWh'), this.views.usage);
+    }
+
+    // Amounts are converted first so the axis steps are round in the display currency
+    buildCashFlowChart(stats) {
+        const projection = stats.projection;
+        if (!projection?.length) return null;
+
+        const locale = window.localeManager;
+        const currency = locale?.getDisplayCurrency();
+        const symbol = locale ? locale.getCurrencySymbol(currency) : '$';
+        const convert = (amount) => (locale ? locale.convert(amount, locale.settings.inputCurrency, currency) : amount);
+        const values = projection.map(row => convert(row.cumulativeCashFlow));
+        const format = (value) => `${value < 0 ? '−' : ''}${symbol}${this.format(Math.abs(value))}`;
+
+        const series = [
+            { name: 'Cumulative cash flow', color: this.colors.cash, values: values, width: 2.5 }
+        ];
+        const content = this.lineChart(projection.map(row => `${row.year}`), series, `Cumulative (${currency || symbol})`, format, 5);
+
+        const payback = stats.calculatePaybackPeriod();
+        const note = payback
+            ? `Pays back in year ${payback}`
+            : 'Does not pay back within the projection';
+        return this.svg(`${content}
+            <text x="${this.width - this.margin.right}" y="13" text-anchor="end" font-size="11" fill="${payback ? this.colors.text : this.colors.negative}">${this.escape(note)}</text>`,
+            this.views.cashflow);
+    }
+
+    // SVG markup for a view, or null when its data isn't available; also used by exports
+    buildChart(view = this.view, stats = window.statsCalculator) {
+        if (!stats?.simulation) return null;
+
+        switch (view) {
+            case 'monthly': return this.buildMonthlyChart(stats);
+            case 'daily': return this.buildDailyChart(stats);
+            case 'usage': return this.buildUsageChart(stats);
+            case 'cashflow': return this.buildCashFlowChart(stats);
+            default: return null;
+        }
+    }
+
+    render(stats = window.statsCalculator) {
+        const container = typeof document !== 'undefined' && document.getElementById('chartArea');
+        if (!container) return;
+
+        const tabs = Object.entries(this.views).map(([id, name]) =>
+            `<button class="${id === this.view ? '' : 'btn-secondary'}" onclick="setChartView('${id}')">${name}</button>`).join('');
+        const monthOptions = [['', 'All months'], ...this.monthNames.map((name, month) => [month, name])].map(([value, name]) =>
+            `<option value="${value}" ${value === (this.month ?? '') ? 'selected' : ''}>${name}</option>`).join('');
+
+        const chart = this.buildChart(this.view, stats);
+        const empty = !stats?.simulation
+            ? 'Place panels to chart their production.'
+            : 'Add usage data to compare it with production.';
+
+        container.innerHTML = `
+            <div class="facet-row">
+                ${tabs}
+                ${this.view === 'daily' ? `<select onchange="setChartMonth(this.value)">${monthOptions}</select>` : ''}
+            </div>
+            <div class="chart-canvas">${chart || `<p>${empty}</p>`}</div>
+            ${stats?.simulation ? this.renderSeasonalSummary(stats.calculateSeasonalProduction()) : ''}
+        `;
+    }
+
+    renderSeasonalSummary(seasonal) {
+        const items = Object.entries(seasonal).map(([season, data]) => `
+            <span><strong>${season.charAt(0).toUpperCase() + season.slice(1)}</strong>
+                ${this.format(data.total)} kWh (${this.format(data.dailyAverage, 1)} kWh/day${data.snowLoss > 0 ? `, ${this.format(data.snowLossPercent, 1)}% lost to snow` : ''})</span>
+        `).join('');
+        return `<div class="facet-row">${items}</div>`;
+    }
+}
+
+// Global instance
+window.chartRenderer = new ChartRenderer();
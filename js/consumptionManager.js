@@ -0,0 +1,508 @@
+// js/consumptionManager.js
+class ConsumptionManager {
+    constructor() {
+        this.dataset = null;
+        this.hoursPerYear = 8760;
+        this.daysInMonth = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+        this.targetOffset = 100; // % of annual usage the suggested system should cover
+
+        // Typical Alberta household; used until usage is imported
+        this.referenceAnnualLoad = 7200; // kWh
+        this.referenceMonthlyShape = [1.15, 1.05, 1.0, 0.92, 0.88, 0.9, 0.98, 0.97, 0.88, 0.95, 1.07, 1.2];
+        this.referenceDailyShape = [
+            0.6, 0.5, 0.45, 0.45, 0.45, 0.55, 0.8, 1.0, 0.95, 0.85, 0.8, 0.8,
+            0.8, 0.8, 0.85, 0.95, 1.15, 1.4, 1.55, 1.5, 1.35, 1.15, 0.95, 0.75
+        ];
+        this.referenceLoadCache = { annualKwh: null, hourly: null };
+    }
+
+    importConsumptionFile(file) {
+        const reader = new FileReader();
+
+        reader.onload = (event) => {
+            try {
+                const dataset = this.parseConsumptionFile(event.target.result, file.name);
+                this.setDataset(dataset);
+
+                window.projectManager?.markAsModified();
+                this.notify(`Usage loaded: ${this.formatKwh(this.getAnnualLoad())} kWh/yr (${dataset.source})`, 'success');
+            } catch (error) {
+                console.error('Failed to import usage file:', error);
+                this.notify(`Failed to import usage file: ${error.message}`, 'error');
+            }
+        };
+
+        reader.readAsText(file);
+    }
+
+    parseConsumptionFile(text, fileName = '') {
+        if (/<\s*([\w-]+:)?IntervalReading[\s>]/.test(text)) {
+            return this.parseGreenButton(text, fileName);
+        }
+
+        return this.parseIntervalCSV(text, fileName);
+    }
+
+    // Green Button ESPI: IntervalReading values are in the ReadingType's unit times 10^powerOfTenMultiplier
+    parseGreenButton(text, fileName) {
+        const tag = (name, source) => {
+            const match = source.match(new RegExp(`<\\s*(?:[\\w-]+:)?${name}[^>]*>([^<]*)<`));
+            return match ? match[1].trim() : null;
+        };
+
+        // Energy readings are in Wh (uom 72)
+        const multiplier = Math.pow(10, parseInt(tag('powerOfTenMultiplier', text) || '0', 10));
+        const toKwh = multiplier / 1000;
+
+        // Readings are stamped in UTC; LocalTimeParameters gives the standard-time offset
+        const tzOffset = tag('tzOffset', text);
+        const offsetSeconds = tzOffset !== null ? parseInt(tzOffset, 10) : this.getSiteUtcOffset() * 3600;
+
+        const readings = [];
+        const readingPattern = /<\s*(?:[\w-]+:)?IntervalReading[\s>]([\s\S]*?)<\/\s*(?:[\w-]+:)?IntervalReading\s*>/g;
+        let match;
+        while ((match = readingPattern.exec(text)) !== null) {
+            const start = parseInt(tag('start', match[1]), 10);
+            const duration = parseInt(tag('duration', match[1]), 10);
+            const value = parseFloat(tag('value', match[1]));
+            if (isNaN(start) || isNaN(value)) continue;
+
+            const local = new Date((start + offsetSeconds) * 1000);
+            readings.push({
+                month: local.getUTCMonth() + 1,
+                day: local.getUTCDate(),
+                hour: local.getUTCHours(),
+                minutes: isNaN(duration) ? 60 : duration / 60,
+                kwh: value * toKwh
+            });
+        }
+
+        if (readings.length === 0) {
+            throw new Error('No interval readings found in Green Button file');
+        }
+
+        return this.buildDataset(readings, 'Green Button', fileName);
+    }
+
+    // Interval CSV with a timestamp (or date + time) column and an energy column, 15-minute or hourly
+    parseIntervalCSV(text, fileName) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+        const split = (line) => line.split(',').map(field => field.trim().replace(/^"|"$/g, ''));
+
+        // Utilities often put account details above the header row
+        const headerIndex = lines.findIndex(line => /date|time|start/i.test(line) && /kwh|wh|usage|consumption|energy|value|kw/i.test(line));
+        if (headerIndex < 0) {
+            throw new Error('No header with a timestamp and usage column found');
+        }
+
+        const columns = split(lines[headerIndex]).map(column => column.toLowerCase());
+        const find = (pattern) => columns.findIndex(column => pattern.test(column));
+
+        // Either separate date and time columns or a single timestamp column
+        const separateDate = columns.findIndex(column => /date/.test(column) && !/time/.test(column));
+        const separateTime = columns.findIndex(column => /time/.test(column) && !/date|stamp/.test(column));
+        const hasSeparate = separateDate >= 0 && separateTime >= 0;
+        const dateCol = hasSeparate ? separateDate : find(/timestamp|date|interval.?start|^start/);
+        const timeCol = hasSeparate ? separateTime : -1;
+        let valueCol = find(/kwh|usage|consumption|energy/);
+        if (valueCol < 0) valueCol = find(/value|wh|kw/);
+        if (dateCol < 0 || valueCol < 0) {
+            throw new Error('Usage CSV needs a date/timestamp column and a kWh column');
+        }
+
+        // Whole-Wh columns are scaled down; kW demand readings are converted with the interval length
+        const valueHeader = columns[valueCol];
+        const isWh = /(^|[^k])wh/.test(valueHeader);
+        const isKw = /kw(?!h)/.test(valueHeader);
+
+        const parsed = lines.slice(headerIndex + 1)
+            .map(split)
+            .map(fields => {
+                const stamp = timeCol >= 0 ? `${fields[dateCol]} ${fields[timeCol]}` : fields[dateCol];
+                return { time: this.parseTimestamp(stamp), value: parseFloat(fields[valueCol]) };
+            })
+            .filter(row => row.time && !isNaN(row.value));
+
+        if (parsed.length === 0) {
+            throw new Error('No usage readings found in CSV file');
+        }
+
+        // Interval length from the most common gap between readings
+        const gaps = {};
+        for (let i = 1; i < Math.min(parsed.length, 200); i++) {
+            const gap = Math.round((parsed[i].time.wallTime - parsed[i - 1].time.wallTime) / 60000);
+            if (gap > 0) gaps[gap] = (gaps[gap] || 0) + 1;
+        }
+        const minutes = parseInt(Object.keys(gaps).sort((a, b) => gaps[b] - gaps[a])[0] || '60', 10);
+
+        const times = this.toStandardTime(parsed.map(row => row.time), minutes);
+        const readings = parsed.map((row, index) => ({
+            month: times[index].month,
+            day: times[index].day,
+            hour: times[index].hour,
+            minutes: minutes,
+            kwh: isWh ? row.value / 1000 : (isKw ? row.value * minutes / 60 : row.value)
+        }));
+
+        return this.buildDataset(readings, `${minutes}-minute CSV`, fileName);
+    }
+
+    // Wall-clock timestamps: YYYY-MM-DD[ T]HH:MM[:SS][Z|±HH:MM] or MM/DD/YYYY HH:MM [AM|PM]
+    parseTimestamp(value) {
+        if (!value) return null;
+
+        let match = value.match(/(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s]+(\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?/);
+        let year;
+        let month;
+        let day;
+        let hour = 0;
+        let minute = 0;
+        let utcOffset = null; // minutes, when the stamp carries one
+        if (match) {
+            year = parseInt(match[1], 10);
+            month = parseInt(match[2], 10);
+            day = parseInt(match[3], 10);
+            hour = parseInt(match[4] || '0', 10);
+            minute = parseInt(match[5] || '0', 10);
+            if (match[6]) {
+                const zone = match[6].replace(':', '');
+                utcOffset = zone === 'Z' ? 0
+                    : (zone[0] === '-' ? -1 : 1) * (parseInt(zone.slice(1, 3), 10) * 60 + parseInt(zone.slice(3), 10));
+            }
+        } else {
+            match = value.match(/(\d{1,2})\/(\d{1,2})\/(\d{2,4})(?:\s+(\d{1,2}):(\d{2})(?::\d{2})?\s*(am|pm)?)?/i);
+            if (!match) return null;
+            year = parseInt(match[3], 10);
+            if (year < 100) year += 2000;
+            month = parseInt(match[1], 10);
+            day = parseInt(match[2], 10);
+            hour = parseInt(match[4] || '0', 10);
+            minute = parseInt(match[5] || '0', 10);
+            const meridiem = match[6]?.toLowerCase();
+            if (meridiem === 'pm' && hour < 12) hour += 12;
+            if (meridiem === 'am' && hour === 12) hour = 0;
+        }
+
+        if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+        return { month, day, hour: hour % 24, wallTime: Date.UTC(year, month - 1, day, hour, minute), utcOffset };
+    }
+
+    // Meter clocks that follow daylight saving skip an hour in spring and repeat one in fall.
+    // Both clock changes show up as a one-hour jump in an otherwise regular series; readings
+    // between them are moved back an hour so every reading is on the site's standard time
+    toStandardTime(times, minutes) {
+        const hourMs = 3600000;
+        const stepMs = minutes * 60000;
+        const toCalendar = (ms) => {
+            const date = new Date(ms);
+            return { month: date.getUTCMonth() + 1, day: date.getUTCDate(), hour: date.getUTCHours() };
+        };
+
+        // Stamps with an explicit offset convert directly
+        if (times.some(time => time.utcOffset !== null)) {
+            const siteOffset = this.getSiteUtcOffset() * hourMs;
+            return times.map(time => toCalendar(time.wallTime - (time.utcOffset ?? 0) * 60000 + siteOffset));
+        }
+
+        const changes = {};
+        for (let i = 1; i < times.length; i++) {
+            const delta = times[i].wallTime - times[i - 1].wallTime;
+            if (times[i].hour > 4) continue; // Clocks change in the small hours
+            if (delta === stepMs + hourMs) changes[i] = true;       // Spring forward
+            else if (delta === stepMs - hourMs) changes[i] = false; // Fall back
+        }
+
+        const indices = Object.keys(changes);
+        if (indices.length === 0) return times.map(time => toCalendar(time.wallTime));
+
+        // Before the first change the clock was in the other state
+        let daylight = !changes[indices[0]];
+        return times.map((time, index) => {
+            if (index in changes) daylight = changes[index];
+            return toCalendar(time.wallTime - (daylight ? hourMs : 0));
+        });
+    }
+
+    // Readings land on hours of the non-leap reference year; several years of data are averaged
+    buildDataset(readings, source, fileName) {
+        const totals = new Array(this.hoursPerYear).fill(0);
+        const minutesCovered = new Array(this.hoursPerYear).fill(0);
+
+        readings.forEach(reading => {
+            // Typical years are non-leap; drop Feb 29
+            if (reading.month === 2 && reading.day === 29) return;
+
+            const index = this.getHourIndex(reading.month - 1, reading.day, reading.hour);
+            if (index < 0) return;
+            totals[index] += reading.kwh;
+            minutesCovered[index] += reading.minutes;
+        });
+
+        // Scale partially covered hours up to a full hour, averaging across repeated years
+        const hourly = totals.map((total, index) => (minutesCovered[index] > 0 ? total * 60 / minutesCovered[index] : null));
+        const measured = hourly.filter(value => value !== null).length;
+        if (measured === 0) {
+            throw new Error('Usage readings do not cover any hour of the year');
+        }
+
+        return {
+            name: fileName || source,
+            source: source,
+            fileName: fileName,
+            importedAt: new Date().toISOString(),
+            coverage: measured / this.hoursPerYear,
+            hourly: this.fillGaps(hourly)
+        };
+    }
+
+    // Missing hours take the average of the same hour in the same month, or the reference shape scaled to the data
+    fillGaps(hourly) {
+        const reference = this.getReferenceLoad();
+        const sums = this.daysInMonth.map(() => new Array(24).fill(0));
+        const counts = this.daysInMonth.map(() => new Array(24).fill(0));
+        let measuredTotal = 0;
+        let referenceTotal = 0;
+
+        hourly.forEach((value, index) => {
+            if (value === null) return;
+            const { month, hour } = this.getHourInfo(index);
+            sums[month][hour] += value;
+            counts[month][hour]++;
+            measuredTotal += value;
+            referenceTotal += reference[index];
+        });
+        const scale = referenceTotal > 0 ? measuredTotal / referenceTotal : 1;
+
+        return hourly.map((value, index) => {
+            if (value !== null) return value;
+            const { month, hour } = this.getHourInfo(index);
+            return counts[month][hour] > 0 ? sums[month][hour] / counts[month][hour] : reference[index] * scale;
+        });
+    }
+
+    // Twelve monthly bill totals (kWh) spread over the reference daily shape
+    buildFromMonthlyTotals(monthlyKwh) {
+        const totals = monthlyKwh.map(value => Math.max(0, parseFloat(value) || 0));
+        if (totals.length !== 12 || totals.every(value => value === 0)) {
+            throw new Error('Enter usage for all 12 months');
+        }
+
+        const dayShapeTotal = this.referenceDailyShape.reduce((total, value) => total + value, 0);
+        const hourly = [];
+        this.daysInMonth.forEach((days, month) => {
+            const dailyKwh = totals[month] / days;
+            for (let day = 0; day < days; day++) {
+                this.referenceDailyShape.forEach(value => hourly.push(dailyKwh * value / dayShapeTotal));
+            }
+        });
+
+        return {
+            name: 'Monthly bills',
+            source: 'Monthly bills',
+            fileName: '',
+            importedAt: new Date().toISOString(),
+            coverage: 0,
+            monthlyTotals: totals,
+            hourly: hourly
+        };
+    }
+
+    setMonthlyTotals(monthlyKwh) {
+        try {
+            this.setDataset(this.buildFromMonthlyTotals(monthlyKwh));
+            window.projectManager?.markAsModified();
+            this.notify(`Usage set from monthly bills: ${this.formatKwh(this.getAnnualLoad())} kWh/yr`, 'success');
+        } catch (error) {
+            this.notify(error.message, 'error');
+        }
+    }
+
+    // Hourly household load in kWh for the reference year; built once, since billing, battery
+    // and export all ask for it on every recalculation
+    getReferenceLoad(annualKwh = this.referenceAnnualLoad) {
+        if (this.referenceLoadCache.annualKwh === annualKwh) {
+            return this.referenceLoadCache.hourly;
+        }
+
+        const monthWeight = this.referenceMonthlyShape.map((shape, month) => shape * this.daysInMonth[month]);
+        const totalWeight = monthWeight.reduce((total, weight) => total + weight, 0);
+        const hourly = this.buildFromMonthlyTotals(monthWeight.map(weight => annualKwh * weight / totalWeight)).hourly;
+        this.referenceLoadCache = { annualKwh, hourly };
+        return hourly;
+    }
+
+    getHourIndex(month, day, hour) {
+        if (month < 0 || month > 11 || day < 1 || day > this.daysInMonth[month]) return -1;
+        const dayOfYear = this.daysInMonth.slice(0, month).reduce((total, days) => total + days, 0) + day - 1;
+        return dayOfYear * 24 + hour;
+    }
+
+    getHourInfo(index) {
+        let dayOfYear = Math.floor(index / 24);
+        let month = 0;
+        while (dayOfYear >= this.daysInMonth[month]) {
+            dayOfYear -= this.daysInMonth[month];
+            month++;
+        }
+        return { month: month, day: dayOfYear + 1, hour: index % 24 };
+    }
+
+    getSiteUtcOffset() {
+        return window.solarEngine.getUtcOffset();
+    }
+
+    setDataset(dataset) {
+        this.dataset = dataset;
+
+        if (window.statsCalculator) {
+            window.statsCalculator.recalculate();
+        }
+        this.renderUsageInputs();
+    }
+
+    clearDataset() {
+        this.setDataset(null);
+    }
+
+    getDataset() {
+        return this.dataset;
+    }
+
+    // Imported usage, or the reference household until there is some
+    getHourlyLoad() {
+        return this.dataset ? this.dataset.hourly : this.getReferenceLoad();
+    }
+
+    getAnnualLoad() {
+        return this.getHourlyLoad().reduce((total, value) => total + value, 0);
+    }
+
+    getMonthlyLoad() {
+        const monthly = new Array(12).fill(0);
+        this.getHourlyLoad().forEach((value, index) => {
+            monthly[this.getHourInfo(index).month] += value;
+        });
+        return monthly;
+    }
+
+    setTargetOffset(percent) {
+        const value = parseFloat(percent);
+        if (isNaN(value) || value <= 0) return;
+
+        this.targetOffset = value;
+        window.projectManager?.markAsModified();
+        window.statsCalculator?.recalculate();
+        this.renderUsageInputs();
+    }
+
+    // Hour-by-hour energy balance between usage and AC production
+    analyze(production) {
+        const load = this.getHourlyLoad();
+        const hourly = {
+            load: load,
+            production: production,
+            selfConsumed: [],
+            gridImport: [],
+            gridExport: []
+        };
+
+        let selfConsumed = 0;
+        let gridImport = 0;
+        let gridExport = 0;
+        load.forEach((hourLoad, index) => {
+            const hourProduction = production[index] || 0;
+            const used = Math.min(hourLoad, hourProduction);
+            hourly.selfConsumed.push(used);
+            hourly.gridImport.push(hourLoad - used);
+            hourly.gridExport.push(hourProduction - used);
+            selfConsumed += used;
+            gridImport += hourLoad - used;
+            gridExport += hourProduction - used;
+        });
+
+        const annualLoad = load.reduce((total, value) => total + value, 0);
+        const annualProduction = production.reduce((total, value) => total + value, 0);
+
+        return {
+            source: this.dataset ? this.dataset.source : 'Reference household',
+            annualLoad: annualLoad,
+            annualProduction: annualProduction,
+            offsetPercent: annualLoad > 0 ? annualProduction / annualLoad * 100 : 0,
+            selfConsumption: selfConsumed,
+            selfConsumptionPercent: annualProduction > 0 ? selfConsumed / annualProduction * 100 : 0,
+            selfSufficiencyPercent: annualLoad > 0 ? selfConsumed / annualLoad * 100 : 0,
+            gridImport: gridImport,
+            gridExport: gridExport,
+            hourly: hourly
+        };
+    }
+
+    // System size that produces the target share of annual usage; yieldPerKw in kWh per kW per year
+    suggestSystemSize(yieldPerKw, panelPower) {
+        if (!yieldPerKw || !panelPower) return null;
+
+        const targetKwh = this.getAnnualLoad() * this.targetOffset / 100;
+        const panelCount = Math.ceil(targetKwh / yieldPerKw * 1000 / panelPower);
+        return {
+            targetOffset: this.targetOffset,
+            targetKwh: targetKwh,
+            yieldPerKw: yieldPerKw,
+            panelCount: panelCount,
+            sizeKw: panelCount * panelPower / 1000
+        };
+    }
+
+    renderUsageInputs() {
+        const container = typeof document !== 'undefined' && document.getElementById('usageSettings');
+        if (!container) return;
+
+        const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        const monthly = this.getMonthlyLoad();
+        const monthInputs = monthNames.map((name, month) => `
+            <label>${name}
+                <input type="number" min="0" step="1" class="usage-month" value="${Math.round(monthly[month])}" style="width: 70px;">
+            </label>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="facet-row">
+                <span>Usage: ${this.dataset ? this.dataset.source : 'Reference household'}
+                    (${Math.round(this.getAnnualLoad())} kWh/yr${this.dataset?.coverage ? `, ${Math.round(this.dataset.coverage * 100)}% of hours measured` : ''})</span>
+                <label>Target offset %
+                    <input type="number" min="1" step="5" value="${this.targetOffset}" style="width: 70px;"
+                        onchange="setTargetOffset(this.value)">
+                </label>
+            </div>
+            <div class="facet-row">${monthInputs}
+                <button onclick="useMonthlyUsage()">Use Monthly Bills</button>
+            </div>
+        `;
+    }
+
+    exportData() {
+        return {
+            dataset: this.dataset,
+            targetOffset: this.targetOffset
+        };
+    }
+
+    importData(data) {
+        this.dataset = data?.dataset || null;
+        this.targetOffset = data?.targetOffset || 100;
+        this.renderUsageInputs();
+    }
+
+    formatKwh(value) {
+        return window.localeManager ? window.localeManager.formatNumber(value, 0) : Math.round(value).toString();
+    }
+
+    notify(message, type) {
+        if (window.solarApp) {
+            window.solarApp.showNotification(message, type);
+        }
+    }
+}
+
+// Global instance
+window.consumptionManager = new ConsumptionManager();
@@ -0,0 +1,227 @@
+// js/costModel.js
+class CostModel {
+    constructor() {
+        // Prices in the input currency; overhead, margin, tax and percent rebates are in percent, matching how they are entered
+        this.settings = {
+            modulePrice: 240,          // per module
+            inverterPrice: 2200,       // per string inverter
+            microinverterPrice: 230,   // per panel
+            optimizerPrice: 75,        // per panel, on top of the string inverter
+            rackingPerPanel: 120,
+            labourPerKw: 800,          // installed DC kW
+            permits: 1200,             // permits, interconnection and design per system
+            electricalUpgrades: 1500,  // service panel, disconnects and metering
+            overheadPercent: 15,       // on equipment, labour and fees
+            marginPercent: 20,         // on cost plus overhead
+            taxPercent: 5,             // GST on the subtotal
+            rebate: { fixed: 0, perWatt: 0, percent: 0, maximum: 0 } // maximum 0 means no cap
+        };
+    }
+
+    setSetting(path, value) {
+        const parsed = parseFloat(value);
+        if (isNaN(parsed)) return;
+
+        const keys = path.split('.');
+        const target = keys.slice(0, -1).reduce((object, key) => object?.[key], this.settings);
+        const key = keys[keys.length - 1];
+        if (!target || !(key in target)) return;
+
+        target[key] = Math.max(0, parsed);
+        window.projectManager?.markAsModified();
+        window.statsCalculator?.recalculate();
+    }
+
+    // Quantities from the current PanelPlacer layout and string design
+    getLayout() {
+        const panels = window.panelPlacer?.getPanels() || [];
+        const design = window.electricalDesigner?.getDesign();
+        return {
+            panelCount: panels.length,
+            power: panels.reduce((total, panel) => total + (panel.power || 0), 0),
+            architecture: window.statsCalculator?.architecture || 'string',
+            inverterCount: design ? design.inverterCount : null
+        };
+    }
+
+    // String inverters needed when there is no string design to count them from
+    estimateInverterCount(power) {
+        if (power <= 0) return 0;
+
+        const inverter = window.electricalDesigner?.getSelectedInverter();
+        const ratio = window.lossModel?.defaultDcAcRatio || 1.2;
+        const acPower = inverter?.acPower || 5000;
+        return Math.max(1, Math.ceil(power / ratio / acPower));
+    }
+
+    // layout: { panelCount, power (W), architecture, inverterCount (null to estimate) }
+    buildQuote(layout = this.getLayout(), options = {}) {
+        const settings = this.settings;
+        const { panelCount, power } = layout;
+        const includeBattery = options.includeBattery !== false;
+        const sizeKw = power / 1000;
+
+        const line = (category, description, quantity, unit, unitPrice) => ({
+            category: category,
+            description: description,
+            quantity: quantity,
+            unit: unit,
+            unitPrice: unitPrice,
+            amount: quantity * unitPrice
+        });
+
+        const module = window.moduleCatalog?.getSelectedModule();
+        const inverter = window.electricalDesigner?.getSelectedInverter();
+        const inverterName = inverter ? `${inverter.manufacturer} ${inverter.model}` : 'String inverter';
+        const inverterCount = panelCount > 0 ? (layout.inverterCount ?? this.estimateInverterCount(power)) : 0;
+
+        const lines = [
+            line('equipment', module ? `${module.manufacturer} ${module.model}` : 'Solar modules', panelCount, 'module', settings.modulePrice)
+        ];
+
+        // Power electronics follow the system architecture
+        if (layout.architecture === 'microinverter') {
+            lines.push(line('equipment', 'Microinverters', panelCount, 'panel', settings.microinverterPrice));
+        } else {
+            if (layout.architecture === 'optimizer') {
+                lines.push(line('equipment', 'DC optimizers', panelCount, 'panel', settings.optimizerPrice));
+            }
+            lines.push(line('equipment', inverterName, inverterCount, 'inverter', settings.inverterPrice));
+        }
+
+        lines.push(line('equipment', 'Racking and attachments', panelCount, 'panel', settings.rackingPerPanel));
+        lines.push(line('labour', 'Installation labour', sizeKw, 'kW', settings.labourPerKw));
+
+        const hasSystem = panelCount > 0 ? 1 : 0;
+        lines.push(line('fees', 'Permits, interconnection and design', hasSystem, 'system', settings.permits));
+        lines.push(line('fees', 'Electrical upgrades', hasSystem, 'system', settings.electricalUpgrades));
+
+        const directCost = lines.reduce((total, entry) => total + entry.amount, 0);
+        const overhead = directCost * settings.overheadPercent / 100;
+        const margin = (directCost + overhead) * settings.marginPercent / 100;
+
+        // The battery price is already an installed price, so it is not marked up again
+        const batteryCost = includeBattery ? window.batteryModel?.getCost() || 0 : 0;
+        if (batteryCost > 0) {
+            const battery = window.batteryModel.settings;
+            lines.push(line('storage', `Battery storage (${battery.capacity} kWh)`, 1, 'system', batteryCost));
+        }
+
+        const subtotal = directCost + overhead + margin + batteryCost;
+        const tax = subtotal * settings.taxPercent / 100;
+
+        const rebate = settings.rebate;
+        let rebates = rebate.fixed + rebate.perWatt * power + subtotal * rebate.percent / 100;
+        if (rebate.maximum > 0) rebates = Math.min(rebates, rebate.maximum);
+        rebates = Math.min(rebates, subtotal + tax);
+
+        const total = subtotal + tax - rebates;
+        return {
+            lines: lines,
+            directCost: directCost,
+            overhead: overhead,
+            margin: margin,
+            subtotal: subtotal,
+            tax: tax,
+            rebates: rebates,
+            total: total,
+            costPerWatt: power > 0 ? (total - batteryCost * (1 + settings.taxPercent / 100)) / power : 0
+        };
+    }
+
+    // Quote total for a panel count and power, used while comparing layouts
+    estimateCost(power, panelCount) {
+        const architecture = window.statsCalculator?.architecture || 'string';
+        return this.buildQuote({ panelCount, power, architecture, inverterCount: null }, { includeBattery: false }).total;
+    }
+
+    renderCostInputs() {
+        const container = typeof document !== 'undefined' && document.getElementById('costSettings');
+        if (!container) return;
+
+        const symbol = window.localeManager?.getCurrencySymbol() || '$';
+        const input = (path, label, step) => {
+            const value = path.split('.').reduce((object, key) => object[key], this.settings);
+            return `
+                <label>${label}
+                    <input type="number" min="0" step="${step}" value="${value}" style="width: 70px;"
+                        onchange="updateCostSetting('${path}', this.value)">
+                </label>
+            `;
+        };
+
+        container.innerHTML = `
+            <div class="facet-row"><strong>Equipment</strong>
+                ${input('modulePrice', `${symbol}/module`, 5)}
+                ${input('inverterPrice', `${symbol}/inverter`, 50)}
+                ${input('microinverterPrice', `${symbol}/micro`, 5)}
+                ${input('optimizerPrice', `${symbol}/optimizer`, 5)}
+                ${input('rackingPerPanel', `Racking ${symbol}/panel`, 5)}
+            </div>
+            <div class="facet-row"><strong>Install</strong>
+                ${input('labourPerKw', `Labour ${symbol}/kW`, 10)}
+                ${input('permits', `Permits ${symbol}`, 50)}
+                ${input('electricalUpgrades', `Electrical ${symbol}`, 50)}
+                ${input('overheadPercent', 'Overhead %', 1)}
+                ${input('marginPercent', 'Margin %', 1)}
+            </div>
+            <div class="facet-row"><strong>Tax & rebates</strong>
+                ${input('taxPercent', 'Tax %', 0.5)}
+                ${input('rebate.fixed', `Rebate ${symbol}`, 50)}
+                ${input('rebate.perWatt', `Rebate ${symbol}/W`, 0.05)}
+                ${input('rebate.percent', 'Rebate %', 1)}
+                ${input('rebate.maximum', `Rebate cap ${symbol}`, 100)}
+            </div>
+        `;
+    }
+
+    renderQuote(quote, formatNumber, formatCurrency) {
+        const container = typeof document !== 'undefined' && document.getElementById('costQuote');
+        if (!container) return;
+
+        if (!quote || quote.subtotal === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const rows = quote.lines.filter(entry => entry.quantity > 0).map(entry => `
+            <tr>
+                <td>${entry.description}</td>
+                <td>${formatNumber(entry.quantity, entry.unit === 'kW' ? 2 : 0)} ${entry.unit}</td>
+                <td>${formatCurrency(entry.unitPrice)}</td>
+                <td>${formatCurrency(entry.amount)}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <table>
+                <tr><th>Item</th><th>Qty</th><th>Unit price</th><th>Amount</th></tr>
+                ${rows}
+                <tr><td colspan="3">Overhead</td><td>${formatCurrency(quote.overhead)}</td></tr>
+                <tr><td colspan="3">Margin</td><td>${formatCurrency(quote.margin)}</td></tr>
+                <tr><th colspan="3">Subtotal</th><th>${formatCurrency(quote.subtotal)}</th></tr>
+                <tr><td colspan="3">Tax</td><td>${formatCurrency(quote.tax)}</td></tr>
+                <tr><td colspan="3">Rebates</td><td>−${formatCurrency(quote.rebates)}</td></tr>
+                <tr><th colspan="3">Total (${formatCurrency(quote.costPerWatt, 2)}/W solar)</th><th>${formatCurrency(quote.total)}</th></tr>
+            </table>
+        `;
+    }
+
+    exportSettings() {
+        return JSON.parse(JSON.stringify(this.settings));
+    }
+
+    importSettings(settings = {}) {
+        const defaults = new CostModel().settings;
+        const saved = settings || {};
+        this.settings = {
+            ...defaults,
+            ...saved,
+            rebate: { ...defaults.rebate, ...saved.rebate }
+        };
+        this.renderCostInputs();
+    }
+}
+
+// Global instance
+window.costModel = new CostModel();
@@ -0,0 +1,520 @@
+// js/electricalDesigner.js
+class ElectricalDesigner {
+    constructor() {
+        this.catalogUrl = 'data/inverters.json';
+        this.inverters = [];
+        this.selectedId = ElectricalDesigner.getDefaults().selectedId;
+        this.requiredFields = ['manufacturer', 'model', 'acPower', 'maxDcVoltage', 'mpptMinVoltage', 'mpptMaxVoltage', 'mpptCount'];
+
+        // Site design temperatures (°C); null falls back to the weather file, then to the defaults
+        this.designTemperatures = { ...ElectricalDesigner.getDefaults().designTemperatures };
+        this.defaultTemperatures = { recordLow: -40, recordHigh: 40 };
+
+        this.clippingThresholds = { moderate: 0.5, high: 2 }; // percent of yearly energy
+        this.design = null;
+    }
+
+    async loadCatalog(url = this.catalogUrl) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.addInverters(this.parseCatalog(await response.json()), 'bundled');
+        } catch (error) {
+            console.error('Failed to load inverter catalog:', error);
+        }
+
+        this.renderInverterSelect();
+        return this.inverters;
+    }
+
+    importCatalogFile(file) {
+        const reader = new FileReader();
+
+        reader.onload = (event) => {
+            try {
+                const inverters = this.parseCatalog(JSON.parse(event.target.result));
+                const added = this.addInverters(inverters, 'imported');
+                this.renderInverterSelect();
+
+                window.projectManager?.markAsModified();
+                this.notify(`Imported ${added} inverter${added === 1 ? '' : 's'} from ${file.name}`, 'success');
+            } catch (error) {
+                console.error('Failed to import inverter catalog:', error);
+                this.notify(`Failed to import inverters: ${error.message}`, 'error');
+            }
+        };
+
+        reader.readAsText(file);
+    }
+
+    // Accepts { inverters: [...] }, a bare array, or a single inverter
+    parseCatalog(data) {
+        const entries = Array.isArray(data) ? data : (data.inverters || [data]);
+        return entries.map((entry, index) => this.normalizeInverter(entry, index));
+    }
+
+    normalizeInverter(entry, index = 0) {
+        const missing = this.requiredFields.filter(field => entry[field] === undefined || entry[field] === null || entry[field] === '');
+        if (missing.length > 0) {
+            throw new Error(`Inverter ${index + 1} is missing ${missing.join(', ')}`);
+        }
+
+        const number = (value, fallback) => {
+            const parsed = parseFloat(value);
+            return isNaN(parsed) ? fallback : parsed;
+        };
+        const acPower = number(entry.acPower);
+
+        return {
+            id: entry.id || `${entry.manufacturer}-${entry.model}`.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+            manufacturer: String(entry.manufacturer),
+            model: String(entry.model),
+            type: entry.type || 'string',
+            acPower: acPower,                                   // W
+            maxDcPower: number(entry.maxDcPower, acPower * 1.5),
+            maxDcVoltage: number(entry.maxDcVoltage),           // V
+            startVoltage: number(entry.startVoltage, number(entry.mpptMinVoltage)),
+            mpptMinVoltage: number(entry.mpptMinVoltage),
+            mpptMaxVoltage: number(entry.mpptMaxVoltage),
+            mpptCount: Math.max(1, Math.round(number(entry.mpptCount, 1))),
+            stringsPerMppt: Math.max(1, Math.round(number(entry.stringsPerMppt, 1))),
+            maxInputCurrent: number(entry.maxInputCurrent, Infinity),        // A per MPPT
+            maxShortCircuitCurrent: number(entry.maxShortCircuitCurrent, Infinity),
+            efficiency: number(entry.efficiency, 0.96)
+        };
+    }
+
+    addInverters(inverters, source) {
+        inverters.forEach(inverter => {
+            const existing = this.inverters.findIndex(i => i.id === inverter.id);
+            const entry = { ...inverter, source };
+            if (existing >= 0) {
+                this.inverters[existing] = entry;
+            } else {
+                this.inverters.push(entry);
+            }
+        });
+        return inverters.length;
+    }
+
+    getInverters() {
+        return this.inverters;
+    }
+
+    getInverter(inverterId) {
+        return this.inverters.find(inverter => inverter.id === inverterId) || null;
+    }
+
+    getSelectedInverter() {
+        return this.getInverter(this.selectedId);
+    }
+
+    selectInverter(inverterId) {
+        if (!this.getInverter(inverterId)) return false;
+
+        this.selectedId = inverterId;
+
+        // Re-running the panel stats redesigns the strings and refreshes production
+        if (window.panelPlacer) {
+            window.panelPlacer.updatePanelStats();
+        }
+
+        this.renderInverterSelect();
+        return true;
+    }
+
+    setDesignTemperatures(temperatures) {
+        this.designTemperatures = { ...this.designTemperatures, ...temperatures };
+        if (window.panelPlacer) {
+            window.panelPlacer.updatePanelStats();
+        }
+    }
+
+    getDesignTemperatures() {
+        const weather = window.weatherManager?.getDataset();
+        const weatherTemperatures = weather?.temperature?.filter(value => value !== null && !isNaN(value));
+        const fromWeather = weatherTemperatures && weatherTemperatures.length > 0;
+
+        const pick = (key, weatherValue) => {
+            if (this.designTemperatures[key] !== null && this.designTemperatures[key] !== undefined) {
+                return { value: this.designTemperatures[key], source: 'project' };
+            }
+            if (fromWeather) {
+                return { value: weatherValue, source: 'weather' };
+            }
+            return { value: this.defaultTemperatures[key], source: 'default' };
+        };
+
+        const low = pick('recordLow', fromWeather ? Math.min(...weatherTemperatures) : null);
+        const high = pick('recordHigh', fromWeather ? Math.max(...weatherTemperatures) : null);
+
+        return { recordLow: low.value, recordHigh: high.value, lowSource: low.source, highSource: high.source };
+    }
+
+    // Series string limits for the module on the inverter at the site's design temperatures
+    calculateStringLimits(module, inverter, temperatures = this.getDesignTemperatures()) {
+        const catalog = window.moduleCatalog;
+
+        // Coldest case is open circuit at dawn, so the cell sits at ambient
+        const cold = catalog.getElectricalAtTemperature(temperatures.recordLow, module);
+
+        // Hottest case is full sun, so the cell runs above ambient by its NOCT rise at 1000 W/m²
+        const hotCellTemperature = temperatures.recordHigh + (module.noct - 20) * 1000 / 800;
+        const hot = catalog.getElectricalAtTemperature(hotCellTemperature, module);
+
+        // Cold modules run at their highest voltage, so both upper limits use the cold values
+        const maxByVoltage = Math.floor(inverter.maxDcVoltage / cold.voc);
+        const maxByMppt = Math.floor(inverter.mpptMaxVoltage / cold.vmp);
+        const minByMppt = Math.ceil(Math.max(inverter.mpptMinVoltage, inverter.startVoltage) / hot.vmp);
+
+        return {
+            min: minByMppt,
+            max: Math.min(maxByVoltage, maxByMppt),
+            moduleVocCold: cold.voc,
+            moduleVmpCold: cold.vmp,
+            moduleVmpHot: hot.vmp,
+            hotCellTemperature: hotCellTemperature
+        };
+    }
+
+    designSystem(panels = window.panelPlacer?.getPanels() || []) {
+        const module = window.moduleCatalog?.getSelectedModule();
+        const inverter = this.getSelectedInverter();
+
+        panels.forEach(panel => {
+            delete panel.stringId;
+            delete panel.mppt;
+        });
+
+        if (!module || !inverter || panels.length === 0) {
+            this.design = null;
+            this.renderDesign();
+            window.model3D?.updatePanelColors();
+            return null;
+        }
+
+        const temperatures = this.getDesignTemperatures();
+        const limits = this.calculateStringLimits(module, inverter, temperatures);
+        const warnings = [];
+
+        if (limits.max < limits.min) {
+            warnings.push(`${module.model} cannot be strung on ${inverter.model}: ` +
+                `at least ${limits.min} modules are needed for the MPPT window but at most ${limits.max} stay under ${inverter.maxDcVoltage} V`);
+        }
+
+        // Strings never mix roof planes, so each facet orientation is strung on its own
+        const strings = [];
+        const unassignedPanelIds = [];
+        this.groupPanelsForStringing(panels).forEach(group => {
+            const lengths = limits.max >= limits.min ? this.splitIntoStrings(group.panels.length, limits) : [];
+            let offset = 0;
+
+            lengths.forEach(length => {
+                const stringPanels = group.panels.slice(offset, offset + length);
+                offset += length;
+
+                strings.push({
+                    id: `S${strings.length + 1}`,
+                    facetId: group.facetId,
+                    length: length,
+                    panelIds: stringPanels.map(panel => panel.id),
+                    power: stringPanels.reduce((total, panel) => total + (panel.power || 0), 0),
+                    vocCold: length * limits.moduleVocCold,
+                    vmp: length * module.vmp,
+                    vmpHot: length * limits.moduleVmpHot,
+                    imp: module.imp,
+                    isc: module.isc
+                });
+            });
+
+            group.panels.slice(offset).forEach(panel => unassignedPanelIds.push(panel.id));
+        });
+
+        if (unassignedPanelIds.length > 0) {
+            warnings.push(`${unassignedPanelIds.length} panel${unassignedPanelIds.length === 1 ? '' : 's'} could not form a string of ${limits.min} or more on the same roof plane`);
+        }
+
+        const mppts = this.assignStringsToMppts(strings, inverter, module, warnings);
+        const inverterCount = mppts.length > 0 ? Math.max(...mppts.map(mppt => mppt.inverter)) : 1;
+
+        // Tag panels so exports and the 3D view can show the wiring
+        const panelLookup = new Map(panels.map(panel => [panel.id, panel]));
+        strings.forEach(string => {
+            string.panelIds.forEach(panelId => {
+                const panel = panelLookup.get(panelId);
+                panel.stringId = string.id;
+                panel.mppt = `${string.inverter}.${string.mppt}`;
+            });
+        });
+
+        const dcPower = strings.reduce((total, string) => total + string.power, 0);
+        const acPower = inverter.acPower * inverterCount;
+
+        this.design = {
+            module: { id: module.id, manufacturer: module.manufacturer, model: module.model },
+            inverter: { id: inverter.id, manufacturer: inverter.manufacturer, model: inverter.model },
+            inverterCount: inverterCount,
+            temperatures: temperatures,
+            stringLimits: limits,
+            strings: strings,
+            mppts: mppts,
+            unassignedPanelIds: unassignedPanelIds,
+            dcPower: dcPower,
+            acPower: acPower,
+            dcAcRatio: acPower > 0 ? dcPower / acPower : 0,
+            clipping: null,
+            warnings: warnings
+        };
+
+        this.updateClipping();
+        window.model3D?.updatePanelColors();
+        return this.design;
+    }
+
+    // Called again by the stats calculator whenever the hourly simulation changes
+    updateClipping() {
+        if (this.design) {
+            const inverter = this.getInverter(this.design.inverter.id);
+            this.design.clipping = this.estimateClipping(this.design.acPower, inverter, this.design.dcPower);
+        }
+        this.renderDesign();
+    }
+
+    groupPanelsForStringing(panels) {
+        const groups = {};
+
+        panels.forEach(panel => {
+            const facetId = panel.facetId || 'facet_1';
+            if (!groups[facetId]) {
+                groups[facetId] = { facetId, panels: [] };
+            }
+            groups[facetId].panels.push(panel);
+        });
+
+        // Serpentine order keeps neighbouring panels on the same string
+        Object.values(groups).forEach(group => {
+            group.panels.sort((a, b) => {
+                if ((a.row ?? 0) !== (b.row ?? 0)) return (a.row ?? 0) - (b.row ?? 0);
+                const direction = (a.row ?? 0) % 2 === 0 ? 1 : -1;
+                return ((a.col ?? 0) - (b.col ?? 0)) * direction;
+            });
+        });
+
+        return Object.values(groups);
+    }
+
+    // Fewest strings that stay under the maximum length, with lengths differing by at most one
+    splitIntoStrings(panelCount, limits) {
+        if (panelCount < limits.min) return [];
+
+        let stringCount = Math.ceil(panelCount / limits.max);
+        while (stringCount > 1 && Math.floor(panelCount / stringCount) < limits.min) {
+            stringCount--;
+        }
+
+        const baseLength = Math.min(limits.max, Math.floor(panelCount / stringCount));
+        const lengths = new Array(stringCount).fill(baseLength);
+        let remainder = panelCount - baseLength * stringCount;
+        for (let i = 0; i < stringCount && remainder > 0; i++) {
+            if (lengths[i] < limits.max) {
+                lengths[i]++;
+                remainder--;
+            }
+        }
+
+        return lengths;
+    }
+
+    // Parallel strings on one MPPT must match in length and plane. Enough inverters are used to
+    // provide the inputs and stay under the DC power rating, with inputs spread evenly across them
+    assignStringsToMppts(strings, inverter, module, warnings) {
+        const mppts = [];
+
+        if (module.isc > inverter.maxShortCircuitCurrent) {
+            warnings.push(`Module Isc ${module.isc} A exceeds the ${inverter.maxShortCircuitCurrent} A input limit of ${inverter.model}`);
+        } else if (module.imp > inverter.maxInputCurrent) {
+            warnings.push(`Module Imp ${module.imp} A exceeds the ${inverter.maxInputCurrent} A MPPT current limit; expect current clipping`);
+        }
+
+        const parallelLimit = Math.max(1, Math.min(
+            inverter.stringsPerMppt,
+            Math.floor(inverter.maxShortCircuitCurrent / module.isc) || 1
+        ));
+
+        strings.forEach(string => {
+            let mppt = mppts.find(candidate =>
+                candidate.facetId === string.facetId &&
+                candidate.length === string.length &&
+                candidate.strings.length < parallelLimit
+            );
+
+            if (!mppt) {
+                mppt = {
+                    facetId: string.facetId,
+                    length: string.length,
+                    strings: [],
+                    imp: 0,
+                    isc: 0
+                };
+                mppts.push(mppt);
+            }
+
+            mppt.strings.push(string.id);
+            mppt.power = (mppt.power || 0) + string.power;
+            mppt.imp += string.imp;
+            mppt.isc += string.isc;
+        });
+
+        const dcPower = strings.reduce((total, string) => total + string.power, 0);
+        const inverterCount = Math.max(
+            1,
+            Math.ceil(mppts.length / inverter.mpptCount),
+            Math.ceil(dcPower / inverter.maxDcPower)
+        );
+
+        mppts.forEach((mppt, index) => {
+            mppt.inverter = (index % inverterCount) + 1;
+            mppt.mppt = Math.floor(index / inverterCount) + 1;
+            mppt.strings.forEach(stringId => {
+                const string = strings.find(candidate => candidate.id === stringId);
+                string.inverter = mppt.inverter;
+                string.mppt = mppt.mppt;
+            });
+        });
+
+        return mppts;
+    }
+
+    // Hours where the array would push more than the inverters can deliver
+    estimateClipping(acPower, inverter, dcPower) {
+        const hourly = window.statsCalculator?.simulation?.hourly;
+        if (!hourly || acPower === 0) {
+            return { energy: 0, percent: 0, hours: 0, risk: 'unknown' };
+        }
+
+        // Simulated output already includes system losses; scale it to the share that is strung
+        const totalPower = window.statsCalculator.totalPower || dcPower;
+        const share = totalPower > 0 ? dcPower / totalPower : 0;
+        const capacity = acPower / 1000; // kW
+
+        let clipped = 0;
+        let total = 0;
+        let hours = 0;
+        hourly.forEach(hour => {
+            // Hours the simulation already clipped carry the lost energy, so add it back
+            const output = (hour.energy + (hour.clipLoss || 0)) * share;
+            total += output;
+            if (output > capacity) {
+                clipped += output - capacity;
+                hours++;
+            }
+        });
+
+        const percent = total > 0 ? clipped / total * 100 : 0;
+        let risk = 'low';
+        if (percent >= this.clippingThresholds.high) {
+            risk = 'high';
+        } else if (percent >= this.clippingThresholds.moderate) {
+            risk = 'moderate';
+        }
+
+        return { energy: clipped, percent: percent, hours: hours, risk: risk };
+    }
+
+    getDesign() {
+        return this.design;
+    }
+
+    getStrings() {
+        return this.design ? this.design.strings : [];
+    }
+
+    renderInverterSelect() {
+        const select = typeof document !== 'undefined' && document.getElementById('inverterSelect');
+        if (!select) return;
+
+        select.innerHTML = this.inverters.map(inverter => `
+            <option value="${inverter.id}" ${inverter.id === this.selectedId ? 'selected' : ''}>
+                ${inverter.manufacturer} ${inverter.model} (${(inverter.acPower / 1000).toFixed(1)} kW)
+            </option>
+        `).join('');
+    }
+
+    renderDesign() {
+        const container = typeof document !== 'undefined' && document.getElementById('stringDesign');
+        if (!container) return;
+
+        const design = this.design;
+        if (!design) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const limits = design.stringLimits;
+        const lengths = design.strings.map(string => string.length);
+
+        // With microinverters the string design is only kept as the comparison baseline
+        const reference = window.statsCalculator?.architecture === 'microinverter';
+        const temperature = (celsius) => window.unitSystem
+            ? window.unitSystem.format(celsius, 'temperature', 0)
+            : `${Math.round(celsius)}°C`;
+        
+        container.innerHTML = `
+            <div class="facet-row">
+                <strong>${reference ? 'Reference strings' : 'Strings'}</strong>
+                <span>${design.strings.length} × ${lengths.length > 0 ? `${Math.min(...lengths)}–${Math.max(...lengths)}` : 0} modules</span>
+                <span>Allowed ${limits.min}–${limits.max} (${temperature(design.temperatures.recordLow)} / ${temperature(design.temperatures.recordHigh)})</span>
+            </div>
+            <div class="facet-row">
+                <span>${design.inverterCount} × ${design.inverter.model}</span>
+                <span>DC/AC ${design.dcAcRatio.toFixed(2)}</span>
+                <span>Clipping ${design.clipping.percent.toFixed(1)}% (${design.clipping.risk})</span>
+            </div>
+            ${design.warnings.map(warning => `<div class="facet-row">⚠️ ${warning}</div>`).join('')}
+        `;
+    }
+
+    // Selection and design temperatures of a fresh instance, for new projects
+    static getDefaults() {
+        return {
+            selectedId: 'generic-5000',
+            designTemperatures: { recordLow: null, recordHigh: null }
+        };
+    }
+
+    exportData() {
+        return {
+            selectedId: this.selectedId,
+            designTemperatures: this.designTemperatures,
+            importedInverters: this.inverters.filter(inverter => inverter.source === 'imported'),
+            design: this.design
+        };
+    }
+
+    importData(data) {
+        if (!data) return;
+
+        if (data.importedInverters?.length) {
+            this.addInverters(data.importedInverters, 'imported');
+        }
+        if (data.designTemperatures) {
+            this.designTemperatures = { ...this.designTemperatures, ...data.designTemperatures };
+        }
+        if (data.selectedId) {
+            this.selectedId = data.selectedId;
+        }
+
+        this.renderInverterSelect();
+    }
+
+    notify(message, type) {
+        if (window.solarApp) {
+            window.solarApp.showNotification(message, type);
+        }
+    }
+}
+
+// Global instance
+window.electricalDesigner = new ElectricalDesigner();
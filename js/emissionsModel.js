@@ -0,0 +1,270 @@
+// js/emissionsModel.js
+//
+// Emissions table format (JSON):
+//   default   region id used when the project location can't be matched
+//   regions   [{ id, name, country, code? (province/state), aliases?, factor: kg CO2e per kWh, year,
+//                trajectory?: [[calendar year, factor], ...] }]; entries without a code cover the whole country
+class EmissionsModel {
+    constructor() {
+        this.catalogUrl = 'data/emissions.json';
+        this.regions = [];
+        this.defaultRegionId = 'CA-AB';
+
+        this.settings = {
+            regionId: null,            // null looks the region up from the project location
+            trajectory: 'table',       // 'table', 'constant' or 'decline'
+            annualDecline: 3,          // % per year in 'decline' mode
+            startYear: null,           // first year of operation; null is this year
+            embodiedPerKw: 700,        // kg CO2e per kW DC for modules, racking and inverters
+            batteryEmbodiedPerKwh: 100 // kg CO2e per kWh of battery capacity
+        };
+
+        this.trajectories = {
+            table: 'Regional trajectory',
+            constant: 'Constant at today\'s factor',
+            decline: 'Steady annual decline'
+        };
+
+        this.treeAbsorption = 21.77; // kg CO2 a mature tree absorbs per year
+    }
+
+    async loadCatalog(url = this.catalogUrl) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            this.regions = (data.regions || []).filter(region => region.id && !isNaN(region.factor));
+            this.defaultRegionId = data.default || this.defaultRegionId;
+        } catch (error) {
+            console.error('Failed to load emissions table:', error);
+        }
+
+        this.renderEmissionsInputs();
+        return this.regions;
+    }
+
+    getRegion(regionId) {
+        return this.regions.find(region => region.id === regionId) || null;
+    }
+
+    setSetting(key, value) {
+        if (!(key in this.settings)) return;
+
+        if (key === 'regionId') {
+            this.settings.regionId = this.getRegion(value) ? value : null;
+        } else if (key === 'trajectory') {
+            if (!this.trajectories[value]) return;
+            this.settings.trajectory = value;
+        } else if (key === 'startYear' && (value === '' || value === null)) {
+            this.settings.startYear = null;
+        } else {
+            const parsed = parseFloat(value);
+            if (isNaN(parsed)) return;
+            this.settings[key] = Math.max(0, parsed);
+        }
+
+        window.projectManager?.markAsModified();
+        window.statsCalculator?.recalculate();
+        this.renderEmissionsInputs();
+    }
+
+    // Manual choice first, then the geocoded address, the weather file's station and the project's location text
+    resolveRegion() {
+        if (this.settings.regionId && this.getRegion(this.settings.regionId)) {
+            return { region: this.getRegion(this.settings.regionId), source: 'selected' };
+        }
+
+        const weather = window.weatherManager?.getDataset()?.location;
+        const candidates = [
+            { text: window.mapManager?.getCurrentLocation()?.address, source: 'address' },
+            { text: weather ? [weather.city, weather.region, weather.country].filter(Boolean).join(', ') : null, source: 'weather file' },
+            { text: window.projectManager?.currentProject?.settings?.location, source: 'project settings' }
+        ];
+
+        for (const candidate of candidates) {
+            const region = candidate.text ? this.matchLocation(candidate.text) : null;
+            if (region) return { region: region, source: candidate.source };
+        }
+
+        return { region: this.getRegion(this.defaultRegionId), source: 'default' };
+    }
+
+    // "Calgary, AB T2P 1J9, Canada" -> Alberta; a country alone gives the national factor
+    matchLocation(text) {
+        const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+        const normalize = (value) => value.toLowerCase();
+        const names = (region) => [region.name, ...(region.aliases || [])].map(normalize);
+
+        // Country from the last part that names one; without one, a part must start with the province or state
+        const countries = this.regions.filter(region => !region.code);
+        let country = null;
+        for (let i = parts.length - 1; i >= 0 && !country; i--) {
+            const part = normalize(parts[i]);
+            country = countries.find(region => names(region).includes(part) || normalize(region.country) === part) || null;
+        }
+
+        const subregions = this.regions.filter(region => region.code && (!country || region.country === country.country));
+        for (const part of parts) {
+            const tokens = part.split(/\s+/);
+            const match = subregions.find(region =>
+                names(region).includes(normalize(part)) ||
+                (country ? tokens.includes(region.code) : tokens[0] === region.code));
+            if (match) return match;
+        }
+
+        return country;
+    }
+
+    // Grid factor for a calendar year under the chosen trajectory
+    getFactor(region, year) {
+        if (!region) return 0;
+
+        const baseYear = this.getStartYear();
+        if (this.settings.trajectory === 'decline') {
+            return region.factor * Math.pow(1 - this.settings.annualDecline / 100, Math.max(0, year - baseYear));
+        }
+        if (this.settings.trajectory === 'constant' || !region.trajectory?.length) {
+            return region.factor;
+        }
+
+        // Straight lines from today's factor through each point, holding the last one
+        const points = [[region.year || baseYear, region.factor], ...region.trajectory].sort((a, b) => a[0] - b[0]);
+        if (year <= points[0][0]) return points[0][1];
+        for (let i = 1; i < points.length; i++) {
+            const [year0, factor0] = points[i - 1];
+            const [year1, factor1] = points[i];
+            if (year <= year1) {
+                return factor0 + (factor1 - factor0) * (year - year0) / (year1 - year0);
+            }
+        }
+        return points[points.length - 1][1];
+    }
+
+    getStartYear() {
+        return this.settings.startYear || new Date().getFullYear();
+    }
+
+    // Manufacturing carbon for the array and any battery (kg CO2e)
+    getEmbodiedCarbon(sizeKw, batteryCapacity = 0) {
+        return sizeKw * this.settings.embodiedPerKw + batteryCapacity * this.settings.batteryEmbodiedPerKwh;
+    }
+
+    // yearlyProduction: kWh for each operating year, already degraded
+    analyze(yearlyProduction, sizeKw, batteryCapacity = 0) {
+        const { region, source } = this.resolveRegion();
+        const startYear = this.getStartYear();
+        const embodied = this.getEmbodiedCarbon(sizeKw, batteryCapacity);
+
+        let cumulative = -embodied;
+        let carbonPaybackYears = null;
+        const annual = yearlyProduction.map((production, index) => {
+            const calendarYear = startYear + index;
+            const factor = this.getFactor(region, calendarYear);
+            const avoided = production * factor;
+            const previous = cumulative;
+            cumulative += avoided;
+
+            // Interpolate within the year the running balance crosses zero
+            if (carbonPaybackYears === null && cumulative >= 0 && avoided > 0) {
+                carbonPaybackYears = index + (-previous / avoided);
+            }
+
+            return {
+                year: index + 1,
+                calendarYear: calendarYear,
+                factor: factor,
+                production: production,
+                avoided: avoided,
+                cumulativeNet: cumulative
+            };
+        });
+
+        const grossLifetime = annual.reduce((total, row) => total + row.avoided, 0);
+        return {
+            region: region ? { id: region.id, name: region.name, factor: region.factor, year: region.year } : null,
+            regionSource: source,
+            trajectory: this.settings.trajectory,
+            startYear: startYear,
+            yearlyAvoided: annual.length > 0 ? annual[0].avoided : 0,
+            grossLifetime: grossLifetime,
+            embodied: embodied,
+            netLifetime: grossLifetime - embodied,
+            carbonPaybackYears: carbonPaybackYears,
+            treesEquivalent: annual.length > 0 ? annual[0].avoided / this.treeAbsorption : 0,
+            annual: annual
+        };
+    }
+
+    renderEmissionsInputs() {
+        const container = typeof document !== 'undefined' && document.getElementById('emissionsSettings');
+        if (!container) return;
+
+        const settings = this.settings;
+        const detected = this.resolveRegion();
+        const autoLabel = detected.region && !settings.regionId
+            ? `Auto: ${detected.region.name} (${detected.source})`
+            : 'Auto from project location';
+        const regionOptions = this.regions.map(region =>
+            `<option value="${region.id}" ${region.id === settings.regionId ? 'selected' : ''}>${region.name} (${region.factor} kg/kWh)</option>`).join('');
+        const trajectoryOptions = Object.entries(this.trajectories).map(([id, name]) =>
+            `<option value="${id}" ${id === settings.trajectory ? 'selected' : ''}>${name}</option>`).join('');
+        const input = (key, label, step, value = settings[key]) => `
+            <label>${label}
+                <input type="number" min="0" step="${step}" value="${value ?? ''}" style="width: 70px;"
+                    onchange="updateEmissionsSetting('${key}', this.value)">
+            </label>
+        `;
+
+        container.innerHTML = `
+            <div class="facet-row">
+                <select onchange="updateEmissionsSetting('regionId', this.value)">
+                    <option value="" ${settings.regionId ? '' : 'selected'}>${autoLabel}</option>
+                    ${regionOptions}
+                </select>
+                <select onchange="updateEmissionsSetting('trajectory', this.value)">${trajectoryOptions}</select>
+                ${input('annualDecline', 'Decline %/yr', 0.5)}
+                ${input('startYear', 'Start year', 1, settings.startYear || this.getStartYear())}
+            </div>
+            <div class="facet-row">
+                ${input('embodiedPerKw', 'Embodied kg/kW', 10)}
+                ${input('batteryEmbodiedPerKwh', 'Battery kg/kWh', 5)}
+            </div>
+        `;
+    }
+
+    renderEmissionsSummary(results, formatNumber) {
+        const container = typeof document !== 'undefined' && document.getElementById('emissionsSummary');
+        if (!container) return;
+
+        if (!results || !results.region) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const tonnes = (kg) => `${formatNumber(kg / 1000, 1)} t`;
+        container.innerHTML = `
+            <div class="facet-row">
+                <strong>${results.region.name}</strong>
+                <span>(from ${results.regionSource})</span>
+                <span>${formatNumber(results.region.factor, 3)} kg/kWh today</span>
+                <span>Year 1: ${tonnes(results.yearlyAvoided)} avoided</span>
+                <span>Lifetime: ${tonnes(results.grossLifetime)} avoided − ${tonnes(results.embodied)} embodied = ${tonnes(results.netLifetime)} net</span>
+                <span>Carbon payback: ${results.carbonPaybackYears === null ? 'not reached' : formatNumber(results.carbonPaybackYears, 1) + ' years'}</span>
+            </div>
+        `;
+    }
+
+    exportSettings() {
+        return { ...this.settings };
+    }
+
+    importSettings(settings) {
+        this.settings = { ...new EmissionsModel().settings, ...(settings || {}) };
+        this.renderEmissionsInputs();
+    }
+}
+
+// Global instance
+window.emissionsModel = new EmissionsModel();
@@ -0,0 +1,277 @@
+// js/financialModel.js
+class FinancialModel {
+    constructor() {
+        // Rates are in percent, matching how they are entered; money is in the input currency
+        this.settings = {
+            discountRate: 5,      // nominal, per year
+            inflation: 2,         // escalates O&M and gives the real discount rate
+            omCostPerKw: 10,      // per kW per year, in today's money
+            loan: { termYears: 10, interestRate: 6.99, downPaymentPercent: 10 },
+            lease: { termYears: 20, paymentPerKw: 10, escalator: 2.9 },   // per kW per month
+            ppa: { termYears: 25, rate: 0.10, escalator: 2 }              // per kWh
+        };
+
+        this.options = {
+            cash: 'Cash purchase',
+            loan: 'Loan',
+            lease: 'Lease',
+            ppa: 'Power purchase agreement'
+        };
+    }
+
+    setSetting(path, value) {
+        const parsed = parseFloat(value);
+        if (isNaN(parsed)) return;
+
+        const keys = path.split('.');
+        const target = keys.slice(0, -1).reduce((object, key) => object?.[key], this.settings);
+        const key = keys[keys.length - 1];
+        if (!target || !(key in target)) return;
+
+        target[key] = Math.max(0, parsed);
+        window.projectManager?.markAsModified();
+        window.statsCalculator?.recalculate();
+    }
+
+    // Equal monthly payments that retire the principal over the term
+    calculateLoanPayment(principal, annualRatePercent, termYears) {
+        const months = Math.round(termYears * 12);
+        if (principal <= 0 || months <= 0) return 0;
+
+        const monthlyRate = annualRatePercent / 100 / 12;
+        if (monthlyRate === 0) return principal / months;
+        return principal * monthlyRate / (1 - Math.pow(1 + monthlyRate, -months));
+    }
+
+    // system: { cost, sizeKw, projection (from StatsCalculator), monthlyShares (12 fractions of yearly output) }
+    analyze(system) {
+        const results = {};
+        Object.keys(this.options).forEach(option => {
+            results[option] = this.analyzeOption(option, system);
+        });
+        return results;
+    }
+
+    analyzeOption(option, system) {
+        const settings = this.settings;
+        const inflation = settings.inflation / 100;
+        const years = system.projection.filter(row => row.year > 0);
+
+        let upfront = 0;
+        let monthlyPayment = 0;
+        let paymentMonths = 0;
+        if (option === 'cash') {
+            upfront = system.cost;
+        } else if (option === 'loan') {
+            upfront = system.cost * settings.loan.downPaymentPercent / 100;
+            monthlyPayment = this.calculateLoanPayment(system.cost - upfront, settings.loan.interestRate, settings.loan.termYears);
+            paymentMonths = Math.round(settings.loan.termYears * 12);
+        } else if (option === 'lease') {
+            monthlyPayment = settings.lease.paymentPerKw * system.sizeKw;
+            paymentMonths = Math.round(settings.lease.termYears * 12);
+        } else if (option === 'ppa') {
+            paymentMonths = Math.round(settings.ppa.termYears * 12);
+        }
+
+        // The owner pays for upkeep; lease and PPA providers maintain their own equipment
+        const ownerMaintains = option === 'cash' || option === 'loan';
+
+        const monthly = [];
+        years.forEach(row => {
+            system.monthlyShares.forEach((share, month) => {
+                const index = (row.year - 1) * 12 + month;
+                const production = row.production * share;
+                const savings = production * row.rate;
+
+                let payment = 0;
+                if (index < paymentMonths) {
+                    if (option === 'lease') {
+                        payment = monthlyPayment * Math.pow(1 + settings.lease.escalator / 100, row.year - 1);
+                    } else if (option === 'ppa') {
+                        payment = production * settings.ppa.rate * Math.pow(1 + settings.ppa.escalator / 100, row.year - 1);
+                    } else {
+                        payment = monthlyPayment;
+                    }
+                }
+
+                const maintenance = ownerMaintains
+                    ? settings.omCostPerKw * system.sizeKw / 12 * Math.pow(1 + inflation, row.year - 1)
+                    : 0;
+
+                monthly.push({
+                    year: row.year,
+                    month: month + 1,
+                    production: production,
+                    savings: savings,
+                    payment: payment,
+                    maintenance: maintenance,
+                    netCashFlow: savings - payment - maintenance
+                });
+            });
+        });
+
+        // Yearly roll-up with the upfront payment as year 0
+        const annual = [{ year: 0, production: 0, savings: 0, payments: upfront, maintenance: 0, netCashFlow: -upfront, cumulativeCashFlow: -upfront }];
+        let cumulative = -upfront;
+        years.forEach(row => {
+            const months = monthly.filter(entry => entry.year === row.year);
+            const sum = (key) => months.reduce((total, entry) => total + entry[key], 0);
+            const net = sum('netCashFlow');
+            cumulative += net;
+            annual.push({
+                year: row.year,
+                production: sum('production'),
+                savings: sum('savings'),
+                payments: sum('payment'),
+                maintenance: sum('maintenance'),
+                netCashFlow: net,
+                cumulativeCashFlow: cumulative
+            });
+        });
+
+        const monthlyDiscount = Math.pow(1 + settings.discountRate / 100, 1 / 12) - 1;
+        const npv = monthly.reduce((total, entry, index) =>
+            total + entry.netCashFlow / Math.pow(1 + monthlyDiscount, index + 1), -upfront);
+
+        const paybackYear = annual.find(row => row.year > 0 && row.cumulativeCashFlow >= 0);
+
+        return {
+            option: option,
+            name: this.options[option],
+            upfront: upfront,
+            monthlyPayment: monthlyPayment,
+            termYears: paymentMonths / 12,
+            npv: npv,
+            irr: this.calculateIRR(annual.map(row => row.netCashFlow)),
+            lcoe: this.calculateLCOE(annual, settings.discountRate / 100),
+            lcoeReal: this.calculateLCOE(annual, (1 + settings.discountRate / 100) / (1 + inflation) - 1),
+            paybackYear: paybackYear ? paybackYear.year : null,
+            totalNetCashFlow: cumulative,
+            annual: annual,
+            monthly: monthly
+        };
+    }
+
+    // Cost of every kWh over the projection: discounted customer costs over discounted production
+    calculateLCOE(annual, discountRate) {
+        let costs = 0;
+        let production = 0;
+        annual.forEach(row => {
+            const discount = Math.pow(1 + discountRate, row.year);
+            costs += (row.payments + row.maintenance) / discount;
+            production += row.production / discount;
+        });
+        return production > 0 ? costs / production : 0;
+    }
+
+    // Yearly IRR by bisection; null when cash flows never change sign
+    calculateIRR(cashFlows) {
+        const hasNegative = cashFlows.some(value => value < 0);
+        const hasPositive = cashFlows.some(value => value > 0);
+        if (!hasNegative || !hasPositive) return null;
+
+        const npvAt = (rate) => cashFlows.reduce((total, value, year) => total + value / Math.pow(1 + rate, year), 0);
+
+        let low = -0.99;
+        let high = 1;
+        if (npvAt(low) * npvAt(high) > 0) return null;
+
+        for (let i = 0; i < 100; i++) {
+            const mid = (low + high) / 2;
+            if (npvAt(low) * npvAt(mid) <= 0) {
+                high = mid;
+            } else {
+                low = mid;
+            }
+        }
+        return (low + high) / 2 * 100;
+    }
+
+    renderFinanceInputs() {
+        const container = typeof document !== 'undefined' && document.getElementById('financeSettings');
+        if (!container) return;
+
+        const symbol = window.localeManager?.getCurrencySymbol() || '$';
+        const input = (path, label, step) => {
+            const value = path.split('.').reduce((object, key) => object[key], this.settings);
+            return `
+                <label>${label}
+                    <input type="number" min="0" step="${step}" value="${value}" style="width: 70px;"
+                        onchange="updateFinanceSetting('${path}', this.value)">
+                </label>
+            `;
+        };
+
+        container.innerHTML = `
+            <div class="facet-row">
+                ${input('discountRate', 'Discount rate %', 0.1)}
+                ${input('inflation', 'Inflation %', 0.1)}
+                ${input('omCostPerKw', `O&M ${symbol}/kW-yr`, 1)}
+            </div>
+            <div class="facet-row"><strong>Loan</strong>
+                ${input('loan.termYears', 'Term (yr)', 1)}
+                ${input('loan.interestRate', 'Rate %', 0.01)}
+                ${input('loan.downPaymentPercent', 'Down %', 1)}
+            </div>
+            <div class="facet-row"><strong>Lease</strong>
+                ${input('lease.termYears', 'Term (yr)', 1)}
+                ${input('lease.paymentPerKw', `${symbol}/kW-month`, 0.5)}
+                ${input('lease.escalator', 'Escalator %', 0.1)}
+            </div>
+            <div class="facet-row"><strong>PPA</strong>
+                ${input('ppa.termYears', 'Term (yr)', 1)}
+                ${input('ppa.rate', `${symbol}/kWh`, 0.005)}
+                ${input('ppa.escalator', 'Escalator %', 0.1)}
+            </div>
+        `;
+    }
+
+    renderFinanceSummary(results, formatCurrency) {
+        const container = typeof document !== 'undefined' && document.getElementById('financeSummary');
+        if (!container) return;
+
+        if (!results) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const rows = Object.values(results).map(result => `
+            <tr>
+                <td>${result.name}</td>
+                <td>${formatCurrency(result.upfront)}</td>
+                <td>${formatCurrency(result.monthlyPayment)}</td>
+                <td>${formatCurrency(result.npv)}</td>
+                <td>${result.irr === null ? '—' : result.irr.toFixed(1) + '%'}</td>
+                <td>${formatCurrency(result.lcoe, 3)}/kWh</td>
+                <td>${result.paybackYear === null ? '—' : 'Year ' + result.paybackYear}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <table>
+                <tr><th>Option</th><th>Upfront</th><th>Monthly payment</th><th>NPV</th><th>IRR</th><th>LCOE</th><th>Payback</th></tr>
+                ${rows}
+            </table>
+        `;
+    }
+
+    exportSettings() {
+        return JSON.parse(JSON.stringify(this.settings));
+    }
+
+    importSettings(settings = {}) {
+        const defaults = new FinancialModel().settings;
+        const saved = settings || {};
+        this.settings = {
+            ...defaults,
+            ...saved,
+            loan: { ...defaults.loan, ...saved.loan },
+            lease: { ...defaults.lease, ...saved.lease },
+            ppa: { ...defaults.ppa, ...saved.ppa }
+        };
+        this.renderFinanceInputs();
+    }
+}
+
+// Global instance
+window.financialModel = new FinancialModel();
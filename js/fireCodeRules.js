@@ -0,0 +1,375 @@
+// js/fireCodeRules.js
+class FireCodeRules {
+    constructor() {
+        // Distances in feet. Hip/valley clearance is applied whether or not the far side
+        // of the hip or valley carries panels, which is the conservative reading
+        this.profiles = {
+            none: {
+                name: 'No fire code setbacks',
+                eaveSetback: 0,
+                rakeSetback: 0,
+                ridgeSetback: 0,
+                ridgeSetbackHighCoverage: 0,
+                coverageThreshold: null,
+                hipValleyClearance: 0,
+                pathwayWidth: 0,
+                pathwaysRequired: 0,
+                pathwaysPerFacet: 0
+            },
+            ifc2018: {
+                name: 'IFC 2018 1204 / IRC R324.6 (residential)',
+                eaveSetback: 0,
+                rakeSetback: 0,
+                ridgeSetback: 1.5,             // 18 in while the array covers up to a third of the roof
+                ridgeSetbackHighCoverage: 3,   // 36 in above that
+                coverageThreshold: 0.33,
+                hipValleyClearance: 1.5,
+                pathwayWidth: 3,               // 36 in eave-to-ridge pathways
+                pathwaysRequired: 2,           // On separate roof planes
+                pathwaysPerFacet: 0
+            },
+            ifc2012: {
+                name: 'IFC 2012 605.11 (residential)',
+                eaveSetback: 0,
+                rakeSetback: 0,
+                ridgeSetback: 3,
+                ridgeSetbackHighCoverage: 3,
+                coverageThreshold: null,
+                hipValleyClearance: 1.5,
+                pathwayWidth: 3,
+                pathwaysRequired: 0,
+                pathwaysPerFacet: 1            // One pathway on every roof slope
+            },
+            ifcCommercial: {
+                name: 'IFC 2018 1204.3 (commercial perimeter)',
+                eaveSetback: 4,
+                rakeSetback: 4,
+                ridgeSetback: 4,
+                ridgeSetbackHighCoverage: 4,
+                coverageThreshold: null,
+                hipValleyClearance: 4,
+                pathwayWidth: 4,
+                pathwaysRequired: 0,
+                pathwaysPerFacet: 0
+            }
+        };
+        this.profileId = FireCodeRules.getDefaults().profileId;
+        this.overrides = {};          // Local amendments on top of the selected profile
+        this.sharedEdgeTolerance = 1; // feet between endpoints for facets to share an edge
+        this.horizontalEdgeAngle = 30; // degrees from the eave direction still treated as level
+        this.highCoverage = false;
+        this.edgeTypes = {};          // facetId -> [{ index, type, length, neighborId }]
+        this.pathways = [];           // [{ facetId, edgeIndex }]
+        this.violations = [];
+    }
+
+    setProfile(profileId, overrides = {}) {
+        this.profileId = this.profiles[profileId] ? profileId : 'none';
+        this.overrides = { ...overrides };
+
+        if (window.panelPlacer) {
+            window.panelPlacer.generatePanelLayout();
+        }
+    }
+
+    getProfile() {
+        return { ...this.profiles.none, ...this.profiles[this.profileId], ...this.overrides };
+    }
+
+    getProfiles() {
+        return Object.entries(this.profiles).map(([id, profile]) => ({ id, name: profile.name }));
+    }
+
+    isActive() {
+        const profile = this.getProfile();
+        return ['eaveSetback', 'rakeSetback', 'ridgeSetback', 'hipValleyClearance', 'pathwayWidth']
+            .some(key => (profile[key] || 0) > 0);
+    }
+
+    // Classifies facet edges and reserves pathways before a layout pass
+    prepare(facets) {
+        this.highCoverage = false;
+        this.edgeTypes = {};
+
+        const localFacets = facets.map(facet => ({
+            facet,
+            points: window.localProjection.toLocalPolygon(facet.coordinates)
+        }));
+
+        localFacets.forEach(({ facet, points }) => {
+            this.edgeTypes[facet.id] = this.classifyEdges(facet, points, localFacets);
+        });
+
+        this.assignPathways(facets);
+    }
+
+    // eave, ridge, rake, hip or valley for every edge (edge i runs from point i to i + 1)
+    classifyEdges(facet, points, localFacets) {
+        const azimuth = (facet.azimuth ?? 180) * Math.PI / 180;
+        const downslope = { x: Math.sin(azimuth), y: Math.cos(azimuth) };
+        const center = points.reduce((sum, point) => ({
+            x: sum.x + point.x / points.length,
+            y: sum.y + point.y / points.length
+        }), { x: 0, y: 0 });
+        const levelLimit = Math.sin(this.horizontalEdgeAngle * Math.PI / 180);
+
+        return points.map((start, index) => {
+            const end = points[(index + 1) % points.length];
+            const length = window.localProjection.distance(start, end);
+            const direction = { x: (end.x - start.x) / (length || 1), y: (end.y - start.y) / (length || 1) };
+            const midpoint = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+            const level = Math.abs(direction.x * downslope.x + direction.y * downslope.y) < levelLimit;
+            const neighbor = this.findNeighbor(facet, start, end, localFacets);
+
+            let type;
+            if (neighbor) {
+                // Stepping from this edge into the neighbouring facet goes downhill across a hip or ridge
+                const outward = { x: midpoint.x - center.x, y: midpoint.y - center.y };
+                const normal = { x: direction.y, y: -direction.x };
+                if (normal.x * outward.x + normal.y * outward.y < 0) {
+                    normal.x = -normal.x;
+                    normal.y = -normal.y;
+                }
+                const neighborAzimuth = (neighbor.azimuth ?? 180) * Math.PI / 180;
+                const convex = normal.x * Math.sin(neighborAzimuth) + normal.y * Math.cos(neighborAzimuth) > 0;
+                type = convex ? (level ? 'ridge' : 'hip') : 'valley';
+            } else if (level) {
+                const upslopeOffset = -((midpoint.x - center.x) * downslope.x + (midpoint.y - center.y) * downslope.y);
+                type = upslopeOffset > 0 ? 'ridge' : 'eave';
+            } else {
+                type = 'rake';
+            }
+
+            return { index, type, length, neighborId: neighbor?.id || null };
+        });
+    }
+
+    findNeighbor(facet, start, end, localFacets) {
+        const tolerance = this.sharedEdgeTolerance;
+        const distance = window.localProjection.distance.bind(window.localProjection);
+
+        const match = localFacets.find(other => {
+            if (other.facet.id === facet.id) return false;
+            return other.points.some((point, i) => {
+                const next = other.points[(i + 1) % other.points.length];
+                return (distance(point, start) < tolerance && distance(next, end) < tolerance) ||
+                    (distance(point, end) < tolerance && distance(next, start) < tolerance);
+            });
+        });
+
+        return match ? match.facet : null;
+    }
+
+    // Pathways run eave to ridge along a side edge; the least productive planes carry them
+    assignPathways(facets) {
+        const profile = this.getProfile();
+        this.pathways = [];
+        if (!profile.pathwayWidth || facets.length === 0) return;
+
+        const sideEdges = (facet) => {
+            const priority = { rake: 0, hip: 1, valley: 2 };
+            return (this.edgeTypes[facet.id] || [])
+                .filter(edge => priority[edge.type] !== undefined)
+                .sort((a, b) => (priority[a.type] - priority[b.type]) || (b.length - a.length));
+        };
+        const reserve = (facet) => {
+            const edge = sideEdges(facet).find(candidate =>
+                !this.pathways.some(pathway => pathway.facetId === facet.id && pathway.edgeIndex === candidate.index)
+            );
+            if (!edge) return false;
+            this.pathways.push({ facetId: facet.id, edgeIndex: edge.index, type: edge.type });
+            return true;
+        };
+
+        if (profile.pathwaysPerFacet > 0) {
+            facets.forEach(facet => {
+                for (let i = 0; i < profile.pathwaysPerFacet; i++) reserve(facet);
+            });
+        }
+
+        if (profile.pathwaysRequired > 0) {
+            const ordered = [...facets].sort((a, b) =>
+                ((a.sunExposure ?? 1) - (b.sunExposure ?? 1)) || ((a.area || 0) - (b.area || 0))
+            );
+
+            // Separate planes first, then second side edges when the roof has too few planes
+            let remaining = profile.pathwaysRequired - this.pathways.length;
+            for (let pass = 0; pass < 2 && remaining > 0; pass++) {
+                ordered.forEach(facet => {
+                    if (remaining > 0 && reserve(facet)) remaining--;
+                });
+            }
+        }
+    }
+
+    // Setback in feet for every edge of the facet
+    getEdgeSetbacks(facet) {
+        const profile = this.getProfile();
+        const edges = this.edgeTypes[facet.id] || [];
+
+        return edges.map(edge => {
+            let setback = {
+                eave: profile.eaveSetback,
+                rake: profile.rakeSetback,
+                ridge: this.highCoverage ? profile.ridgeSetbackHighCoverage : profile.ridgeSetback,
+                hip: profile.hipValleyClearance,
+                valley: profile.hipValleyClearance
+            }[edge.type] || 0;
+
+            if (this.pathways.some(pathway => pathway.facetId === facet.id && pathway.edgeIndex === edge.index)) {
+                setback = Math.max(setback, profile.pathwayWidth);
+            }
+            return setback;
+        });
+    }
+
+    // Returns true when the array crosses the coverage limit and needs the larger ridge setback
+    updateCoverage(panels, facets) {
+        const profile = this.getProfile();
+        if (profile.coverageThreshold === null || profile.coverageThreshold === undefined) return false;
+        if (this.highCoverage) return false;
+
+        const roofArea = facets.reduce((total, facet) => total + (facet.area || 0), 0);
+        if (roofArea === 0) return false;
+
+        const coverage = this.calculateCoverage(panels, roofArea);
+        this.highCoverage = coverage > profile.coverageThreshold &&
+            profile.ridgeSetbackHighCoverage > profile.ridgeSetback;
+        return this.highCoverage;
+    }
+
+    calculateCoverage(panels, roofArea) {
+        // Plan-view array area against plan-view roof area
+        const arrayArea = panels.reduce((total, panel) =>
+            total + panel.width * panel.height * Math.cos((panel.tilt ?? 0) * Math.PI / 180), 0);
+        return arrayArea / roofArea;
+    }
+
+    checkLayout(panels, facets) {
+        this.violations = [];
+        if (!this.isActive()) {
+            this.renderViolations();
+            return this.violations;
+        }
+
+        const profile = this.getProfile();
+        const projection = window.localProjection;
+
+        facets.forEach(facet => {
+            const outline = projection.toLocalPolygon(facet.coordinates);
+            const setbacks = this.getEdgeSetbacks(facet);
+            const placement = projection.insetPolygon(outline, setbacks);
+            const edges = this.edgeTypes[facet.id] || [];
+            const facetName = facet.name || facet.id;
+
+            if (placement.length < 3) {
+                this.violations.push({
+                    type: 'placement',
+                    severity: 'info',
+                    facetId: facet.id,
+                    message: `${facetName} has no room for panels inside its setbacks`
+                });
+            }
+
+            panels.filter(panel => panel.facetId === facet.id).forEach(panel => {
+                const corners = panel.localCorners || projection.toLocalPolygon(panel.corners || []);
+                const outside = corners.filter(corner => placement.length < 3 || !projection.pointInPolygon(corner, placement));
+                if (outside.length === 0) return;
+
+                // Name the edge whose setback zone the panel reaches into
+                const breached = edges.find(edge => setbacks[edge.index] > 0 && outside.some(corner =>
+                    this.distanceToEdge(corner, outline[edge.index], outline[(edge.index + 1) % outline.length]) < setbacks[edge.index]
+                ));
+                const isPathway = breached && this.pathways.some(pathway =>
+                    pathway.facetId === facet.id && pathway.edgeIndex === breached.index);
+
+                this.violations.push({
+                    type: isPathway ? 'pathway' : 'setback',
+                    severity: 'error',
+                    facetId: facet.id,
+                    panelId: panel.id,
+                    edgeIndex: breached ? breached.index : null,
+                    message: breached
+                        ? `${panel.id} is inside the ${this.formatDistance(setbacks[breached.index])} ` +
+                            `${isPathway ? 'access pathway' : `${breached.type} setback`} on ${facetName}`
+                        : `${panel.id} extends past the placement area of ${facetName}`
+                });
+            });
+        });
+
+        const requiredPathways = profile.pathwaysRequired +
+            (profile.pathwaysPerFacet || 0) * facets.length;
+        if (profile.pathwayWidth > 0 && this.pathways.length < requiredPathways) {
+            this.violations.push({
+                type: 'pathway',
+                severity: 'error',
+                message: `${profile.name} requires ${requiredPathways} access pathways; only ${this.pathways.length} could be placed`
+            });
+        }
+
+        this.renderViolations();
+        return this.violations;
+    }
+
+    distanceToEdge(point, start, end) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const lengthSquared = dx * dx + dy * dy || 1;
+        const t = Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared));
+        return window.localProjection.distance(point, { x: start.x + dx * t, y: start.y + dy * t });
+    }
+
+    formatDistance(feet) {
+        if (window.unitSystem) return window.unitSystem.format(feet, 'shortLength', 0);
+        return `${Math.round(feet * 12)} in`;
+    }
+
+    getViolations() {
+        return this.violations;
+    }
+
+    renderViolations() {
+        const container = typeof document !== 'undefined' && document.getElementById('codeViolations');
+        if (!container) return;
+
+        if (!this.isActive()) {
+            container.innerHTML = '';
+            return;
+        }
+
+        if (this.violations.length === 0) {
+            container.innerHTML = `<div class="facet-row">✅ Layout meets ${this.getProfile().name}</div>`;
+            return;
+        }
+
+        container.innerHTML = this.violations.map(violation => `
+            <div class="facet-row">${violation.severity === 'error' ? '⚠️' : 'ℹ️'} ${violation.message}</div>
+        `).join('');
+    }
+
+    // Profile of a fresh instance, for new projects
+    static getDefaults() {
+        return { profileId: 'none', overrides: {} };
+    }
+
+    exportData() {
+        return {
+            profileId: this.profileId,
+            overrides: this.overrides,
+            profile: this.getProfile(),
+            highCoverage: this.highCoverage,
+            edgeTypes: this.edgeTypes,
+            pathways: this.pathways,
+            violations: this.violations
+        };
+    }
+
+    importData(data) {
+        if (!data) return;
+        this.profileId = this.profiles[data.profileId] ? data.profileId : 'none';
+        this.overrides = { ...(data.overrides || {}) };
+    }
+}
+
+// Global instance
+window.fireCodeRules = new FireCodeRules();
@@ -0,0 +1,192 @@
+// js/localProjection.js
+class LocalProjection {
+    constructor() {
+        // WGS84 ellipsoid
+        this.semiMajorAxis = 6378137; // meters
+        this.flattening = 1 / 298.257223563;
+        this.eccentricitySquared = this.flattening * (2 - this.flattening);
+
+        // Local geometry is expressed in feet, matching panel and keepout dimensions
+        this.feetPerMeter = 3.28084;
+
+        this.origin = null;
+        this.originEcef = null;
+    }
+
+    // Tangent plane is centered on the roof; x = east, y = north (feet)
+    setOrigin(origin) {
+        if (!origin) return;
+
+        this.origin = { lat: origin.lat, lng: origin.lng };
+        this.originEcef = this.geodeticToEcef(origin.lat, origin.lng);
+    }
+
+    getOrigin() {
+        return this.origin;
+    }
+
+    toLocal(point) {
+        if (!this.origin) {
+            // First projected point becomes the origin until a roof sets one
+            this.setOrigin(point);
+        }
+
+        const ecef = this.geodeticToEcef(point.lat, point.lng);
+        const dx = ecef.x - this.originEcef.x;
+        const dy = ecef.y - this.originEcef.y;
+        const dz = ecef.z - this.originEcef.z;
+
+        const lat0 = this.origin.lat * Math.PI / 180;
+        const lng0 = this.origin.lng * Math.PI / 180;
+
+        const east = -Math.sin(lng0) * dx + Math.cos(lng0) * dy;
+        const north = -Math.sin(lat0) * Math.cos(lng0) * dx -
+            Math.sin(lat0) * Math.sin(lng0) * dy +
+            Math.cos(lat0) * dz;
+
+        return {
+            x: east * this.feetPerMeter,
+            y: north * this.feetPerMeter
+        };
+    }
+
+    toGeo(local) {
+        const east = local.x / this.feetPerMeter;
+        const north = local.y / this.feetPerMeter;
+
+        const lat0 = this.origin.lat * Math.PI / 180;
+        const lng0 = this.origin.lng * Math.PI / 180;
+
+        // Rotate the tangent-plane offset (up = 0) back into ECEF
+        const x = this.originEcef.x - Math.sin(lng0) * east - Math.sin(lat0) * Math.cos(lng0) * north;
+        const y = this.originEcef.y + Math.cos(lng0) * east - Math.sin(lat0) * Math.sin(lng0) * north;
+        const z = this.originEcef.z + Math.cos(lat0) * north;
+
+        return this.ecefToGeodetic(x, y, z);
+    }
+
+    toLocalPolygon(points) {
+        return points.map(point => this.toLocal(point));
+    }
+
+    toGeoPolygon(points) {
+        return points.map(point => this.toGeo(point));
+    }
+
+    geodeticToEcef(lat, lng, height = 0) {
+        const phi = lat * Math.PI / 180;
+        const lambda = lng * Math.PI / 180;
+        const sinPhi = Math.sin(phi);
+        const N = this.semiMajorAxis / Math.sqrt(1 - this.eccentricitySquared * sinPhi * sinPhi);
+
+        return {
+            x: (N + height) * Math.cos(phi) * Math.cos(lambda),
+            y: (N + height) * Math.cos(phi) * Math.sin(lambda),
+            z: (N * (1 - this.eccentricitySquared) + height) * sinPhi
+        };
+    }
+
+    ecefToGeodetic(x, y, z) {
+        const lambda = Math.atan2(y, x);
+        const p = Math.sqrt(x * x + y * y);
+        let phi = Math.atan2(z, p * (1 - this.eccentricitySquared));
+
+        // Converges to well below a millimeter in a few iterations
+        for (let i = 0; i < 5; i++) {
+            const sinPhi = Math.sin(phi);
+            const N = this.semiMajorAxis / Math.sqrt(1 - this.eccentricitySquared * sinPhi * sinPhi);
+            const height = p / Math.cos(phi) - N;
+            phi = Math.atan2(z, p * (1 - this.eccentricitySquared * N / (N + height)));
+        }
+
+        return {
+            lat: phi * 180 / Math.PI,
+            lng: lambda * 180 / Math.PI
+        };
+    }
+
+    // Planar helpers in local feet
+    distance(a, b) {
+        return Math.sqrt(Math.pow(b.x - a.x, 2) + Math.pow(b.y - a.y, 2));
+    }
+
+    polygonArea(points) {
+        let area = 0;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            area += (points[j].x + points[i].x) * (points[j].y - points[i].y);
+        }
+        return Math.abs(area / 2); // sq ft
+    }
+
+    // Moves every edge inward by its distance and re-intersects neighbouring edges.
+    // distances is a single value in feet or one value per edge (edge i runs from point i to i + 1)
+    insetPolygon(points, distances) {
+        if (points.length < 3) return points;
+
+        const perEdge = Array.isArray(distances)
+            ? distances
+            : points.map(() => distances || 0);
+        if (perEdge.every(distance => !distance)) return points.slice();
+
+        // Inward normal depends on winding; counter-clockwise polygons have positive signed area
+        let signedArea = 0;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            signedArea += (points[j].x - points[i].x) * (points[j].y + points[i].y);
+        }
+        const inward = signedArea < 0 ? -1 : 1;
+
+        const lines = points.map((start, i) => {
+            const end = points[(i + 1) % points.length];
+            const length = this.distance(start, end) || 1;
+            const normal = {
+                x: -(end.y - start.y) / length * inward,
+                y: (end.x - start.x) / length * inward
+            };
+            const offset = perEdge[i] || 0;
+            return {
+                point: { x: start.x + normal.x * offset, y: start.y + normal.y * offset },
+                direction: { x: end.x - start.x, y: end.y - start.y }
+            };
+        });
+
+        const inset = points.map((point, i) => {
+            const previous = lines[(i - 1 + lines.length) % lines.length];
+            const current = lines[i];
+            const denominator = previous.direction.x * current.direction.y - previous.direction.y * current.direction.x;
+
+            // Collinear edges: the offset point on the current edge is the corner
+            if (Math.abs(denominator) < 1e-9) return current.point;
+
+            const dx = current.point.x - previous.point.x;
+            const dy = current.point.y - previous.point.y;
+            const t = (dx * current.direction.y - dy * current.direction.x) / denominator;
+            return {
+                x: previous.point.x + previous.direction.x * t,
+                y: previous.point.y + previous.direction.y * t
+            };
+        });
+
+        // A setback larger than the facet collapses it
+        let insetSignedArea = 0;
+        for (let i = 0, j = inset.length - 1; i < inset.length; j = i++) {
+            insetSignedArea += (inset[j].x - inset[i].x) * (inset[j].y + inset[i].y);
+        }
+        return Math.sign(insetSignedArea) === Math.sign(signedArea) ? inset : [];
+    }
+
+    pointInPolygon(point, polygon) {
+        let inside = false;
+
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            if (((polygon[i].y > point.y) !== (polygon[j].y > point.y)) &&
+                (point.x < (polygon[j].x - polygon[i].x) * (point.y - polygon[i].y) / (polygon[j].y - polygon[i].y) + polygon[i].x)) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    }
+}
+
+// Global instance
+window.localProjection = new LocalProjection();
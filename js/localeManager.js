@@ -0,0 +1,189 @@
+// js/localeManager.js
+class LocaleManager {
+    constructor() {
+        this.ratesUrl = 'data/exchangeRates.json';
+        this.exchangeRates = null; // { base, date, rates: { code: units per base } }
+
+        this.settings = {
+            locale: 'en-CA',       // number and date formatting
+            currency: 'CAD',       // currency results are shown in
+            inputCurrency: 'CAD'   // currency prices, rates and costs are entered in
+        };
+
+        this.locales = {
+            'en-CA': 'English (Canada)',
+            'fr-CA': 'Français (Canada)',
+            'en-US': 'English (US)',
+            'es-US': 'Español (EE. UU.)',
+            'es-MX': 'Español (México)',
+            'en-GB': 'English (UK)',
+            'en-AU': 'English (Australia)',
+            'de-DE': 'Deutsch',
+            'fr-FR': 'Français',
+            'es-ES': 'Español',
+            'it-IT': 'Italiano',
+            'nl-NL': 'Nederlands'
+        };
+    }
+
+    async loadRates(url = this.ratesUrl) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            this.exchangeRates = { base: data.base, date: data.date, rates: data.rates || {} };
+        } catch (error) {
+            console.error('Failed to load exchange rates:', error);
+        }
+
+        this.renderLocaleInputs();
+        return this.exchangeRates;
+    }
+
+    getCurrencies() {
+        const codes = Object.keys(this.exchangeRates?.rates || {});
+        [this.settings.currency, this.settings.inputCurrency].forEach(code => {
+            if (!codes.includes(code)) codes.push(code);
+        });
+        return codes;
+    }
+
+    setSetting(key, value) {
+        if (!(key in this.settings) || !value) return;
+
+        if (key === 'locale') {
+            try {
+                new Intl.NumberFormat(value);
+            } catch (error) {
+                return;
+            }
+        }
+
+        this.settings[key] = value;
+        window.projectManager?.markAsModified();
+        this.refresh();
+    }
+
+    // Everything that prints money or numbers redraws in the new format
+    refresh() {
+        this.renderLocaleInputs();
+        window.costModel?.renderCostInputs();
+        window.financialModel?.renderFinanceInputs();
+        window.statsCalculator?.recalculate();
+        window.panelPlacer?.renderOptimizationResults();
+    }
+
+    // Units of `to` per unit of `from`; null when either currency is missing from the table
+    getRate(from = this.settings.inputCurrency, to = this.settings.currency) {
+        if (from === to) return 1;
+
+        const rates = this.exchangeRates?.rates || {};
+        if (!rates[from] || !rates[to]) return null;
+        return rates[to] / rates[from];
+    }
+
+    convert(amount, from = this.settings.inputCurrency, to = this.settings.currency) {
+        const rate = this.getRate(from, to);
+        return rate === null ? null : amount * rate;
+    }
+
+    // Falls back to the input currency until a rate is available, so amounts are never mislabelled
+    getDisplayCurrency() {
+        return this.getRate() === null ? this.settings.inputCurrency : this.settings.currency;
+    }
+
+    formatNumber(number, decimals = 2) {
+        if (isNaN(number) || number === null || number === undefined) return '0';
+        return number.toLocaleString(this.settings.locale, {
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals
+        });
+    }
+
+    // amount is in the input currency and is shown in the display currency
+    formatCurrency(amount, decimals = 0) {
+        const currency = this.getDisplayCurrency();
+        const converted = this.convert(amount, this.settings.inputCurrency, currency);
+        return new Intl.NumberFormat(this.settings.locale, {
+            style: 'currency',
+            currency: currency,
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals
+        }).format(converted);
+    }
+
+    formatDate(date) {
+        return new Date(date).toLocaleDateString(this.settings.locale);
+    }
+
+    formatDateTime(date) {
+        return new Date(date).toLocaleString(this.settings.locale);
+    }
+
+    getCurrencySymbol(currency = this.settings.inputCurrency) {
+        const parts = new Intl.NumberFormat(this.settings.locale, { style: 'currency', currency: currency })
+            .formatToParts(0);
+        return parts.find(part => part.type === 'currency')?.value || currency;
+    }
+
+    // Recorded with exports so converted figures can be traced to the rate used
+    getExchangeInfo() {
+        return {
+            locale: this.settings.locale,
+            inputCurrency: this.settings.inputCurrency,
+            displayCurrency: this.getDisplayCurrency(),
+            rate: this.getRate(this.settings.inputCurrency, this.getDisplayCurrency()),
+            rateDate: this.exchangeRates?.date || null,
+            rateBase: this.exchangeRates?.base || null
+        };
+    }
+
+    renderLocaleInputs() {
+        const container = typeof document !== 'undefined' && document.getElementById('localeSettings');
+        if (!container) return;
+
+        const settings = this.settings;
+        const options = (entries, selected) => entries.map(([value, label]) =>
+            `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`).join('');
+        const currencies = this.getCurrencies().map(code => [code, code]);
+        const rate = this.getRate();
+
+        container.innerHTML = `
+            <div class="facet-row">
+                <label>Format
+                    <select onchange="updateLocaleSetting('locale', this.value)">${options(Object.entries(this.locales), settings.locale)}</select>
+                </label>
+                <label>Costs entered in
+                    <select onchange="updateLocaleSetting('inputCurrency', this.value)">${options(currencies, settings.inputCurrency)}</select>
+                </label>
+                <label>Show results in
+                    <select onchange="updateLocaleSetting('currency', this.value)">${options(currencies, settings.currency)}</select>
+                </label>
+                <span>${settings.inputCurrency === settings.currency ? ''
+                    : rate === null ? `No rate for ${settings.inputCurrency} → ${settings.currency}; showing ${settings.inputCurrency}`
+                    : `1 ${settings.inputCurrency} = ${this.formatNumber(rate, 4)} ${settings.currency} (rates of ${this.exchangeRates.date})`}</span>
+            </div>
+        `;
+    }
+
+    exportSettings() {
+        return { ...this.settings };
+    }
+
+    importSettings(settings) {
+        const saved = settings || {};
+        const defaults = new LocaleManager().settings;
+        this.settings = {
+            locale: saved.locale || defaults.locale,
+            currency: saved.currency || defaults.currency,
+            // Older projects entered everything in their display currency
+            inputCurrency: saved.inputCurrency || saved.currency || defaults.inputCurrency
+        };
+        this.renderLocaleInputs();
+    }
+}
+
+// Global instance
+window.localeManager = new LocaleManager();
@@ -0,0 +1,185 @@
+// js/lossModel.js
+class LossModel {
+    constructor() {
+        // PVWatts-style loss categories, in percent. Keepout shading is simulated per panel,
+        // so "shading" only covers obstructions that are not drawn on the roof
+        this.categories = [
+            { key: 'soiling', label: 'Soiling', default: 2 },
+            { key: 'shading', label: 'Shading (not modeled)', default: 0 },
+            { key: 'snow', label: 'Snow', default: 0 },
+            { key: 'mismatch', label: 'Mismatch', default: 2 },
+            { key: 'wiring', label: 'Wiring', default: 2 },
+            { key: 'connections', label: 'Connections', default: 0.5 },
+            { key: 'lightInducedDegradation', label: 'Light-induced degradation', default: 1.5 },
+            { key: 'nameplateRating', label: 'Nameplate rating', default: 1 },
+            { key: 'age', label: 'Age', default: 0 },
+            { key: 'availability', label: 'Availability', default: 3 }
+        ];
+
+        // Mismatch depends on the power electronics, so the architecture model applies it
+        this.dcKeys = this.categories.map(category => category.key).filter(key => key !== 'mismatch');
+
+        // Inverter efficiency against DC input as a fraction of AC rating
+        this.defaultInverterCurve = [
+            { load: 0.05, efficiency: 0.90 },
+            { load: 0.10, efficiency: 0.94 },
+            { load: 0.20, efficiency: 0.96 },
+            { load: 0.30, efficiency: 0.965 },
+            { load: 0.50, efficiency: 0.97 },
+            { load: 0.75, efficiency: 0.97 },
+            { load: 1.00, efficiency: 0.965 }
+        ];
+        this.defaultDcAcRatio = 1.2; // Used to size the inverter when no string design exists
+
+        this.losses = this.getDefaultLosses();
+        this.inverterCurve = this.defaultInverterCurve.map(point => ({ ...point }));
+    }
+
+    getDefaultLosses() {
+        const losses = {};
+        this.categories.forEach(category => {
+            losses[category.key] = category.default;
+        });
+        return losses;
+    }
+
+    setLoss(key, percent) {
+        if (!this.categories.some(category => category.key === key)) return;
+
+        const value = parseFloat(percent);
+        this.losses[key] = isNaN(value) ? 0 : Math.max(0, Math.min(100, value));
+        this.onChange();
+    }
+
+    setInverterCurvePoint(index, efficiencyPercent) {
+        const point = this.inverterCurve[index];
+        const value = parseFloat(efficiencyPercent);
+        if (!point || isNaN(value)) return;
+
+        point.efficiency = Math.max(0, Math.min(1, value / 100));
+        this.onChange();
+    }
+
+    onChange() {
+        window.projectManager?.markAsModified();
+        window.statsCalculator?.recalculate();
+    }
+
+    getLoss(key) {
+        return (this.losses[key] || 0) / 100;
+    }
+
+    // The snow model replaces the flat snow percentage with monthly losses
+    isModeled(key) {
+        return key === 'snow' && !!window.snowModel?.enabled;
+    }
+
+    // Product of every DC-side loss except mismatch and modeled losses
+    getDcDerate() {
+        return this.dcKeys
+            .filter(key => !this.isModeled(key))
+            .reduce((derate, key) => derate * (1 - this.getLoss(key)), 1);
+    }
+
+    // Single-number derate for quick estimates such as the layout optimizer
+    getSystemDerate() {
+        return this.getDcDerate() * (1 - this.getLoss('mismatch')) * this.getInverterEfficiency(0.5);
+    }
+
+    // Interpolated efficiency; the curve is scaled so its peak matches the inverter's rated efficiency
+    getInverterEfficiency(loadFraction, ratedEfficiency = null) {
+        const curve = this.inverterCurve;
+        if (loadFraction <= 0) return 0;
+
+        let efficiency;
+        if (loadFraction <= curve[0].load) {
+            efficiency = curve[0].efficiency * loadFraction / curve[0].load;
+        } else if (loadFraction >= curve[curve.length - 1].load) {
+            efficiency = curve[curve.length - 1].efficiency;
+        } else {
+            const upper = curve.findIndex(point => point.load >= loadFraction);
+            const a = curve[upper - 1];
+            const b = curve[upper];
+            efficiency = a.efficiency + (b.efficiency - a.efficiency) * (loadFraction - a.load) / (b.load - a.load);
+        }
+
+        if (ratedEfficiency) {
+            const peak = Math.max(...curve.map(point => point.efficiency));
+            efficiency *= ratedEfficiency / peak;
+        }
+
+        return efficiency;
+    }
+
+    // Energy left after each step, starting from the unshaded array output before any losses
+    buildWaterfall(steps) {
+        const waterfall = [];
+        let energy = steps.start;
+
+        waterfall.push({ label: 'Array output at plane of array', energy: energy, loss: 0, percent: 0 });
+
+        steps.items.forEach(item => {
+            const after = item.energyAfter !== undefined ? item.energyAfter : energy * (1 - item.fraction);
+            waterfall.push({
+                label: item.label,
+                loss: energy - after,
+                percent: energy > 0 ? (energy - after) / energy * 100 : 0,
+                energy: after
+            });
+            energy = after;
+        });
+
+        return waterfall;
+    }
+
+    // modeled holds yearly fractions for losses simulated elsewhere, keyed like the categories
+    getDcLossSteps(modeled = {}) {
+        return this.dcKeys.map(key => ({
+            label: this.categories.find(category => category.key === key).label +
+                (modeled[key] !== undefined ? ' (monthly model)' : ''),
+            fraction: modeled[key] !== undefined ? modeled[key] : (this.isModeled(key) ? 0 : this.getLoss(key))
+        }));
+    }
+
+    renderLossInputs() {
+        const container = typeof document !== 'undefined' && document.getElementById('lossSettings');
+        if (!container) return;
+
+        const lossInputs = this.categories.map(category => `
+            <label>${category.label} %
+                <input type="number" min="0" max="100" step="0.1" value="${this.losses[category.key]}"
+                    ${this.isModeled(category.key) ? 'disabled title="Set by the snow model"' : ''}
+                    onchange="updateLoss('${category.key}', this.value)">
+            </label>
+        `).join('');
+
+        const curveInputs = this.inverterCurve.map((point, index) => `
+            <label>${Math.round(point.load * 100)}% load
+                <input type="number" min="0" max="100" step="0.1" value="${(point.efficiency * 100).toFixed(1)}"
+                    onchange="updateInverterCurve(${index}, this.value)">
+            </label>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="facet-row">${lossInputs}</div>
+            <div class="facet-row"><strong>Inverter efficiency %</strong>${curveInputs}</div>
+        `;
+    }
+
+    exportSettings() {
+        return {
+            losses: { ...this.losses },
+            inverterCurve: this.inverterCurve.map(point => ({ ...point }))
+        };
+    }
+
+    importSettings(settings) {
+        this.losses = { ...this.getDefaultLosses(), ...(settings?.losses || {}) };
+        this.inverterCurve = (settings?.inverterCurve?.length ? settings.inverterCurve : this.defaultInverterCurve)
+            .map(point => ({ ...point }));
+        this.renderLossInputs();
+    }
+}
+
+// Global instance
+window.lossModel = new LossModel();
@@ -41,7 +41,7 @@ class SolarAnalyzerApp {
         // Initialize project name field
         const projectNameField = document.getElementById('projectName');
         if (projectNameField && !projectNameField.value) {
-            projectNameField.value = 'My Solar Project ' + new Date().toLocaleDateString();
+            projectNameField.value = 'My Solar Project ' + this.formatDate(new Date());
         }
         
         // Initialize any UI components that need setup
@@ -98,7 +98,7 @@ class SolarAnalyzerApp {
     initializeModules() {
         // Modules are already initialized via their constructors
         // Just verify they're available
-        const modules = ['mapManager', 'roofDetector', 'panelPlacer', 'model3D', 'projectManager', 'statsCalculator'];
+        const modules = ['localProjection', 'localeManager', 'unitSystem', 'solarEngine', 'weatherManager', 'shadingAnalyzer', 'fireCodeRules', 'moduleCatalog', 'electricalDesigner', 'lossModel', 'snowModel', 'consumptionManager', 'tariffEngine', 'batteryModel', 'costModel', 'emissionsModel', 'financialModel', 'mapManager', 'roofDetector', 'panelPlacer', 'model3D', 'projectManager', 'statsCalculator', 'chartRenderer', 'proposalGenerator'];
         
         modules.forEach(module => {
             if (window[module]) {
@@ -107,6 +107,40 @@ class SolarAnalyzerApp {
                 console.warn(`⚠️ ${module} not found`);
             }
         });
+        
+        window.localeManager?.renderLocaleInputs();
+        window.unitSystem?.updateStaticLabels();
+        window.lossModel?.renderLossInputs();
+        window.snowModel?.renderSnowInputs();
+        window.weatherManager?.renderUtcOffsetInput();
+        window.financialModel?.renderFinanceInputs();
+        window.consumptionManager?.renderUsageInputs();
+        window.batteryModel?.renderBatteryInputs();
+        window.costModel?.renderCostInputs();
+        window.emissionsModel?.renderEmissionsInputs();
+        window.chartRenderer?.render();
+        
+        // Bundled module and inverter catalogs are fetched in the background;
+        // strings can be sized once both are in
+        Promise.all([
+            window.moduleCatalog?.loadCatalog(),
+            window.electricalDesigner?.loadCatalog()
+        ]).then(() => {
+            if (window.panelPlacer?.getPanelCount() > 0) {
+                window.electricalDesigner?.designSystem();
+            }
+        });
+        
+        // Savings fall back to a flat rate until the tariff library is in,
+        // avoided emissions stay at zero until the regional factors are,
+        // and money shows in the input currency until exchange rates are
+        Promise.all([
+            window.tariffEngine?.loadCatalog(),
+            window.emissionsModel?.loadCatalog(),
+            window.localeManager?.loadRates()
+        ]).then(() => {
+            window.statsCalculator?.recalculate();
+        });
     }
 
     setupToolTips() {
@@ -116,7 +150,10 @@ class SolarAnalyzerApp {
             'startRoofDetection': 'Click to manually outline the roof area',
             'generate3DModel': 'Generate a 3D visualization of your solar installation',
             'saveProject': 'Save your current project to browser storage',
-            'exportProject': 'Download your project as a JSON file'
+            'exportProject': 'Download your project as a JSON file',
+            'exportHourlyCsv': 'Download the 8760-hour simulation as CSV',
+            'exportHourlyJson': 'Download the 8760-hour simulation as JSON',
+            'exportProposal': 'Download a PDF proposal with site, 3D, layout, production and financial pages'
         };
         
         Object.entries(tooltips).forEach(([id, text]) => {
@@ -249,6 +286,232 @@ class SolarAnalyzerApp {
         if (window.mapManager) {
             window.mapManager.clearRoofDetection();
         }
+        
+        const facetList = document.getElementById('facetList');
+        if (facetList) {
+            facetList.innerHTML = '';
+        }
+    }
+
+    addRoofFacet() {
+        if (window.mapManager) {
+            window.mapManager.startFacetDrawing();
+        }
+    }
+
+    splitRoofAtRidge() {
+        if (window.mapManager) {
+            window.mapManager.startRidgeDrawing();
+        }
+    }
+
+    updateFacet(index, key, value) {
+        if (window.roofDetector) {
+            window.roofDetector.updateFacet(index, key, value);
+        }
+    }
+
+    setGridReference(facetId, edgeIndex) {
+        if (window.panelPlacer) {
+            window.panelPlacer.setReferenceEdge(facetId, edgeIndex);
+        }
+    }
+
+    selectModule(moduleId) {
+        if (window.moduleCatalog?.selectModule(moduleId)) {
+            const module = window.moduleCatalog.getSelectedModule();
+            this.showNotification(`Module: ${module.manufacturer} ${module.model}`, 'success');
+            window.projectManager?.markAsModified();
+        }
+    }
+
+    setArchitecture(architecture) {
+        if (window.statsCalculator) {
+            window.statsCalculator.setArchitecture(architecture);
+            window.projectManager?.markAsModified();
+        }
+    }
+
+    updateLoss(key, percent) {
+        window.lossModel?.setLoss(key, percent);
+    }
+
+    updateInverterCurve(index, efficiencyPercent) {
+        window.lossModel?.setInverterCurvePoint(index, efficiencyPercent);
+    }
+
+    // Inputs arrive in the project's display units; models store feet, centimetres and °C
+    fromDisplayUnits(value, quantity) {
+        return window.unitSystem ? window.unitSystem.fromDisplay(value, quantity) : parseFloat(value);
+    }
+
+    updateSnowTable(month, key, value) {
+        const quantities = { snowfall: 'snowfall', temperature: 'temperature' };
+        const stored = quantities[key] ? this.fromDisplayUnits(value, quantities[key]) : value;
+        window.snowModel?.setTableValue(month, key, stored);
+    }
+
+    setSnowModelEnabled(enabled) {
+        window.snowModel?.setEnabled(enabled);
+    }
+
+    setSnowClearance(value) {
+        window.snowModel?.setClearance(this.fromDisplayUnits(value, 'length'));
+    }
+
+    importUsage(event) {
+        const file = event.target.files[0];
+        if (file && window.consumptionManager) {
+            window.consumptionManager.importConsumptionFile(file);
+        }
+        
+        // Reset file input
+        event.target.value = '';
+    }
+
+    useMonthlyUsage() {
+        const inputs = document.querySelectorAll('#usageSettings .usage-month');
+        window.consumptionManager?.setMonthlyTotals(Array.from(inputs).map(input => input.value));
+    }
+
+    setTargetOffset(percent) {
+        window.consumptionManager?.setTargetOffset(percent);
+    }
+
+    applySuggestedSize() {
+        const suggestion = window.statsCalculator?.energyBalance?.suggestedSize;
+        if (!suggestion || !window.panelPlacer) return;
+        
+        window.panelPlacer.setMaxPanelCount(suggestion.panelCount);
+        window.projectManager?.markAsModified();
+        this.showNotification(`Sized to usage: up to ${suggestion.panelCount} panels`, 'success');
+    }
+
+    clearPanelCap() {
+        window.panelPlacer?.setMaxPanelCount(null);
+        window.projectManager?.markAsModified();
+    }
+
+    updateBatterySetting(key, value) {
+        window.batteryModel?.setSetting(key, value);
+    }
+
+    updateCostSetting(path, value) {
+        window.costModel?.setSetting(path, value);
+    }
+
+    updateEmissionsSetting(key, value) {
+        window.emissionsModel?.setSetting(key, value);
+    }
+
+    updateLocaleSetting(key, value) {
+        window.localeManager?.setSetting(key, value);
+    }
+
+    selectTariff(tariffId) {
+        if (window.tariffEngine?.selectTariff(tariffId)) {
+            window.projectManager?.markAsModified();
+        }
+    }
+
+    importTariffs(event) {
+        const file = event.target.files[0];
+        if (file && window.tariffEngine) {
+            window.tariffEngine.importCatalogFile(file);
+        }
+        
+        // Reset file input
+        event.target.value = '';
+    }
+
+    updateFinanceSetting(path, value) {
+        window.financialModel?.setSetting(path, value);
+    }
+
+    selectInverter(inverterId) {
+        if (window.electricalDesigner?.selectInverter(inverterId)) {
+            window.projectManager?.markAsModified();
+        }
+    }
+
+    importInverters(event) {
+        const file = event.target.files[0];
+        if (file && window.electricalDesigner) {
+            window.electricalDesigner.importCatalogFile(file);
+        }
+        
+        // Reset file input
+        event.target.value = '';
+    }
+
+    importModules(event) {
+        const file = event.target.files[0];
+        if (file && window.moduleCatalog) {
+            window.moduleCatalog.importCatalogFile(file);
+        }
+        
+        // Reset file input
+        event.target.value = '';
+    }
+
+    setFireCodeProfile(profileId) {
+        if (window.fireCodeRules) {
+            window.fireCodeRules.setProfile(profileId);
+            window.projectManager?.markAsModified();
+        }
+    }
+
+    optimizeLayout() {
+        if (!window.roofDetector?.getRoofData()) {
+            this.showNotification('Please detect a roof first!', 'error');
+            return;
+        }
+        
+        if (window.panelPlacer) {
+            window.panelPlacer.setLayoutMode('optimized', {
+                objective: document.getElementById('optimizerObjective')?.value || 'count',
+                allowMixed: !!document.getElementById('optimizerMixed')?.checked
+            });
+            this.showNotification(`Optimized layout: ${window.panelPlacer.getPanelCount()} panels`, 'success');
+        }
+    }
+
+    useGridLayout() {
+        if (window.panelPlacer) {
+            window.panelPlacer.setLayoutMode('grid');
+        }
+    }
+
+    setEdgeSetback(value) {
+        if (window.panelPlacer) {
+            window.panelPlacer.setEdgeSetback(this.fromDisplayUnits(value, 'length'));
+        }
+    }
+
+    updateKeepout(index, key, value) {
+        if (window.roofDetector) {
+            window.roofDetector.updateKeepout(index, key, this.fromDisplayUnits(value, 'length'));
+            window.projectManager?.markAsModified();
+        }
+    }
+
+    setUnits(units) {
+        window.unitSystem?.setUnits(units);
+    }
+
+    setUtcOffset(value) {
+        if (window.weatherManager) {
+            window.weatherManager.setUtcOffset(value);
+            window.projectManager?.markAsModified();
+        }
+    }
+
+    setChartView(view) {
+        window.chartRenderer?.setView(view);
+    }
+
+    setChartMonth(month) {
+        window.chartRenderer?.setMonth(month);
     }
 
     generate3DModel() {
@@ -302,8 +565,12 @@ class SolarAnalyzerApp {
         
         // Create new project
         if (window.projectManager) {
-            const projectName = 'New Project ' + new Date().toLocaleDateString();
-            window.projectManager.createNewProject(projectName);
+            const projectName = 'New Project ' + this.formatDate(new Date());
+            const project = window.projectManager.createNewProject(projectName);
+            
+            // Every module starts over, so nothing carries over from the previous customer
+            window.projectManager.applyProject(project);
+            window.statsCalculator?.recalculate();
             
             const projectNameInput = document.getElementById('projectName');
             if (projectNameInput) {
@@ -345,6 +612,12 @@ class SolarAnalyzerApp {
         }
     }
 
+    exportHourly(format) {
+        if (window.projectManager) {
+            window.projectManager.exportHourlyResults(format);
+        }
+    }
+
     importProject(event) {
         const file = event.target.files[0];
         if (file && window.projectManager) {
@@ -355,7 +628,21 @@ class SolarAnalyzerApp {
         event.target.value = '';
     }
 
+    importWeather(event) {
+        const file = event.target.files[0];
+        if (file && window.weatherManager) {
+            window.weatherManager.importWeatherFile(file);
+        }
+        
+        // Reset file input
+        event.target.value = '';
+    }
+
     // Utility methods
+    formatDate(date) {
+        return window.localeManager ? window.localeManager.formatDate(date) : new Date(date).toLocaleDateString();
+    }
+
     showNotification(message, type = 'info', duration = 4000) {
         const notification = document.createElement('div');
         notification.className = `notification ${type}`;
@@ -466,6 +753,29 @@ class SolarAnalyzerApp {
         }, 1000);
     }
 
+    async exportProposal() {
+        if (!window.projectManager?.getCurrentProject() || !window.proposalGenerator) {
+            this.showNotification('No project data available for a proposal', 'error');
+            return;
+        }
+        
+        this.showLoadingModal('Building proposal PDF...');
+        
+        try {
+            const downloaded = await window.proposalGenerator.download();
+            if (downloaded) {
+                this.showNotification('Proposal downloaded', 'success');
+            } else {
+                this.showNotification('Failed to build the proposal', 'error');
+            }
+        } catch (error) {
+            console.error('Proposal generation failed:', error);
+            this.showNotification('Failed to build the proposal', 'error');
+        } finally {
+            this.hideLoadingModal();
+        }
+    }
+
     showProjectSelector() {
         const projects = window.projectManager?.getProjectsList() || [];
         
@@ -527,8 +837,8 @@ class SolarAnalyzerApp {
             projectDiv.innerHTML = `
                 <h3 style="margin: 0 0 5px 0; color: #333;">${project.name}</h3>
                 <p style="margin: 0; color: #666; font-size: 14px;">
-                    Created: ${new Date(project.createdAt).toLocaleDateString()}<br>
-                    Modified: ${new Date(project.lastModified).toLocaleDateString()}
+                    Created: ${this.formatDate(project.createdAt)}<br>
+                    Modified: ${this.formatDate(project.lastModified)}
                 </p>
             `;
             
@@ -759,6 +1069,146 @@ function clearRoofDetection() {
     window.solarApp.clearRoofDetection();
 }
 
+function addRoofFacet() {
+    window.solarApp.addRoofFacet();
+}
+
+function splitRoofAtRidge() {
+    window.solarApp.splitRoofAtRidge();
+}
+
+function updateFacet(index, key, value) {
+    window.solarApp.updateFacet(index, key, value);
+}
+
+function setGridReference(facetId, edgeIndex) {
+    window.solarApp.setGridReference(facetId, edgeIndex);
+}
+
+function selectModule(moduleId) {
+    window.solarApp.selectModule(moduleId);
+}
+
+function setArchitecture(architecture) {
+    window.solarApp.setArchitecture(architecture);
+}
+
+function updateLoss(key, percent) {
+    window.solarApp.updateLoss(key, percent);
+}
+
+function updateInverterCurve(index, efficiencyPercent) {
+    window.solarApp.updateInverterCurve(index, efficiencyPercent);
+}
+
+function updateSnowTable(month, key, value) {
+    window.solarApp.updateSnowTable(month, key, value);
+}
+
+function setSnowModelEnabled(enabled) {
+    window.solarApp.setSnowModelEnabled(enabled);
+}
+
+function setSnowClearance(value) {
+    window.solarApp.setSnowClearance(value);
+}
+
+function importUsage(event) {
+    window.solarApp.importUsage(event);
+}
+
+function useMonthlyUsage() {
+    window.solarApp.useMonthlyUsage();
+}
+
+function setTargetOffset(percent) {
+    window.solarApp.setTargetOffset(percent);
+}
+
+function applySuggestedSize() {
+    window.solarApp.applySuggestedSize();
+}
+
+function clearPanelCap() {
+    window.solarApp.clearPanelCap();
+}
+
+function updateBatterySetting(key, value) {
+    window.solarApp.updateBatterySetting(key, value);
+}
+
+function updateCostSetting(path, value) {
+    window.solarApp.updateCostSetting(path, value);
+}
+
+function updateEmissionsSetting(key, value) {
+    window.solarApp.updateEmissionsSetting(key, value);
+}
+
+function updateLocaleSetting(key, value) {
+    window.solarApp.updateLocaleSetting(key, value);
+}
+
+function selectTariff(tariffId) {
+    window.solarApp.selectTariff(tariffId);
+}
+
+function importTariffs(event) {
+    window.solarApp.importTariffs(event);
+}
+
+function updateFinanceSetting(path, value) {
+    window.solarApp.updateFinanceSetting(path, value);
+}
+
+function selectInverter(inverterId) {
+    window.solarApp.selectInverter(inverterId);
+}
+
+function importInverters(event) {
+    window.solarApp.importInverters(event);
+}
+
+function importModules(event) {
+    window.solarApp.importModules(event);
+}
+
+function setFireCodeProfile(profileId) {
+    window.solarApp.setFireCodeProfile(profileId);
+}
+
+function optimizeLayout() {
+    window.solarApp.optimizeLayout();
+}
+
+function useGridLayout() {
+    window.solarApp.useGridLayout();
+}
+
+function setEdgeSetback(value) {
+    window.solarApp.setEdgeSetback(value);
+}
+
+function updateKeepout(index, key, value) {
+    window.solarApp.updateKeepout(index, key, value);
+}
+
+function setUnits(units) {
+    window.solarApp.setUnits(units);
+}
+
+function setUtcOffset(value) {
+    window.solarApp.setUtcOffset(value);
+}
+
+function setChartView(view) {
+    window.solarApp.setChartView(view);
+}
+
+function setChartMonth(month) {
+    window.solarApp.setChartMonth(month);
+}
+
 function generate3DModel() {
     window.solarApp.generate3DModel();
 }
@@ -783,10 +1233,22 @@ function exportProject() {
     window.solarApp.exportProject();
 }
 
+function exportHourly(format) {
+    window.solarApp.exportHourly(format);
+}
+
+function exportProposal() {
+    window.solarApp.exportProposal();
+}
+
 function importProject(event) {
     window.solarApp.importProject(event);
 }
 
+function importWeather(event) {
+    window.solarApp.importWeather(event);
+}
+
 // Initialize Google Maps callback
 function initMap() {
     if (window.mapManager) {
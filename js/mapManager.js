@@ -5,13 +5,17 @@ class MapManager {
         this.geocoder = null;
         this.currentMarker = null;
         this.roofPolygon = null;
+        this.facetPolygons = [];
+        this.facetColors = ['#FF0000', '#FF9900', '#33CC33', '#3399FF', '#CC33FF', '#FFFF00'];
         this.drawingManager = null;
         this.isDrawingMode = false;
+        this.drawingTarget = 'roof'; // 'roof', 'facet' or 'ridge'
+        this.defaultLocation = { lat: 40.7128, lng: -74.0060 };
     }
 
     initMap() {
         // Default location (you can change this)
-        const defaultLocation = { lat: 40.7128, lng: -74.0060 };
+        const defaultLocation = this.defaultLocation;
         
         this.map = new google.maps.Map(document.getElementById('map'), {
             zoom: 18,
@@ -40,6 +44,10 @@ class MapManager {
                 fillOpacity: 0.35,
                 editable: true,
                 draggable: true
+            },
+            polylineOptions: {
+                strokeColor: '#FFFFFF',
+                strokeWeight: 3
             }
         });
 
@@ -50,6 +58,11 @@ class MapManager {
             this.handlePolygonComplete(polygon);
         });
 
+        // Ridge lines split an existing facet in two
+        this.drawingManager.addListener('polylinecomplete', (polyline) => {
+            this.handlePolylineComplete(polyline);
+        });
+
         // Map click listener for roof detection
         this.map.addListener('click', (event) => {
             if (this.isDrawingMode) {
@@ -99,8 +112,46 @@ class MapManager {
     }
 
     startRoofDetection() {
+        this.startDrawing('roof', google.maps.drawing.OverlayType.POLYGON, [
+            'Click around the roof perimeter to outline it',
+            'Click the starting point again to complete'
+        ]);
+    }
+
+    startFacetDrawing() {
+        if (this.facetPolygons.length === 0) {
+            this.startRoofDetection();
+            return;
+        }
+        
+        this.startDrawing('facet', google.maps.drawing.OverlayType.POLYGON, [
+            'Outline one roof plane (facet)',
+            'Click the starting point again to complete'
+        ]);
+    }
+
+    startRidgeDrawing() {
+        if (this.facetPolygons.length === 0) {
+            alert('Outline the roof before drawing a ridge line');
+            return;
+        }
+        
+        this.startDrawing('ridge', google.maps.drawing.OverlayType.POLYLINE, [
+            'Click both ends of the ridge line across the roof',
+            'Double-click to finish the line'
+        ]);
+    }
+
+    startDrawing(target, overlayType, messages) {
         this.isDrawingMode = true;
-        this.drawingManager.setDrawingMode(google.maps.drawing.OverlayType.POLYGON);
+        this.drawingTarget = target;
+        this.drawingManager.setDrawingMode(overlayType);
+        
+        // Replace any instructions left from a previous drawing
+        const existing = document.getElementById('drawingInstructions');
+        if (existing) {
+            existing.remove();
+        }
         
         // Show instructions
         const instructions = document.createElement('div');
@@ -108,8 +159,7 @@ class MapManager {
         instructions.innerHTML = `
             <div style="background: rgba(0,0,0,0.8); color: white; padding: 15px; border-radius: 10px; position: fixed; top: 20px; right: 20px; z-index: 1000;">
                 <h3>🖱️ Roof Detection Mode</h3>
-                <p>Click around the roof perimeter to outline it</p>
-                <p>Click the starting point again to complete</p>
+                ${messages.map(message => `<p>${message}</p>`).join('')}
                 <button onclick="this.parentElement.parentElement.remove(); mapManager.stopDrawing();" style="margin-top: 10px; padding: 5px 15px; background: #ff4444; color: white; border: none; border-radius: 5px; cursor: pointer;">Cancel</button>
             </div>
         `;
@@ -121,7 +171,7 @@ class MapManager {
         this.drawingManager.setDrawingMode(null);
     }
 
-    handlePolygonComplete(polygon) {
+    finishDrawing() {
         this.isDrawingMode = false;
         this.drawingManager.setDrawingMode(null);
         
@@ -130,16 +180,105 @@ class MapManager {
         if (instructions) {
             instructions.remove();
         }
+    }
+
+    handlePolygonComplete(polygon) {
+        this.finishDrawing();
         
-        // Clear previous roof polygon
-        if (this.roofPolygon) {
-            this.roofPolygon.setMap(null);
+        if (this.drawingTarget === 'facet') {
+            // Additional roof plane
+            this.addFacetPolygon(polygon);
+        } else {
+            // New outline replaces the previous roof and all its facets
+            this.clearFacetPolygons();
+            this.addFacetPolygon(polygon);
         }
         
-        this.roofPolygon = polygon;
+        this.updateRoof();
+    }
+
+    handlePolylineComplete(polyline) {
+        this.finishDrawing();
+        
+        const path = polyline.getPath();
+        const start = path.getAt(0);
+        const end = path.getAt(path.getLength() - 1);
+        polyline.setMap(null);
         
+        const ridge = [
+            { lat: start.lat(), lng: start.lng() },
+            { lat: end.lat(), lng: end.lng() }
+        ];
+        
+        // Split the first facet the ridge line crosses
+        for (let i = 0; i < this.facetPolygons.length; i++) {
+            const coordinates = this.getPolygonCoordinates(this.facetPolygons[i]);
+            const halves = window.roofDetector?.splitPolygonAtLine(coordinates, ridge[0], ridge[1]);
+            
+            if (halves) {
+                const pitch = this.facetPolygons[i].get('pitch');
+                this.facetPolygons[i].setMap(null);
+                
+                const newPolygons = halves.map(half => {
+                    const facetPolygon = this.createFacetPolygon(half.coordinates);
+                    facetPolygon.set('azimuth', half.azimuth);
+                    if (pitch !== undefined) {
+                        facetPolygon.set('pitch', pitch);
+                    }
+                    return facetPolygon;
+                });
+                
+                this.facetPolygons.splice(i, 1, ...newPolygons);
+                this.refreshFacetStyles();
+                this.updateRoof();
+                return;
+            }
+        }
+        
+        alert('The ridge line must cross a roof outline exactly twice');
+    }
+
+    addFacetPolygon(polygon) {
+        this.facetPolygons.push(polygon);
+        this.roofPolygon = this.facetPolygons[0];
+        this.refreshFacetStyles();
+    }
+
+    createFacetPolygon(coordinates) {
+        return new google.maps.Polygon({
+            paths: coordinates,
+            map: this.map,
+            strokeOpacity: 0.8,
+            strokeWeight: 2,
+            fillOpacity: 0.35,
+            editable: false
+        });
+    }
+
+    refreshFacetStyles() {
+        this.facetPolygons.forEach((polygon, index) => {
+            const color = this.facetColors[index % this.facetColors.length];
+            polygon.setOptions({ strokeColor: color, fillColor: color });
+        });
+        this.roofPolygon = this.facetPolygons[0] || null;
+    }
+
+    clearFacetPolygons() {
+        this.facetPolygons.forEach(polygon => polygon.setMap(null));
+        this.facetPolygons = [];
+        this.roofPolygon = null;
+    }
+
+    setFacetOverride(index, key, value) {
+        const polygon = this.facetPolygons[index];
+        if (polygon) {
+            polygon.set(key, value);
+        }
+    }
+
+    updateRoof() {
         // Extract roof data
-        const roofData = this.extractRoofData(polygon);
+        const roofData = this.extractRoofData(this.facetPolygons);
         
         // Notify other modules
         if (window.roofDetector) {
@@ -156,7 +295,7 @@ class MapManager {
         }
     }
 
-    extractRoofData(polygon) {
+    getPolygonCoordinates(polygon) {
         const path = polygon.getPath();
         const coordinates = [];
         
@@ -168,37 +307,95 @@ class MapManager {
             });
         }
         
+        return coordinates;
+    }
+
+    extractFacetData(polygon, index) {
+        const coordinates = this.getPolygonCoordinates(polygon);
+        
         // Calculate area using Google Maps geometry library
-        const area = google.maps.geometry.spherical.computeArea(path);
-        const areaInSqFt = area * 10.764; // Convert to square feet
+        const area = google.maps.geometry.spherical.computeArea(polygon.getPath());
         
-        // Estimate roof pitch and azimuth (simplified)
         const bounds = new google.maps.LatLngBounds();
         coordinates.forEach(coord => bounds.extend(coord));
         const center = bounds.getCenter();
         
-        // Calculate azimuth based on building orientation
-        const azimuth = this.calculateAzimuth(coordinates);
+        // Manually entered values take precedence over the estimates
+        const azimuth = polygon.get('azimuth') ?? this.calculateAzimuth(coordinates);
+        const pitch = polygon.get('pitch') ?? 30; // Default pitch, can be enhanced with elevation data
         
         return {
+            id: `facet_${index + 1}`,
+            name: `Facet ${index + 1}`,
             coordinates,
-            area: areaInSqFt,
+            area: area * 10.764, // Convert to square feet
             center: {
                 lat: center.lat(),
                 lng: center.lng()
             },
             azimuth: azimuth,
-            pitch: 30, // Default pitch, can be enhanced with elevation data
-            polygon: polygon
+            pitch: pitch
+        };
+    }
+
+    extractRoofData(polygons) {
+        polygons = Array.isArray(polygons) ? polygons : [polygons];
+        const facets = polygons.map((polygon, index) => this.extractFacetData(polygon, index));
+        
+        // Overall outline spanning every facet
+        const allCoordinates = facets.flatMap(facet => facet.coordinates);
+        const coordinates = facets.length === 1 ? facets[0].coordinates : this.calculateOutline(allCoordinates);
+        
+        const bounds = new google.maps.LatLngBounds();
+        allCoordinates.forEach(coord => bounds.extend(coord));
+        const center = bounds.getCenter();
+        
+        // Roof-level orientation follows the largest facet
+        const primary = facets.reduce((largest, facet) => (facet.area > largest.area ? facet : largest), facets[0]);
+        
+        return {
+            coordinates,
+            area: facets.reduce((total, facet) => total + facet.area, 0),
+            center: {
+                lat: center.lat(),
+                lng: center.lng()
+            },
+            azimuth: primary.azimuth,
+            pitch: primary.pitch,
+            facets: facets
         };
     }
 
+    calculateOutline(coordinates) {
+        // Convex hull (monotone chain) of all facet vertices
+        const points = [...coordinates].sort((a, b) => a.lng - b.lng || a.lat - b.lat);
+        const cross = (o, a, b) => (a.lng - o.lng) * (b.lat - o.lat) - (a.lat - o.lat) * (b.lng - o.lng);
+        
+        const lower = [];
+        points.forEach(point => {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) {
+                lower.pop();
+            }
+            lower.push(point);
+        });
+        
+        const upper = [];
+        points.slice().reverse().forEach(point => {
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) {
+                upper.pop();
+            }
+            upper.push(point);
+        });
+        
+        return lower.slice(0, -1).concat(upper.slice(0, -1));
+    }
+
     calculateAzimuth(coordinates) {
         if (coordinates.length < 2) return 180; // Default south-facing
         
         // Find the longest edge to determine building orientation
         let maxLength = 0;
-        let azimuth = 180;
+        let longestEdge = null;
         
         for (let i = 0; i < coordinates.length; i++) {
             const start = coordinates[i];
@@ -211,16 +408,32 @@ class MapManager {
             
             if (length > maxLength) {
                 maxLength = length;
-                // Calculate bearing
-                const bearing = google.maps.geometry.spherical.computeHeading(
-                    new google.maps.LatLng(start.lat, start.lng),
-                    new google.maps.LatLng(end.lat, end.lng)
-                );
-                azimuth = (bearing + 90) % 360; // Perpendicular to longest edge
+                longestEdge = [start, end];
             }
         }
         
-        return azimuth;
+        // Perpendicular to the longest edge (treated as the eave), facing away from the facet
+        const bearing = google.maps.geometry.spherical.computeHeading(
+            new google.maps.LatLng(longestEdge[0].lat, longestEdge[0].lng),
+            new google.maps.LatLng(longestEdge[1].lat, longestEdge[1].lng)
+        );
+        const centroid = {
+            lat: coordinates.reduce((sum, c) => sum + c.lat, 0) / coordinates.length,
+            lng: coordinates.reduce((sum, c) => sum + c.lng, 0) / coordinates.length
+        };
+        const edgeMidpoint = new google.maps.LatLng(
+            (longestEdge[0].lat + longestEdge[1].lat) / 2,
+            (longestEdge[0].lng + longestEdge[1].lng) / 2
+        );
+        const outward = google.maps.geometry.spherical.computeHeading(
+            new google.maps.LatLng(centroid.lat, centroid.lng),
+            edgeMidpoint
+        );
+        
+        const candidate = (bearing + 90 + 360) % 360;
+        const difference = Math.abs(((candidate - outward + 540) % 360) - 180);
+        
+        return difference <= 90 ? candidate : (candidate + 180) % 360;
     }
 
     handleMapClick(event) {
@@ -230,10 +443,7 @@ class MapManager {
     }
 
     clearRoofDetection() {
-        if (this.roofPolygon) {
-            this.roofPolygon.setMap(null);
-            this.roofPolygon = null;
-        }
+        this.clearFacetPolygons();
         
         // Clear instructions if visible
         const instructions = document.getElementById('drawingInstructions');
@@ -268,13 +478,42 @@ class MapManager {
     }
 
     getRoofData() {
-        if (!this.roofPolygon) return null;
-        return this.extractRoofData(this.roofPolygon);
+        if (this.facetPolygons.length === 0) return null;
+        return this.extractRoofData(this.facetPolygons);
+    }
+
+    // Satellite image of the site with the roof facets outlined. The interactive map can't be
+    // drawn to a canvas, so this asks the Static Maps API with the page's key.
+    getStaticMapUrl(width = 640, height = 400) {
+        const center = this.currentLocation || this.getDefaultLocation();
+        const script = typeof document !== 'undefined' && document.querySelector('script[src*="maps.googleapis.com"]');
+        const key = script ? new URL(script.src).searchParams.get('key') : null;
+        if (!center || !key) return null;
+        
+        const point = (coord) => `${coord.lat.toFixed(6)},${coord.lng.toFixed(6)}`;
+        const facets = window.roofDetector?.getFacets() || [];
+        const paths = facets.map((facet, index) => {
+            const color = this.facetColors[index % this.facetColors.length].replace('#', '0x');
+            const coords = [...facet.coordinates, facet.coordinates[0]];
+            return `&path=color:${color}ff|weight:2|fillcolor:${color}40|${coords.map(point).join('|')}`;
+        }).join('');
+        
+        return 'https://maps.googleapis.com/maps/api/staticmap' +
+            `?center=${point(center)}&zoom=${this.map?.getZoom() || 20}&size=${width}x${height}&scale=2` +
+            `&maptype=satellite${paths}&key=${key}`;
     }
 
     getCurrentLocation() {
         return this.currentLocation;
     }
+
+    getDefaultLocation() {
+        if (this.map) {
+            const center = this.map.getCenter();
+            return { lat: center.lat(), lng: center.lng() };
+        }
+        return this.defaultLocation;
+    }
 }
 
 // Global instance
@@ -13,6 +13,8 @@ class Model3D {
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
         this.selectedPanels = [];
+        this.wallHeight = 8; // House height in feet
+        this.stringColors = [0x1e40af, 0x059669, 0xdc2626, 0x7c3aed, 0xea580c, 0x0891b2, 0xdb2777, 0x65a30d];
     }
 
     init() {
@@ -167,7 +169,7 @@ class Model3D {
 
     togglePanelSelection(panel) {
         if (panel.userData.selected) {
-            panel.material.color.setHex(0x1e40af); // Blue
+            panel.material.color.setHex(panel.userData.baseColor ?? 0x1e40af); // Back to its string color
             panel.userData.selected = false;
             this.selectedPanels = this.selectedPanels.filter(p => p !== panel);
         } else {
@@ -187,7 +189,7 @@ class Model3D {
     }
 
     addGround() {
-        const groundGeometry = new THREE.PlaneGeometry(100, 100);
+        const groundGeometry = new THREE.PlaneGeometry(300, 300); // feet
         const groundMaterial = new THREE.MeshLambertMaterial({ color: 0x90EE90 });
         const ground = new THREE.Mesh(groundGeometry, groundMaterial);
         ground.rotation.x = -Math.PI / 2;
@@ -213,11 +215,11 @@ class Model3D {
             return;
         }
 
-        // Generate house base
-        this.generateHouseBase(roofData);
-
-        // Generate roof
-        this.generateRoof(roofData);
+        // Generate house base and roof planes facet by facet
+        this.getFacets(roofData).forEach((facet, index) => {
+            this.generateHouseBase(facet);
+            this.generateRoof(facet, index);
+        });
 
         // Generate solar panels
         this.generateSolarPanels();
@@ -228,9 +230,13 @@ class Model3D {
         this.hideLoading('3dLoading');
     }
 
-    generateHouseBase(roofData) {
-        const coords = roofData.coordinates;
-        const height = 8; // House height in feet
+    getFacets(roofData) {
+        return roofData.facets && roofData.facets.length > 0 ? roofData.facets : [roofData];
+    }
+
+    generateHouseBase(facet) {
+        const coords = facet.coordinates;
+        const height = this.wallHeight;
 
         // Create house base using extrusion
         const shape = new THREE.Shape();
@@ -238,11 +244,12 @@ class Model3D {
         // Convert coordinates to local space
         const localCoords = this.convertToLocalCoords(coords);
         
-        shape.moveTo(localCoords[0].x, localCoords[0].z);
+        // Shape is drawn in the XY plane and rotated upright so it extrudes along +Y
+        shape.moveTo(localCoords[0].x, -localCoords[0].z);
         for (let i = 1; i < localCoords.length; i++) {
-            shape.lineTo(localCoords[i].x, localCoords[i].z);
+            shape.lineTo(localCoords[i].x, -localCoords[i].z);
         }
-        shape.lineTo(localCoords[0].x, localCoords[0].z);
+        shape.lineTo(localCoords[0].x, -localCoords[0].z);
 
         const extrudeSettings = {
             depth: height,
@@ -252,6 +259,7 @@ class Model3D {
         const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
         const material = new THREE.MeshLambertMaterial({ color: 0xD2B48C });
         const house = new THREE.Mesh(geometry, material);
+        house.rotation.x = -Math.PI / 2;
         
         house.castShadow = true;
         house.receiveShadow = true;
@@ -259,18 +267,19 @@ class Model3D {
         this.houseGroup.add(house);
     }
 
-    generateRoof(roofData) {
-        const coords = roofData.coordinates;
-        const pitch = roofData.pitch || 30;
-        const height = 8; // House height
-
-        // Create roof geometry
+    generateRoof(facet, index = 0) {
+        const coords = facet.coordinates;
         const localCoords = this.convertToLocalCoords(coords);
         
-        // Simple gabled roof for now
-        const roofGeometry = this.createRoofGeometry(localCoords, pitch, height);
-        const roofMaterial = new THREE.MeshLambertMaterial({ color: 0x8B4513 });
+        // Each facet is a sloped plane rising from its eave
+        const roofGeometry = this.createRoofGeometry(localCoords, facet, this.wallHeight);
+        const roofColors = [0x8B4513, 0xA0522D, 0x7B3F00, 0x964B00];
+        const roofMaterial = new THREE.MeshLambertMaterial({
+            color: roofColors[index % roofColors.length],
+            side: THREE.DoubleSide
+        });
         const roof = new THREE.Mesh(roofGeometry, roofMaterial);
+        roof.userData = { facetId: facet.id };
         
         roof.castShadow = true;
         roof.receiveShadow = true;
@@ -278,30 +287,19 @@ class Model3D {
         this.roofGroup.add(roof);
     }
 
-    createRoofGeometry(coords, pitch, baseHeight) {
-        const pitchRadians = pitch * Math.PI / 180;
-        const roofHeight = 4; // Additional height for roof
-
-        // Create a simple peaked roof
+    createRoofGeometry(coords, facet, baseHeight) {
         const geometry = new THREE.BufferGeometry();
         const vertices = [];
-        const indices = [];
 
-        // Add base vertices
         coords.forEach(coord => {
-            vertices.push(coord.x, baseHeight, coord.z);
+            vertices.push(coord.x, baseHeight + this.getFacetRise(coord, coords, facet), coord.z);
         });
 
-        // Add peak vertices (simplified for rectangular roofs)
-        const center = this.calculateCenter(coords);
-        vertices.push(center.x, baseHeight + roofHeight, center.z);
-
-        // Create triangular faces
-        const centerIndex = coords.length;
-        for (let i = 0; i < coords.length; i++) {
-            const next = (i + 1) % coords.length;
-            indices.push(i, next, centerIndex);
-        }
+        // Triangulate the facet outline in plan view
+        const contour = coords.map(coord => new THREE.Vector2(coord.x, coord.z));
+        const triangles = THREE.ShapeUtils.triangulateShape(contour, []);
+        const indices = [];
+        triangles.forEach(triangle => indices.push(...triangle));
 
         geometry.setIndex(indices);
         geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
@@ -310,6 +308,20 @@ class Model3D {
         return geometry;
     }
 
+    getUpslopeDirection(facet) {
+        // Azimuth is the downslope direction; north is -Z and east is +X
+        const azimuthRadians = (facet.azimuth ?? 180) * Math.PI / 180;
+        return { x: -Math.sin(azimuthRadians), z: Math.cos(azimuthRadians) };
+    }
+
+    getFacetRise(position, facetCoords, facet) {
+        const up = this.getUpslopeDirection(facet);
+        const eave = Math.min(...facetCoords.map(coord => coord.x * up.x + coord.z * up.z));
+        const run = position.x * up.x + position.z * up.z - eave;
+        
+        return Math.max(0, run) * Math.tan((facet.pitch ?? 30) * Math.PI / 180);
+    }
+
     generateSolarPanels() {
         const panels = window.panelPlacer?.getPanels();
         if (!panels || panels.length === 0) return;
@@ -317,34 +329,50 @@ class Model3D {
         const roofData = window.roofDetector?.getRoofData();
         if (!roofData) return;
 
-        const panelGeometry = new THREE.BoxGeometry(
-            window.panelPlacer.panelSpecs.width,
-            0.2,
-            window.panelPlacer.panelSpecs.height
-        );
+        const facets = this.getFacets(roofData);
+        const specs = window.panelPlacer.panelSpecs;
+        const panelGeometries = {};
 
         panels.forEach(panel => {
-            const panelMaterial = new THREE.MeshLambertMaterial({ color: 0x1e40af });
+            const facet = facets.find(f => f.id === panel.facetId) || facets[0];
+            
+            // Portrait and landscape panels share geometry by footprint
+            const width = panel.width || specs.width;
+            const depth = panel.height || specs.height;
+            const geometryKey = `${width}x${depth}`;
+            if (!panelGeometries[geometryKey]) {
+                panelGeometries[geometryKey] = new THREE.BoxGeometry(width, 0.2, depth);
+            }
+            const panelGeometry = panelGeometries[geometryKey];
+            const panelMaterial = new THREE.MeshLambertMaterial({ color: this.getPanelColor(panel) });
             const panelMesh = new THREE.Mesh(panelGeometry, panelMaterial);
             
             // Convert panel position to 3D coordinates
-            const localPos = this.convertToLocalCoords([panel.position])[0];
+            const localPos = panel.localPosition
+                ? { x: panel.localPosition.x, z: -panel.localPosition.y }
+                : this.convertToLocalCoords([panel.position])[0];
             
-            // Position panel on roof surface
-            const roofHeight = 8 + this.getRoofHeightAtPosition(localPos, roofData);
+            // Position panel on its facet's surface
+            const roofHeight = this.wallHeight + this.getRoofHeightAtPosition(localPos, facet);
             panelMesh.position.set(localPos.x, roofHeight + 0.1, localPos.z);
             
-            // Apply tilt based on roof pitch
-            const pitchRadians = (roofData.pitch || 30) * Math.PI / 180;
-            panelMesh.rotation.x = pitchRadians;
+            // Face the panel downslope, then tilt it to the facet pitch
+            const pitchRadians = (panel.tilt ?? facet.pitch ?? 30) * Math.PI / 180;
+            const azimuthRadians = (panel.azimuth ?? facet.azimuth ?? 180) * Math.PI / 180;
+            const facetYaw = Math.PI - azimuthRadians;
+            panelMesh.rotation.set(pitchRadians, facetYaw, 0, 'YXZ');
             
-            // Apply azimuth rotation
-            const azimuthRadians = (panel.azimuth || 0) * Math.PI / 180;
-            panelMesh.rotation.y = azimuthRadians;
+            // Spin within the roof plane to match the panel's grid orientation
+            if (panel.gridAngle !== undefined) {
+                panelMesh.rotateY(panel.gridAngle * Math.PI / 180 - facetYaw);
+            }
             
             // Store panel data for interaction
             panelMesh.userData = {
                 panelId: panel.id,
+                facetId: panel.facetId,
+                stringId: panel.stringId || null,
+                baseColor: this.getPanelColor(panel),
                 selected: false,
                 power: panel.power,
                 efficiency: panel.efficiency
@@ -357,36 +385,48 @@ class Model3D {
         });
     }
 
-    getRoofHeightAtPosition(position, roofData) {
-        // Simplified roof height calculation
-        // In a real implementation, this would calculate the exact height based on roof geometry
-        return 2; // Assume 2 feet above house base
+    // Panels on the same electrical string share a color; unstrung panels stay blue
+    getStringColor(stringId) {
+        if (!stringId) return 0x1e40af;
+        
+        const index = parseInt(String(stringId).replace(/\D/g, ''), 10) || 0;
+        return this.stringColors[(index - 1 + this.stringColors.length) % this.stringColors.length];
     }
 
-    convertToLocalCoords(geoCoords) {
-        if (!geoCoords || geoCoords.length === 0) return [];
+    getPanelColor(panel) {
+        // Microinverter systems have no strings to show
+        if (window.statsCalculator?.architecture === 'microinverter') return this.getStringColor(null);
+        return this.getStringColor(panel.stringId);
+    }
+
+    updatePanelColors() {
+        if (!this.panelsGroup) return;
         
-        // Find bounds to center the model
-        let minLat = geoCoords[0].lat, maxLat = geoCoords[0].lat;
-        let minLng = geoCoords[0].lng, maxLng = geoCoords[0].lng;
+        const panels = new Map((window.panelPlacer?.getPanels() || []).map(panel => [panel.id, panel]));
         
-        geoCoords.forEach(coord => {
-            minLat = Math.min(minLat, coord.lat);
-            maxLat = Math.max(maxLat, coord.lat);
-            minLng = Math.min(minLng, coord.lng);
-            maxLng = Math.max(maxLng, coord.lng);
+        this.panelsGroup.children.forEach(mesh => {
+            const panel = panels.get(mesh.userData.panelId);
+            mesh.userData.stringId = panel?.stringId || null;
+            mesh.userData.baseColor = panel ? this.getPanelColor(panel) : this.getStringColor(null);
+            if (!mesh.userData.selected) {
+                mesh.material.color.setHex(mesh.userData.baseColor);
+            }
         });
+    }
+
+    getRoofHeightAtPosition(position, facet) {
+        const facetCoords = this.convertToLocalCoords(facet.coordinates);
+        return this.getFacetRise(position, facetCoords, facet);
+    }
+
+    convertToLocalCoords(geoCoords) {
+        if (!geoCoords || geoCoords.length === 0) return [];
         
-        const centerLat = (minLat + maxLat) / 2;
-        const centerLng = (minLng + maxLng) / 2;
-        
-        // Convert to local coordinates (simplified)
-        const scale = 100000; // Scale factor for lat/lng to meters conversion
-        
-        return geoCoords.map(coord => ({
-            x: (coord.lng - centerLng) * scale,
-            z: -(coord.lat - centerLat) * scale // Negative Z for proper orientation
-        }));
+        // Scene units are feet in the shared roof-centered frame; north is -Z
+        return geoCoords.map(coord => {
+            const local = window.localProjection.toLocal(coord);
+            return { x: local.x, z: -local.y };
+        });
     }
 
     calculateCenter(coords) {
@@ -564,11 +604,44 @@ class Model3D {
     }
 
     // Screenshot/render methods
-    captureScreenshot() {
+    captureScreenshot(type = 'image/png', quality = 0.92) {
         if (!this.renderer) return null;
         
         this.renderer.render(this.scene, this.camera);
-        return this.renderer.domElement.toDataURL('image/png');
+        return this.renderer.domElement.toDataURL(type, quality);
+    }
+
+    // Renders from several angles around the roof, then puts the camera back.
+    // views: [{ name, azimuth (degrees clockwise from north, camera side), elevation (degrees) }]
+    captureViews(views, type = 'image/jpeg') {
+        const roofData = window.roofDetector?.getRoofData();
+        if (!this.renderer || !roofData?.coordinates?.length) return [];
+        
+        const bounds = this.calculateBounds3D(this.convertToLocalCoords(roofData.coordinates));
+        const distance = Math.max(bounds.width, bounds.depth, 20) * 1.5;
+        const savedPosition = this.camera.position.clone();
+        const savedRotation = this.camera.quaternion.clone();
+        
+        const images = views.map(view => {
+            const azimuth = view.azimuth * Math.PI / 180;
+            const elevation = view.elevation * Math.PI / 180;
+            
+            // North is -Z and east is +X
+            this.camera.position.set(
+                bounds.center.x + distance * Math.cos(elevation) * Math.sin(azimuth),
+                distance * Math.sin(elevation),
+                bounds.center.z - distance * Math.cos(elevation) * Math.cos(azimuth)
+            );
+            this.camera.lookAt(bounds.center.x, 0, bounds.center.z);
+            return { name: view.name, dataUrl: this.captureScreenshot(type) };
+        });
+        
+        this.camera.position.copy(savedPosition);
+        this.camera.quaternion.copy(savedRotation);
+        this.renderer.render(this.scene, this.camera);
+        
+        const canvas = this.renderer.domElement;
+        return images.map(image => ({ ...image, width: canvas.width, height: canvas.height }));
     }
 
     // Panel management in 3D view
@@ -582,7 +655,7 @@ class Model3D {
 
     deselectAllPanels3D() {
         this.panelsGroup.children.forEach(panel => {
-            panel.material.color.setHex(0x1e40af); // Blue
+            panel.material.color.setHex(panel.userData.baseColor ?? 0x1e40af);
             panel.userData.selected = false;
         });
         this.selectedPanels = [];
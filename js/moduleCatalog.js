@@ -0,0 +1,223 @@
+// js/moduleCatalog.js
+class ModuleCatalog {
+    constructor() {
+        this.catalogUrl = 'data/modules.json';
+        this.modules = [];
+        this.selectedId = ModuleCatalog.getDefaults().selectedId;
+        this.feetPerMm = 1 / 304.8;
+        this.requiredFields = ['manufacturer', 'model', 'length', 'width', 'pmax', 'voc', 'isc', 'vmp', 'imp'];
+
+        // Bifacial gain on a roof is limited by the small gap behind the module
+        this.rearExposure = 0.15;
+    }
+
+    async loadCatalog(url = this.catalogUrl) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.addModules(this.parseCatalog(await response.json()), 'bundled');
+        } catch (error) {
+            console.error('Failed to load module catalog:', error);
+        }
+
+        this.renderModuleSelect();
+        return this.modules;
+    }
+
+    importCatalogFile(file) {
+        const reader = new FileReader();
+
+        reader.onload = (event) => {
+            try {
+                const modules = this.parseCatalog(JSON.parse(event.target.result));
+                const added = this.addModules(modules, 'imported');
+                this.renderModuleSelect();
+
+                window.projectManager?.markAsModified();
+                this.notify(`Imported ${added} module${added === 1 ? '' : 's'} from ${file.name}`, 'success');
+            } catch (error) {
+                console.error('Failed to import module catalog:', error);
+                this.notify(`Failed to import modules: ${error.message}`, 'error');
+            }
+        };
+
+        reader.readAsText(file);
+    }
+
+    // Accepts { modules: [...] }, a bare array, or a single module
+    parseCatalog(data) {
+        const entries = Array.isArray(data) ? data : (data.modules || [data]);
+        return entries.map((entry, index) => this.normalizeModule(entry, index));
+    }
+
+    normalizeModule(entry, index = 0) {
+        const missing = this.requiredFields.filter(field => entry[field] === undefined || entry[field] === null || entry[field] === '');
+        if (missing.length > 0) {
+            throw new Error(`Module ${index + 1} is missing ${missing.join(', ')}`);
+        }
+
+        const number = (value, fallback) => {
+            const parsed = parseFloat(value);
+            return isNaN(parsed) ? fallback : parsed;
+        };
+        const warranty = entry.warranty || {};
+
+        return {
+            id: entry.id || `${entry.manufacturer}-${entry.model}`.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+            manufacturer: String(entry.manufacturer),
+            model: String(entry.model),
+            technology: entry.technology || '',
+            length: number(entry.length),         // mm
+            width: number(entry.width),           // mm
+            pmax: number(entry.pmax),             // W at STC
+            voc: number(entry.voc),
+            isc: number(entry.isc),
+            vmp: number(entry.vmp),
+            imp: number(entry.imp),
+            tempCoeffPmax: number(entry.tempCoeffPmax, -0.37), // %/°C
+            tempCoeffVoc: number(entry.tempCoeffVoc, -0.28),
+            tempCoeffIsc: number(entry.tempCoeffIsc, 0.05),
+            noct: number(entry.noct, 45),         // °C
+            bifaciality: number(entry.bifaciality, 0),
+            warranty: {
+                years: number(warranty.years, 25),
+                firstYearDegradation: number(warranty.firstYearDegradation, 2.0), // %
+                annualDegradation: number(warranty.annualDegradation, 0.55),     // % per year after the first
+                endOfWarrantyPower: number(warranty.endOfWarrantyPower, null)
+            }
+        };
+    }
+
+    addModules(modules, source) {
+        modules.forEach(module => {
+            const existing = this.modules.findIndex(m => m.id === module.id);
+            const entry = { ...module, source };
+            if (existing >= 0) {
+                this.modules[existing] = entry;
+            } else {
+                this.modules.push(entry);
+            }
+        });
+        return modules.length;
+    }
+
+    getModules() {
+        return this.modules;
+    }
+
+    getModule(moduleId) {
+        return this.modules.find(module => module.id === moduleId) || null;
+    }
+
+    getSelectedModule() {
+        return this.getModule(this.selectedId);
+    }
+
+    selectModule(moduleId) {
+        const module = this.getModule(moduleId);
+        if (!module) return false;
+
+        this.selectedId = module.id;
+
+        if (window.panelPlacer) {
+            window.panelPlacer.setPanelSpecs(this.getPanelSpecs(module));
+        }
+
+        this.renderModuleSelect();
+        return true;
+    }
+
+    // Layout footprint in feet with the long side as width, matching the panelSpecs convention
+    getPanelSpecs(module) {
+        const areaSquareMeters = (module.length / 1000) * (module.width / 1000);
+
+        return {
+            moduleId: module.id,
+            width: Math.max(module.length, module.width) * this.feetPerMm,
+            height: Math.min(module.length, module.width) * this.feetPerMm,
+            power: module.pmax,
+            efficiency: module.pmax / (areaSquareMeters * 1000)
+        };
+    }
+
+    // Thermal and bifacial parameters for SolarEngine.simulateArray
+    getSimulationOptions() {
+        const module = this.getSelectedModule();
+        if (!module) return {};
+
+        return {
+            noct: module.noct,
+            temperatureCoefficient: module.tempCoeffPmax / 100,
+            bifaciality: module.bifaciality,
+            rearExposure: this.rearExposure
+        };
+    }
+
+    // Module voltage and current at a given cell temperature
+    getElectricalAtTemperature(cellTemperature, module = this.getSelectedModule()) {
+        if (!module) return null;
+
+        const delta = cellTemperature - 25;
+        return {
+            voc: module.voc * (1 + module.tempCoeffVoc / 100 * delta),
+            vmp: module.vmp * (1 + module.tempCoeffVoc / 100 * delta),
+            isc: module.isc * (1 + module.tempCoeffIsc / 100 * delta),
+            imp: module.imp * (1 + module.tempCoeffIsc / 100 * delta),
+            pmax: module.pmax * (1 + module.tempCoeffPmax / 100 * delta)
+        };
+    }
+
+    renderModuleSelect() {
+        const select = typeof document !== 'undefined' && document.getElementById('moduleSelect');
+        if (!select) return;
+
+        select.innerHTML = this.modules.map(module => `
+            <option value="${module.id}" ${module.id === this.selectedId ? 'selected' : ''}>
+                ${module.manufacturer} ${module.model} (${module.pmax} W)
+            </option>
+        `).join('');
+    }
+
+    // Selection of a fresh instance, for new projects
+    static getDefaults() {
+        return { selectedId: 'generic-400' };
+    }
+
+    exportData() {
+        return {
+            selectedId: this.selectedId,
+            selectedModule: this.getSelectedModule(),
+            importedModules: this.modules.filter(module => module.source === 'imported')
+        };
+    }
+
+    importData(data) {
+        if (!data) return;
+
+        if (data.importedModules?.length) {
+            this.addModules(data.importedModules, 'imported');
+        }
+
+        // Keep the project's module even if the catalog it came from is gone
+        if (data.selectedModule && !this.getModule(data.selectedModule.id)) {
+            this.addModules([data.selectedModule], 'project');
+        }
+
+        if (data.selectedId && this.getModule(data.selectedId)) {
+            this.selectedId = data.selectedId;
+        }
+
+        this.renderModuleSelect();
+    }
+
+    notify(message, type) {
+        if (window.solarApp) {
+            window.solarApp.showNotification(message, type);
+        }
+    }
+}
+
+// Global instance
+window.moduleCatalog = new ModuleCatalog();
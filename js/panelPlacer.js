@@ -2,8 +2,14 @@
 class PanelPlacer {
     constructor() {
         this.roofBoundary = null;
+        this.activeFacet = null; // Roof plane currently being laid out
+        this.activePolygon = []; // Its outline in the layout frame (feet)
+        this.placementPolygon = []; // Outline after edge setbacks, where panels may go
+        this.layoutFrame = null;  // Rotated frame aligned to the facet's eave or reference edge
+        this.referenceEdges = {}; // facetId -> edge index chosen as grid reference
         this.panels = [];
         this.panelSpecs = {
+            moduleId: 'generic-400', // Entry in the module catalog
             width: 5.4,  // feet
             height: 3.25, // feet
             power: 400,   // watts
@@ -13,6 +19,18 @@ class PanelPlacer {
             horizontal: 0.5, // feet
             vertical: 0.5    // feet
         };
+        this.edgeSetback = 0; // feet kept clear along every facet edge
+        this.layoutMode = 'grid'; // 'grid' or 'optimized'
+        this.maxPanelCount = null; // Cap from usage-based sizing; null fills the roof
+        this.optimizerSettings = {
+            objective: 'count', // 'count', 'energy' or 'energyPerCost'
+            allowMixed: false,  // Fill leftover space with the other orientation
+            offsetSteps: 4,     // Grid origin offsets tried along each axis
+            runnerUps: 3,
+            fallbackCostPerWatt: 3.50 // Only used without the cost model
+        };
+        this.optimizationResults = null;
+        this.facetYieldCache = { weather: null, key: null, yields: {} }; // Yield per tilt/azimuth
         this.selectedPanels = [];
     }
 
@@ -24,44 +42,101 @@ class PanelPlacer {
     generatePanelLayout() {
         if (!this.roofBoundary) return;
         
-        this.panels = [];
+        // Fire code edge types and pathways depend on how the facets meet
+        const rules = window.fireCodeRules;
+        rules?.prepare(this.getFacets());
+        
+        this.layoutFacets();
         
-        // Calculate panel placement based on roof shape
-        switch (this.roofBoundary.shape) {
-            case 'rectangular':
-                this.generateRectangularLayout();
-                break;
-            case 'triangular':
-                this.generateTriangularLayout();
-                break;
-            case 'complex':
-                this.generateComplexLayout();
-                break;
-            default:
-                this.generateGenericLayout();
+        // A large array can require a wider ridge setback; lay out once more if so
+        if (rules?.updateCoverage(this.panels, this.getFacets())) {
+            this.layoutFacets();
         }
         
         // Filter out panels that conflict with keepouts
         this.filterKeepoutConflicts();
         
+        // Shade each remaining panel against keepouts along the sun path
+        this.applyShadingAnalysis();
+        
+        // Sized to usage: keep only the most productive panels
+        this.applyPanelCap();
+        
         // Update statistics
         this.updatePanelStats();
+        this.renderOptimizationResults();
+    }
+
+    layoutFacets() {
+        this.panels = [];
+        this.optimizationResults = this.layoutMode === 'optimized'
+            ? { objective: this.optimizerSettings.objective, facets: [] }
+            : null;
+        
+        // Each roof plane is laid out independently with its own pitch and azimuth
+        this.getFacets().forEach(facet => {
+            this.activeFacet = facet;
+            
+            // Layout routines work in a frame whose x axis runs along the eave
+            const localPolygon = window.localProjection.toLocalPolygon(facet.coordinates);
+            this.layoutFrame = this.calculateLayoutFrame(facet, localPolygon);
+            this.activePolygon = localPolygon.map(point => this.toFrame(point));
+            this.placementPolygon = window.localProjection.insetPolygon(this.activePolygon, this.getEdgeSetbacks(facet));
+            if (this.placementPolygon.length < 3) return;
+            
+            if (this.layoutMode === 'optimized') {
+                this.generateOptimizedLayout();
+                return;
+            }
+            
+            // Calculate panel placement based on facet shape
+            switch (facet.shape) {
+                case 'rectangular':
+                    this.generateRectangularLayout();
+                    break;
+                case 'triangular':
+                    this.generateTriangularLayout();
+                    break;
+                case 'complex':
+                    this.generateComplexLayout();
+                    break;
+                default:
+                    this.generateGenericLayout();
+            }
+            
+            // Code setbacks need the whole panel clear, not just its center
+            if (window.fireCodeRules?.isActive()) {
+                this.panels = this.panels.filter(panel => {
+                    if (panel.facetId !== facet.id) return true;
+                    const center = this.toFrame(panel.localPosition);
+                    return this.canFitPanel(center.x, center.y, this.getFootprint(panel));
+                });
+            }
+        });
+    }
+
+    // Per-edge setbacks in feet: the larger of the uniform edge setback and the fire code rule
+    getEdgeSetbacks(facet) {
+        const codeSetbacks = window.fireCodeRules?.getEdgeSetbacks(facet) || [];
+        return facet.coordinates.map((coordinate, index) => Math.max(this.edgeSetback, codeSetbacks[index] || 0));
     }
 
     generateRectangularLayout() {
         const bounds = this.calculateRoofBounds();
-        const roofWidth = this.calculateDistance(bounds.west, bounds.north, bounds.east, bounds.north);
-        const roofHeight = this.calculateDistance(bounds.west, bounds.north, bounds.west, bounds.south);
+        const roofWidth = bounds.east - bounds.west;
+        const roofHeight = bounds.north - bounds.south;
+        const footprint = this.getFootprint(this.panelSpecs);
+        const rowPitch = footprint.height + this.spacing.vertical * this.getSlopeFactor();
         
         // Calculate how many panels fit
         const panelsPerRow = Math.floor(roofWidth / (this.panelSpecs.width + this.spacing.horizontal));
-        const panelsPerColumn = Math.floor(roofHeight / (this.panelSpecs.height + this.spacing.vertical));
+        const panelsPerColumn = Math.floor(roofHeight / rowPitch);
         
         // Generate panel positions
         for (let row = 0; row < panelsPerColumn; row++) {
             for (let col = 0; col < panelsPerRow; col++) {
                 const x = bounds.west + col * (this.panelSpecs.width + this.spacing.horizontal) + this.panelSpecs.width / 2;
-                const y = bounds.north - row * (this.panelSpecs.height + this.spacing.vertical) - this.panelSpecs.height / 2;
+                const y = bounds.north - row * rowPitch - footprint.height / 2;
                 
                 // Check if panel position is within roof boundary
                 if (this.isPointInRoof(x, y)) {
@@ -74,21 +149,23 @@ class PanelPlacer {
 
     generateTriangularLayout() {
         const bounds = this.calculateRoofBounds();
-        const coords = this.roofBoundary.coordinates;
+        const coords = this.placementPolygon;
         
         // Find the base and apex of the triangle
         const base = this.findLongestEdge(coords);
         const apex = coords.find(coord => !base.includes(coord));
         
         // Generate panels in rows from base to apex
-        const baseWidth = this.calculateDistance(base[0].lng, base[0].lat, base[1].lng, base[1].lat);
+        const baseWidth = this.calculateDistance(base[0].x, base[0].y, base[1].x, base[1].y);
         const maxPanelsInBase = Math.floor(baseWidth / (this.panelSpecs.width + this.spacing.horizontal));
         
         const height = this.calculateDistance(
-            (base[0].lng + base[1].lng) / 2, (base[0].lat + base[1].lat) / 2,
-            apex.lng, apex.lat
+            (base[0].x + base[1].x) / 2, (base[0].y + base[1].y) / 2,
+            apex.x, apex.y
         );
-        const numRows = Math.floor(height / (this.panelSpecs.height + this.spacing.vertical));
+        const footprint = this.getFootprint(this.panelSpecs);
+        const rowPitch = footprint.height + this.spacing.vertical * this.getSlopeFactor();
+        const numRows = Math.floor(height / rowPitch);
         
         for (let row = 0; row < numRows; row++) {
             const rowProgress = row / numRows;
@@ -96,7 +173,7 @@ class PanelPlacer {
             
             for (let col = 0; col < panelsInRow; col++) {
                 const x = bounds.west + (bounds.east - bounds.west) * (col + 0.5) / panelsInRow;
-                const y = bounds.north - row * (this.panelSpecs.height + this.spacing.vertical) - this.panelSpecs.height / 2;
+                const y = bounds.north - row * rowPitch - footprint.height / 2;
                 
                 if (this.isPointInRoof(x, y)) {
                     const panel = this.createPanel(x, y, row, col);
@@ -109,7 +186,8 @@ class PanelPlacer {
     generateComplexLayout() {
         // For complex shapes, use a grid-based approach
         const bounds = this.calculateRoofBounds();
-        const gridSize = Math.min(this.panelSpecs.width, this.panelSpecs.height) / 2;
+        const footprint = this.getFootprint(this.panelSpecs);
+        const gridSize = Math.min(footprint.width, footprint.height) / 2;
         
         const cols = Math.ceil((bounds.east - bounds.west) / gridSize);
         const rows = Math.ceil((bounds.north - bounds.south) / gridSize);
@@ -117,12 +195,12 @@ class PanelPlacer {
         let panelRow = 0;
         let panelCol = 0;
         
-        for (let row = 0; row < rows; row += Math.ceil(this.panelSpecs.height / gridSize)) {
-            for (let col = 0; col < cols; col += Math.ceil(this.panelSpecs.width / gridSize)) {
-                const x = bounds.west + col * gridSize + this.panelSpecs.width / 2;
-                const y = bounds.north - row * gridSize - this.panelSpecs.height / 2;
+        for (let row = 0; row < rows; row += Math.ceil(footprint.height / gridSize)) {
+            for (let col = 0; col < cols; col += Math.ceil(footprint.width / gridSize)) {
+                const x = bounds.west + col * gridSize + footprint.width / 2;
+                const y = bounds.north - row * gridSize - footprint.height / 2;
                 
-                if (this.isPointInRoof(x, y) && this.canFitPanel(x, y)) {
+                if (this.isPointInRoof(x, y) && this.canFitPanel(x, y, footprint)) {
                     const panel = this.createPanel(x, y, panelRow, panelCol);
                     this.panels.push(panel);
                     panelCol++;
@@ -138,61 +216,411 @@ class PanelPlacer {
         this.generateRectangularLayout();
     }
 
-    createPanel(x, y, row, col) {
+    // Tries grid origin offsets and panel orientations on the active facet, keeps the
+    // best candidate for the chosen objective and records the runner-ups
+    generateOptimizedLayout() {
+        const settings = this.optimizerSettings;
+        const keepouts = (window.roofDetector?.getKeepouts() || [])
+            .map(keepout => this.getKeepoutCorners(keepout).map(corner => this.toFrame(corner)));
+        const yieldPerKw = this.estimateFacetYield(this.activeFacet);
+        const candidates = [];
+        
+        ['landscape', 'portrait'].forEach(orientation => {
+            const footprint = this.getFootprint(this.getPanelSize(orientation));
+            const pitchX = footprint.width + this.spacing.horizontal;
+            const pitchY = footprint.height + this.spacing.vertical * this.getSlopeFactor();
+            
+            for (let i = 0; i < settings.offsetSteps; i++) {
+                for (let j = 0; j < settings.offsetSteps; j++) {
+                    const offset = { x: pitchX * i / settings.offsetSteps, y: pitchY * j / settings.offsetSteps };
+                    const positions = this.placeGrid(orientation, offset, keepouts, []);
+                    candidates.push(this.evaluateCandidate({ orientation, offset, mixed: false }, positions, yieldPerKw));
+                    
+                    if (settings.allowMixed) {
+                        // Fill what the primary grid left with the other orientation
+                        const fillOrientation = orientation === 'landscape' ? 'portrait' : 'landscape';
+                        const fill = this.placeGrid(fillOrientation, offset, keepouts, positions, settings.offsetSteps);
+                        if (fill.length > 0) {
+                            candidates.push(this.evaluateCandidate({ orientation, offset, mixed: true }, positions.concat(fill), yieldPerKw));
+                        }
+                    }
+                }
+            }
+        });
+        
+        if (candidates.length === 0) return;
+        
+        candidates.sort((a, b) => (b.score - a.score) || (b.yearlyEnergy - a.yearlyEnergy));
+        
+        // Equivalent layouts from neighbouring offsets are reported once
+        const distinct = [];
+        const seen = new Set();
+        candidates.forEach(candidate => {
+            const key = `${candidate.orientation}|${candidate.mixed}|${candidate.panelCount}|${Math.round(candidate.yearlyEnergy)}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            distinct.push(candidate);
+        });
+        
+        const winner = distinct[0];
+        this.panels.push(...winner.panels);
+        
+        const summarize = ({ panels, ...summary }) => summary;
+        this.optimizationResults.facets.push({
+            facetId: this.activeFacet.id,
+            name: this.activeFacet.name || this.activeFacet.id,
+            candidatesEvaluated: candidates.length,
+            winner: summarize(winner),
+            runnerUps: distinct.slice(1, 1 + settings.runnerUps).map(summarize)
+        });
+    }
+
+    // Panel centers on a grid shifted by offset, sized by plan footprint; every panel must sit inside the setback
+    // outline, clear of keepouts and of panels already placed. A finer scan (subdivisions > 1)
+    // is used to fill gaps left by another grid
+    placeGrid(orientation, offset, keepouts, occupied, subdivisions = 1) {
+        const bounds = this.calculateRoofBounds();
+        const size = this.getFootprint(this.getPanelSize(orientation));
+        const rowSpacing = this.spacing.vertical * this.getSlopeFactor();
+        const pitchX = (size.width + this.spacing.horizontal) / subdivisions;
+        const pitchY = (size.height + rowSpacing) / subdivisions;
+        const margin = 0.01; // Keeps corners off the outline itself
+        const positions = [];
+        
+        let row = 0;
+        for (let y = bounds.north - margin - offset.y - size.height / 2; y - size.height / 2 >= bounds.south; y -= pitchY, row++) {
+            let col = 0;
+            for (let x = bounds.west + margin + offset.x + size.width / 2; x + size.width / 2 <= bounds.east; x += pitchX, col++) {
+                const corners = this.calculatePanelCorners(x, y, size);
+                if (!corners.every(corner => this.isPointInRoof(corner.x, corner.y))) continue;
+                if (keepouts.some(keepout => this.rectanglesOverlap(corners, keepout))) continue;
+                
+                const blocked = occupied.concat(positions).some(other =>
+                    Math.abs(other.x - x) < (other.size.width + size.width) / 2 + this.spacing.horizontal &&
+                    Math.abs(other.y - y) < (other.size.height + size.height) / 2 + rowSpacing
+                );
+                if (blocked) continue;
+                
+                positions.push({ x, y, row, col, orientation, size });
+            }
+        }
+        
+        return positions;
+    }
+
+    evaluateCandidate(candidate, positions, yieldPerKw) {
+        const settings = this.optimizerSettings;
+        let panels = positions.map(position =>
+            this.createPanel(position.x, position.y, position.row, position.col, position.orientation)
+        );
+        
+        // Shade losses from tall keepouts separate otherwise equal layouts
+        if (window.shadingAnalyzer && panels.length > 0) {
+            const keepouts = window.roofDetector?.getKeepouts() || [];
+            const location = window.statsCalculator?.getSiteLocation() || this.roofBoundary.center;
+            window.shadingAnalyzer.analyzePanels(panels, keepouts, location);
+        }
+        
+        const panelEnergy = (panel) => panel.power / 1000 * yieldPerKw * (panel.solarAccess ?? 100) / 100;
+        
+        if (settings.objective === 'energyPerCost') {
+            // Drop the weakest panels while doing so raises kWh per dollar
+            panels.sort((a, b) => panelEnergy(b) - panelEnergy(a));
+            let bestCount = panels.length;
+            let bestRatio = -Infinity;
+            let energy = 0;
+            let power = 0;
+            panels.forEach((panel, index) => {
+                energy += panelEnergy(panel);
+                power += panel.power;
+                const ratio = energy / this.estimateLayoutCost(power, index + 1);
+                if (ratio > bestRatio) {
+                    bestRatio = ratio;
+                    bestCount = index + 1;
+                }
+            });
+            panels = panels.slice(0, bestCount);
+        }
+        
+        const power = panels.reduce((total, panel) => total + panel.power, 0);
+        const yearlyEnergy = panels.reduce((total, panel) => total + panelEnergy(panel), 0);
+        const cost = panels.length > 0 ? this.estimateLayoutCost(power, panels.length) : 0;
+        const energyPerCost = cost > 0 ? yearlyEnergy / cost : 0;
+        
+        const scores = {
+            count: panels.length,
+            energy: yearlyEnergy,
+            energyPerCost: energyPerCost
+        };
+        
+        return {
+            orientation: candidate.orientation,
+            mixed: candidate.mixed,
+            offset: { x: Math.round(candidate.offset.x * 100) / 100, y: Math.round(candidate.offset.y * 100) / 100 },
+            panelCount: panels.length,
+            power: power,
+            yearlyEnergy: yearlyEnergy,
+            cost: cost,
+            energyPerCost: energyPerCost,
+            score: scores[settings.objective] ?? panels.length,
+            panels: panels
+        };
+    }
+
+    // Yearly kWh per installed kW for an unshaded panel on the facet
+    estimateFacetYield(facet) {
+        if (!window.solarEngine) return 0;
+        
+        const location = window.statsCalculator?.getSiteLocation() || this.roofBoundary.center;
+        const weather = window.weatherManager?.getDataset() || null;
+        const options = {
+            systemEfficiency: window.lossModel ? window.lossModel.getSystemDerate() : 0.85, // Same losses as the stats panel
+            ...window.moduleCatalog?.getSimulationOptions()
+        };
+        
+        // A full-year simulation per call is slow, so yields are kept until an input changes
+        const key = [
+            location.lat.toFixed(4),
+            location.lng.toFixed(4),
+            window.solarEngine.getUtcOffset(weather),
+            JSON.stringify(options)
+        ].join('|');
+        if (this.facetYieldCache.weather !== weather || this.facetYieldCache.key !== key) {
+            this.facetYieldCache = { weather, key, yields: {} };
+        }
+        
+        const orientation = `${facet.pitch}|${facet.azimuth}`;
+        const yields = this.facetYieldCache.yields;
+        if (yields[orientation] === undefined) {
+            yields[orientation] = window.solarEngine.simulateArray(location, [{
+                facetId: facet.id,
+                tilt: facet.pitch,
+                azimuth: facet.azimuth,
+                power: 1000,
+                solarAccess: 100
+            }], { ...options, weather }).yearly;
+        }
+        
+        return yields[orientation];
+    }
+
+    // Same quote as the stats panel, without the battery
+    estimateLayoutCost(power, panelCount) {
+        if (window.costModel) return window.costModel.estimateCost(power, panelCount);
+        return power * this.optimizerSettings.fallbackCostPerWatt;
+    }
+
+    getPanelSize(orientation = 'landscape') {
+        // Landscape puts the long side along the eave
+        const longSide = Math.max(this.panelSpecs.width, this.panelSpecs.height);
+        const shortSide = Math.min(this.panelSpecs.width, this.panelSpecs.height);
+        return orientation === 'portrait'
+            ? { width: shortSide, height: longSide }
+            : { width: longSide, height: shortSide };
+    }
+
+    getSpecOrientation() {
+        return this.panelSpecs.width >= this.panelSpecs.height ? 'landscape' : 'portrait';
+    }
+
+    // Plan length of one foot measured up the facet's slope
+    getSlopeFactor(facet = this.activeFacet) {
+        return Math.cos((facet?.pitch || 0) * Math.PI / 180);
+    }
+
+    // Layouts work in plan view, where a panel's upslope side is foreshortened by the pitch
+    getFootprint(size, facet = this.activeFacet) {
+        return { width: size.width, height: size.height * this.getSlopeFactor(facet) };
+    }
+
+    setLayoutMode(mode, settings = {}) {
+        this.layoutMode = mode === 'optimized' ? 'optimized' : 'grid';
+        this.optimizerSettings = { ...this.optimizerSettings, ...settings };
+        this.generatePanelLayout();
+    }
+
+    setMaxPanelCount(count) {
+        const value = parseInt(count, 10);
+        this.maxPanelCount = isNaN(value) || value <= 0 ? null : value;
+        this.generatePanelLayout();
+    }
+
+    applyPanelCap() {
+        if (!this.maxPanelCount || this.panels.length <= this.maxPanelCount) return;
+        
+        const facetYield = {};
+        this.getFacets().forEach(facet => {
+            facetYield[facet.id] = this.estimateFacetYield(facet);
+        });
+        
+        const expectedOutput = (panel) => (panel.power || 0) * (panel.solarAccess ?? 100) / 100 * (facetYield[panel.facetId] || 0);
+        const keep = new Set(this.panels
+            .slice()
+            .sort((a, b) => expectedOutput(b) - expectedOutput(a))
+            .slice(0, this.maxPanelCount)
+            .map(panel => panel.id));
+        
+        // Preserve layout order so rows and strings stay contiguous
+        this.panels = this.panels.filter(panel => keep.has(panel.id));
+    }
+
+    setEdgeSetback(feet) {
+        this.edgeSetback = Math.max(0, parseFloat(feet) || 0);
+        this.generatePanelLayout();
+    }
+
+    getOptimizationResults() {
+        return this.optimizationResults;
+    }
+
+    renderOptimizationResults() {
+        const container = typeof document !== 'undefined' && document.getElementById('optimizerResults');
+        if (!container) return;
+        
+        if (!this.optimizationResults) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        // Costs are in the input currency; kWh per unit follows the displayed currency
+        const locale = window.localeManager;
+        const format = (value, decimals) => locale ? locale.formatNumber(value, decimals) : value.toFixed(decimals);
+        const rate = locale?.getRate(locale.settings.inputCurrency, locale.getDisplayCurrency()) || 1;
+        const symbol = locale ? locale.getCurrencySymbol(locale.getDisplayCurrency()) : '$';
+        const describe = (result) => `${result.panelCount} panels, ${result.orientation}${result.mixed ? ' + fill' : ''}, ` +
+            `${format(result.yearlyEnergy, 0)} kWh/yr, ${format(result.energyPerCost / rate, 3)} kWh/${symbol}`;
+        
+        container.innerHTML = this.optimizationResults.facets.map(facet => `
+            <div class="facet-row">
+                <strong>${facet.name}</strong>
+                <span>Best: ${describe(facet.winner)}</span>
+            </div>
+            ${facet.runnerUps.map((result, index) => `
+                <div class="facet-row">
+                    <span>#${index + 2}: ${describe(result)}</span>
+                </div>
+            `).join('')}
+        `).join('');
+    }
+
+    // Layout frame: x runs along the eave (or chosen edge), y runs upslope
+    calculateLayoutFrame(facet, localPolygon) {
+        const azimuthRadians = (facet.azimuth ?? 180) * Math.PI / 180;
+        const upslope = { x: -Math.sin(azimuthRadians), y: -Math.cos(azimuthRadians) };
+        
+        // Default: perpendicular to the facet azimuth
+        let angle = Math.atan2(Math.sin(azimuthRadians), -Math.cos(azimuthRadians));
+        
+        const edgeIndex = this.referenceEdges[facet.id];
+        if (edgeIndex !== undefined && edgeIndex !== null && localPolygon.length > 1) {
+            const start = localPolygon[edgeIndex % localPolygon.length];
+            const end = localPolygon[(edgeIndex + 1) % localPolygon.length];
+            angle = Math.atan2(end.y - start.y, end.x - start.x);
+            
+            // Keep the frame's y axis pointing upslope
+            if (-Math.sin(angle) * upslope.x + Math.cos(angle) * upslope.y < 0) {
+                angle += Math.PI;
+            }
+        }
+        
         return {
-            id: `panel_${row}_${col}`,
-            position: { lng: x, lat: y },
+            angle: angle,
+            u: { x: Math.cos(angle), y: Math.sin(angle) },
+            v: { x: -Math.sin(angle), y: Math.cos(angle) }
+        };
+    }
+
+    toFrame(point, frame = this.layoutFrame) {
+        return {
+            x: point.x * frame.u.x + point.y * frame.u.y,
+            y: point.x * frame.v.x + point.y * frame.v.y
+        };
+    }
+
+    fromFrame(point, frame = this.layoutFrame) {
+        return {
+            x: point.x * frame.u.x + point.y * frame.v.x,
+            y: point.x * frame.u.y + point.y * frame.v.y
+        };
+    }
+
+    setReferenceEdge(facetId, edgeIndex) {
+        if (edgeIndex === null || edgeIndex === undefined || edgeIndex === '') {
+            delete this.referenceEdges[facetId];
+        } else {
+            this.referenceEdges[facetId] = parseInt(edgeIndex, 10);
+        }
+        this.generatePanelLayout();
+    }
+
+    // x, y are the panel center in the layout frame; geographic values are kept for the map and export
+    createPanel(x, y, row, col, orientation = this.getSpecOrientation()) {
+        const size = this.getPanelSize(orientation);
+        const localPosition = this.fromFrame({ x, y });
+        const localCorners = this.calculatePanelCorners(x, y, this.getFootprint(size)).map(corner => this.fromFrame(corner));
+        
+        return {
+            id: `panel_${this.activeFacet.id}_${row}_${col}${orientation !== this.getSpecOrientation() ? `_${orientation}` : ''}`,
+            facetId: this.activeFacet.id,
+            position: window.localProjection.toGeo(localPosition),
+            localPosition: localPosition,
+            gridAngle: (this.layoutFrame.angle * 180 / Math.PI + 360) % 360, // Width axis, degrees counter-clockwise from east
             row: row,
             col: col,
-            width: this.panelSpecs.width,
-            height: this.panelSpecs.height,
+            orientation: orientation,
+            width: size.width,   // Along the grid axis
+            height: size.height, // Upslope, along the slope; the corners are the plan footprint
             power: this.panelSpecs.power,
-            azimuth: this.roofBoundary.azimuth,
-            tilt: this.roofBoundary.pitch,
-            efficiency: this.calculatePanelEfficiency(x, y),
+            azimuth: this.activeFacet.azimuth,
+            tilt: this.activeFacet.pitch,
+            moduleId: this.panelSpecs.moduleId,
+            efficiency: this.calculatePanelEfficiency(),
+            solarAccess: 100,
             selected: false,
-            corners: this.calculatePanelCorners(x, y)
+            corners: window.localProjection.toGeoPolygon(localCorners),
+            localCorners: localCorners
         };
     }
 
-    calculatePanelCorners(centerX, centerY) {
-        const halfWidth = this.panelSpecs.width / 2;
-        const halfHeight = this.panelSpecs.height / 2;
+    calculatePanelCorners(centerX, centerY, size = this.panelSpecs) {
+        const halfWidth = size.width / 2;
+        const halfHeight = size.height / 2;
         
         return [
-            { lng: centerX - halfWidth, lat: centerY + halfHeight },
-            { lng: centerX + halfWidth, lat: centerY + halfHeight },
-            { lng: centerX + halfWidth, lat: centerY - halfHeight },
-            { lng: centerX - halfWidth, lat: centerY - halfHeight }
+            { x: centerX - halfWidth, y: centerY + halfHeight },
+            { x: centerX + halfWidth, y: centerY + halfHeight },
+            { x: centerX + halfWidth, y: centerY - halfHeight },
+            { x: centerX - halfWidth, y: centerY - halfHeight }
         ];
     }
 
-    calculatePanelEfficiency(x, y) {
+    calculatePanelEfficiency(solarAccess = 100, facet = this.activeFacet) {
         // Base efficiency from panel specs
         let efficiency = this.panelSpecs.efficiency;
         
         // Adjust for roof characteristics
-        if (this.roofBoundary.sunExposure) {
-            efficiency *= this.roofBoundary.sunExposure;
+        if (facet?.sunExposure) {
+            efficiency *= facet.sunExposure;
         }
         
-        // Adjust for position on roof (simplified)
-        const bounds = this.calculateRoofBounds();
-        const centerX = (bounds.west + bounds.east) / 2;
-        const centerY = (bounds.north + bounds.south) / 2;
+        // Adjust for shading from keepouts
+        efficiency *= solarAccess / 100;
         
-        const distanceFromCenter = Math.sqrt(
-            Math.pow(x - centerX, 2) + Math.pow(y - centerY, 2)
-        );
+        return Math.max(0.1, Math.min(1.0, efficiency));
+    }
+
+    applyShadingAnalysis() {
+        if (!window.shadingAnalyzer || this.panels.length === 0) return;
         
-        const maxDistance = Math.sqrt(
-            Math.pow(bounds.east - bounds.west, 2) + Math.pow(bounds.north - bounds.south, 2)
-        ) / 2;
+        const keepouts = window.roofDetector?.getKeepouts() || [];
+        const location = window.statsCalculator?.getSiteLocation() || this.roofBoundary.center;
         
-        const positionFactor = 1 - (distanceFromCenter / maxDistance) * 0.1;
-        efficiency *= positionFactor;
+        window.shadingAnalyzer.analyzePanels(this.panels, keepouts, location);
         
-        return Math.max(0.1, Math.min(1.0, efficiency));
+        this.panels.forEach(panel => {
+            const facet = this.getFacets().find(f => f.id === panel.facetId);
+            panel.efficiency = this.calculatePanelEfficiency(panel.solarAccess, facet);
+        });
     }
 
     filterKeepoutConflicts() {
@@ -209,58 +637,66 @@ class PanelPlacer {
     }
 
     panelConflictsWithKeepout(panel, keepout) {
-        const panelBounds = {
-            west: panel.position.lng - panel.width / 2,
-            east: panel.position.lng + panel.width / 2,
-            north: panel.position.lat + panel.height / 2,
-            south: panel.position.lat - panel.height / 2
-        };
-        
-        const keepoutBounds = {
-            west: keepout.position.lng - (keepout.size.width + keepout.buffer) / 2,
-            east: keepout.position.lng + (keepout.size.width + keepout.buffer) / 2,
-            north: keepout.position.lat + (keepout.size.height + keepout.buffer) / 2,
-            south: keepout.position.lat - (keepout.size.height + keepout.buffer) / 2
-        };
+        // Both footprints in local feet; the panel may be rotated
+        return this.rectanglesOverlap(panel.localCorners, this.getKeepoutCorners(keepout));
+    }
+
+    getKeepoutCorners(keepout) {
+        // Keepout footprint plus its buffer, in local feet
+        const keepoutCenter = window.localProjection.toLocal(keepout.position);
+        const halfWidth = (keepout.size.width + (keepout.buffer || 0)) / 2;
+        const halfHeight = (keepout.size.height + (keepout.buffer || 0)) / 2;
+        return [
+            { x: keepoutCenter.x - halfWidth, y: keepoutCenter.y + halfHeight },
+            { x: keepoutCenter.x + halfWidth, y: keepoutCenter.y + halfHeight },
+            { x: keepoutCenter.x + halfWidth, y: keepoutCenter.y - halfHeight },
+            { x: keepoutCenter.x - halfWidth, y: keepoutCenter.y - halfHeight }
+        ];
+    }
+
+    rectanglesOverlap(cornersA, cornersB) {
+        // Separating axis test on the edge normals of both rectangles
+        const axes = [cornersA, cornersB].flatMap(corners => [0, 1].map(i => {
+            const edge = { x: corners[i + 1].x - corners[i].x, y: corners[i + 1].y - corners[i].y };
+            return { x: -edge.y, y: edge.x };
+        }));
         
-        return !(panelBounds.east < keepoutBounds.west ||
-                panelBounds.west > keepoutBounds.east ||
-                panelBounds.north < keepoutBounds.south ||
-                panelBounds.south > keepoutBounds.north);
+        return axes.every(axis => {
+            const project = (corners) => corners.map(corner => corner.x * axis.x + corner.y * axis.y);
+            const a = project(cornersA);
+            const b = project(cornersB);
+            return Math.max(...a) >= Math.min(...b) && Math.max(...b) >= Math.min(...a);
+        });
+    }
+
+    getFacets() {
+        if (!this.roofBoundary) return [];
+        return this.roofBoundary.facets || [{ id: 'facet_1', ...this.roofBoundary }];
     }
 
     calculateRoofBounds() {
-        const coords = this.roofBoundary.coordinates;
-        let north = -90, south = 90, east = -180, west = 180;
+        // Bounds of the active facet's placement area in the layout frame (feet)
+        const coords = this.placementPolygon;
+        let north = -Infinity, south = Infinity, east = -Infinity, west = Infinity;
         
         coords.forEach(coord => {
-            north = Math.max(north, coord.lat);
-            south = Math.min(south, coord.lat);
-            east = Math.max(east, coord.lng);
-            west = Math.min(west, coord.lng);
+            north = Math.max(north, coord.y);
+            south = Math.min(south, coord.y);
+            east = Math.max(east, coord.x);
+            west = Math.min(west, coord.x);
         });
         
         return { north, south, east, west };
     }
 
-    isPointInRoof(lng, lat) {
-        // Point-in-polygon test
-        const coords = this.roofBoundary.coordinates;
-        let inside = false;
-        
-        for (let i = 0, j = coords.length - 1; i < coords.length; j = i++) {
-            if (((coords[i].lat > lat) !== (coords[j].lat > lat)) &&
-                (lng < (coords[j].lng - coords[i].lng) * (lat - coords[i].lat) / (coords[j].lat - coords[i].lat) + coords[i].lng)) {
-                inside = !inside;
-            }
-        }
-        
-        return inside;
+    isPointInRoof(x, y) {
+        // Point-in-polygon test against the facet being laid out, inside its setbacks
+        return window.localProjection.pointInPolygon({ x, y }, this.placementPolygon);
     }
 
-    canFitPanel(centerX, centerY) {
-        const corners = this.calculatePanelCorners(centerX, centerY);
-        return corners.every(corner => this.isPointInRoof(corner.lng, corner.lat));
+    canFitPanel(centerX, centerY, size = this.panelSpecs) {
+        const corners = this.calculatePanelCorners(centerX, centerY, size);
+        return corners.every(corner => this.isPointInRoof(corner.x, corner.y));
     }
 
     findLongestEdge(coords) {
@@ -270,7 +706,7 @@ class PanelPlacer {
         for (let i = 0; i < coords.length; i++) {
             const start = coords[i];
             const end = coords[(i + 1) % coords.length];
-            const length = this.calculateDistance(start.lng, start.lat, end.lng, end.lat);
+            const length = this.calculateDistance(start.x, start.y, end.x, end.y);
             
             if (length > maxLength) {
                 maxLength = length;
@@ -281,18 +717,21 @@ class PanelPlacer {
         return longestEdge;
     }
 
-    calculateDistance(lng1, lat1, lng2, lat2) {
-        const R = 6371000; // Earth's radius in meters
-        const dLat = (lat2 - lat1) * Math.PI / 180;
-        const dLng = (lng2 - lng1) * Math.PI / 180;
-        const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-                  Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-                  Math.sin(dLng/2) * Math.sin(dLng/2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-        return R * c * 3.28084; // Convert to feet
+    calculateDistance(x1, y1, x2, y2) {
+        // Local coordinates are already in feet
+        return window.localProjection.distance({ x: x1, y: y1 }, { x: x2, y: y2 });
     }
 
     updatePanelStats() {
+        if (window.fireCodeRules) {
+            window.fireCodeRules.checkLayout(this.panels, this.getFacets());
+        }
+        
+        // Strings are assigned first so string-level mismatch can be simulated
+        if (window.electricalDesigner) {
+            window.electricalDesigner.designSystem(this.panels);
+        }
+        
         if (window.statsCalculator) {
             window.statsCalculator.updatePanelData(this.panels);
         }
@@ -333,18 +772,32 @@ class PanelPlacer {
 
     // Panel manipulation methods
     movePanels(deltaX, deltaY) {
+        // Offsets in feet (east, north)
         this.selectedPanels.forEach(panel => {
-            panel.position.lng += deltaX;
-            panel.position.lat += deltaY;
-            panel.corners = this.calculatePanelCorners(panel.position.lng, panel.position.lat);
+            panel.localPosition.x += deltaX;
+            panel.localPosition.y += deltaY;
+            panel.localCorners = panel.localCorners.map(corner => ({ x: corner.x + deltaX, y: corner.y + deltaY }));
+            panel.position = window.localProjection.toGeo(panel.localPosition);
+            panel.corners = window.localProjection.toGeoPolygon(panel.localCorners);
         });
         this.updatePanelStats();
     }
 
     rotatePanels(angle) {
+        // Angle in degrees, clockwise in plan view like a compass bearing
+        const radians = -angle * Math.PI / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        
         this.selectedPanels.forEach(panel => {
-            // Simple rotation around panel center
-            panel.azimuth = (panel.azimuth + angle) % 360;
+            // Rotate the footprint around the panel center; flush-mounted panels keep the facet azimuth
+            const center = panel.localPosition;
+            panel.localCorners = panel.localCorners.map(corner => ({
+                x: center.x + (corner.x - center.x) * cos - (corner.y - center.y) * sin,
+                y: center.y + (corner.x - center.x) * sin + (corner.y - center.y) * cos
+            }));
+            panel.corners = window.localProjection.toGeoPolygon(panel.localCorners);
+            panel.gridAngle = ((panel.gridAngle ?? 0) - angle + 360) % 360;
         });
         this.updatePanelStats();
     }
@@ -394,7 +847,16 @@ class PanelPlacer {
         return {
             panels: this.panels,
             panelSpecs: this.panelSpecs,
+            module: window.moduleCatalog?.getSelectedModule() || null,
+            strings: window.electricalDesigner?.getStrings() || [],
+            electricalDesign: window.electricalDesigner?.getDesign() || null,
             spacing: this.spacing,
+            referenceEdges: this.referenceEdges,
+            edgeSetback: this.edgeSetback,
+            layoutMode: this.layoutMode,
+            maxPanelCount: this.maxPanelCount,
+            optimizerSettings: this.optimizerSettings,
+            optimizationResults: this.optimizationResults,
             totalPower: this.getTotalPower(),
             averageEfficiency: this.getAverageEfficiency()
         };
@@ -0,0 +1,252 @@
+// js/pdfWriter.js
+//
+// Small PDF 1.4 writer with no dependencies: pages, the standard Helvetica fonts, vector shapes
+// and JPEG images. Positions are in points from the top-left corner of the page; y is flipped
+// when written. One instance builds one document.
+class PdfWriter {
+    constructor(options = {}) {
+        this.pageWidth = options.pageWidth || 612;   // US Letter
+        this.pageHeight = options.pageHeight || 792;
+        this.title = options.title || '';
+        this.author = options.author || '';
+        this.pages = [];  // Content stream operators, one array per page
+        this.pageIndex = null; // Page being drawn on; null follows the last one added
+        this.images = []; // { name, bytes, width, height }
+
+        // Helvetica advance widths (1/1000 em) for characters 32-126; anything else uses 556
+        this.fontWidths = {
+            regular: [
+                278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+                556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+                1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+                667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+                333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+                556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+            ],
+            bold: [
+                278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+                556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+                975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+                667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+                333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+                611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+            ]
+        };
+
+        // Characters WinAnsiEncoding places in 0x80-0x9F
+        this.winAnsi = {
+            '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+            '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93,
+            '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B,
+            'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F,
+            // Not in the encoding; locale number formats and charts use them
+            '−': 0x2D, '\u2007': 0x20, '\u2009': 0x20, '\u202F': 0x20, '→': 0x3E
+        };
+    }
+
+    addPage() {
+        this.pages.push([]);
+        this.pageIndex = null;
+        return this.pages.length;
+    }
+
+    getPageCount() {
+        return this.pages.length;
+    }
+
+    // Later drawing goes to an earlier page, e.g. for "page n of m" footers
+    setPage(pageNumber) {
+        this.pageIndex = pageNumber - 1;
+    }
+
+    write(operator) {
+        if (this.pages.length === 0) this.addPage();
+        this.pages[this.pageIndex ?? this.pages.length - 1].push(operator);
+    }
+
+    // Character codes in WinAnsiEncoding; characters it lacks become '?'
+    encode(text) {
+        return Array.from(String(text ?? ''), char => {
+            if (this.winAnsi[char] !== undefined) return this.winAnsi[char];
+            const code = char.charCodeAt(0);
+            if (code >= 32 && code < 127) return code;
+            if (code >= 160 && code <= 255) return code;
+            return 0x3F;
+        });
+    }
+
+    escapeText(text) {
+        return this.encode(text).map(code => {
+            if (code === 0x28 || code === 0x29 || code === 0x5C) return `\\${String.fromCharCode(code)}`;
+            if (code > 126) return `\\${code.toString(8).padStart(3, '0')}`;
+            return String.fromCharCode(code);
+        }).join('');
+    }
+
+    textWidth(text, size = 10, bold = false) {
+        const widths = this.fontWidths[bold ? 'bold' : 'regular'];
+        const units = this.encode(text).reduce((total, code) =>
+            total + (code >= 32 && code <= 126 ? widths[code - 32] : 556), 0);
+        return units * size / 1000;
+    }
+
+    // Greedy word wrap to a width in points
+    wrapText(text, maxWidth, size = 10, bold = false) {
+        const lines = [];
+        String(text ?? '').split('\n').forEach(paragraph => {
+            let line = '';
+            paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (line && this.textWidth(candidate, size, bold) > maxWidth) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            });
+            lines.push(line);
+        });
+        return lines;
+    }
+
+    number(value) {
+        return Number(value.toFixed(2)).toString();
+    }
+
+    color(hex) {
+        const value = parseInt(String(hex).replace('#', ''), 16) || 0;
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(channel => this.number(channel / 255)).join(' ');
+    }
+
+    // y is the baseline; align is 'left', 'center' or 'right' of x
+    text(text, x, y, options = {}) {
+        const size = options.size || 10;
+        const bold = !!options.bold;
+        const width = this.textWidth(text, size, bold);
+        const left = options.align === 'right' ? x - width : options.align === 'center' ? x - width / 2 : x;
+
+        this.write(`BT /${bold ? 'F2' : 'F1'} ${this.number(size)} Tf ${this.color(options.color || '#000000')} rg ` +
+            `${this.number(left)} ${this.number(this.pageHeight - y)} Td (${this.escapeText(text)}) Tj ET`);
+        return width;
+    }
+
+    // Fill and/or stroke whatever path the operators describe
+    paint(path, options) {
+        const fill = options.fill;
+        const stroke = options.stroke;
+        if (!fill && !stroke) return;
+
+        const state = [];
+        if (fill) state.push(`${this.color(fill)} rg`);
+        if (stroke) state.push(`${this.color(stroke)} RG ${this.number(options.lineWidth || 1)} w`);
+        if (options.dash) state.push(`[${options.dash.join(' ')}] 0 d`);
+        this.write(`q ${state.join(' ')} ${path} ${fill && stroke ? 'B' : fill ? 'f' : 'S'} Q`);
+    }
+
+    rect(x, y, width, height, options = {}) {
+        this.paint(`${this.number(x)} ${this.number(this.pageHeight - y - height)} ${this.number(width)} ${this.number(height)} re`, options);
+    }
+
+    line(x1, y1, x2, y2, options = {}) {
+        this.paint(`${this.number(x1)} ${this.number(this.pageHeight - y1)} m ${this.number(x2)} ${this.number(this.pageHeight - y2)} l`,
+            { stroke: options.color || '#000000', lineWidth: options.lineWidth, dash: options.dash });
+    }
+
+    polygon(points, options = {}) {
+        if (points.length < 2) return;
+        const path = points.map((point, index) =>
+            `${this.number(point.x)} ${this.number(this.pageHeight - point.y)} ${index === 0 ? 'm' : 'l'}`).join(' ');
+        this.paint(`${path} h`, options);
+    }
+
+    // bytes: baseline JPEG file contents; returns the name to draw it with
+    addJpeg(bytes, width, height) {
+        const name = `Im${this.images.length + 1}`;
+        this.images.push({ name: name, bytes: bytes, width: width, height: height });
+        return name;
+    }
+
+    image(name, x, y, width, height) {
+        this.write(`q ${this.number(width)} 0 0 ${this.number(height)} ${this.number(x)} ${this.number(this.pageHeight - y - height)} cm /${name} Do Q`);
+    }
+
+    dataUrlToBytes(dataUrl) {
+        const binary = atob(dataUrl.substring(dataUrl.indexOf(',') + 1));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    formatDate(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+            `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+    }
+
+    // The finished file as bytes
+    output() {
+        if (this.pages.length === 0) this.addPage();
+
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+        const push = (data) => {
+            const bytes = typeof data === 'string' ? Uint8Array.from(data, char => char.charCodeAt(0) & 255) : data;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+        const object = (id, body, stream = null) => {
+            offsets[id] = length;
+            push(`${id} 0 obj\n${body}\n`);
+            if (stream) {
+                push('stream\n');
+                push(stream);
+                push('\nendstream\n');
+            }
+            push('endobj\n');
+        };
+
+        // 1 catalog, 2 page tree, 3-4 fonts, 5 info, then images, then a page and its contents per page
+        const imageIds = this.images.map((_, index) => 6 + index);
+        const firstPageId = 6 + this.images.length;
+        const pageIds = this.pages.map((_, index) => firstPageId + index * 2);
+
+        push('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+        object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+        object(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+        object(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        object(4, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+        object(5, `<< /Title (${this.escapeText(this.title)}) /Author (${this.escapeText(this.author)}) ` +
+            `/Producer (Solar Panel Roof Analyzer) /CreationDate (${this.formatDate(new Date())}) >>`);
+
+        this.images.forEach((image, index) => {
+            object(imageIds[index], `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>`, image.bytes);
+        });
+
+        const xObjects = this.images.map((image, index) => `/${image.name} ${imageIds[index]} 0 R`).join(' ');
+        this.pages.forEach((operators, index) => {
+            const content = operators.join('\n');
+            object(pageIds[index], `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.pageWidth} ${this.pageHeight}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> ` +
+                `/Contents ${pageIds[index] + 1} 0 R >>`);
+            object(pageIds[index] + 1, `<< /Length ${content.length} >>`, content);
+        });
+
+        const count = firstPageId + this.pages.length * 2;
+        const xrefOffset = length;
+        push(`xref\n0 ${count}\n0000000000 65535 f \n`);
+        for (let id = 1; id < count; id++) {
+            push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+        }
+        push(`trailer\n<< /Size ${count} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        const result = new Uint8Array(length);
+        let position = 0;
+        chunks.forEach(chunk => {
+            result.set(chunk, position);
+            position += chunk.length;
+        });
+        return result;
+    }
+}
@@ -7,6 +7,7 @@ class ProjectManager {
         this.autoSaveInterval = 30000; // 30 seconds
         this.lastSaveTime = null;
         this.hasUnsavedChanges = false;
+        this.weatherKeyPrefix = 'solarWeather_'; // Hourly weather datasets, stored once and shared by projects
         
         this.initializeAutoSave();
         this.loadProjectsList();
@@ -33,6 +34,10 @@ class ProjectManager {
             roofData: null,
             panelData: null,
             keepouts: [],
+            weather: null,
+            fireCode: null,
+            module: null,
+            electrical: null,
             settings: this.getDefaultSettings(),
             stats: null,
             notes: '',
@@ -51,6 +56,7 @@ class ProjectManager {
     getDefaultSettings() {
         return {
             panelSpecs: {
+                moduleId: 'generic-400',
                 width: 5.4,
                 height: 3.25,
                 power: 400,
@@ -61,10 +67,19 @@ class ProjectManager {
                 vertical: 0.5
             },
             units: 'imperial', // 'imperial' or 'metric'
-            currency: 'CAD',
+            locale: 'en-CA', // number and date formatting
+            currency: 'CAD', // results are shown in this currency
+            inputCurrency: 'CAD', // prices and costs are entered in this currency
             location: 'Calgary, AB',
+            utcOffset: null, // hours; null follows the weather file, else the site longitude
             electricityRate: 0.12,
-            systemEfficiency: 0.85,
+            // null: each model starts from its own defaults, not what the previous project left
+            losses: null,
+            snow: null,
+            finance: null,
+            battery: null,
+            cost: null,
+            emissions: null,
             preferences: {
                 autoSave: true,
                 showKeepouts: true,
@@ -90,6 +105,24 @@ class ProjectManager {
         this.currentProject.panelData = window.panelPlacer?.exportPanelData();
         this.currentProject.stats = window.statsCalculator?.exportStatsData();
         this.currentProject.model3D = window.model3D?.exportScene();
+        this.currentProject.weather = this.getWeatherReference(window.weatherManager?.exportWeatherData());
+        this.currentProject.fireCode = window.fireCodeRules?.exportData() || null;
+        this.currentProject.module = window.moduleCatalog?.exportData() || null;
+        this.currentProject.electrical = window.electricalDesigner?.exportData() || null;
+        this.currentProject.tariff = window.tariffEngine?.exportData() || null;
+        this.currentProject.consumption = window.consumptionManager?.exportData() || null;
+        this.currentProject.settings = {
+            ...this.currentProject.settings,
+            ...window.localeManager?.exportSettings(),
+            units: window.unitSystem?.exportSettings() || this.currentProject.settings?.units || 'imperial',
+            utcOffset: window.weatherManager ? window.weatherManager.utcOffset : null,
+            losses: window.lossModel?.exportSettings() || null,
+            snow: window.snowModel?.exportSettings() || null,
+            finance: window.financialModel?.exportSettings() || null,
+            battery: window.batteryModel?.exportSettings() || null,
+            cost: window.costModel?.exportSettings() || null,
+            emissions: window.emissionsModel?.exportSettings() || null
+        };
         
         // Save to localStorage
         try {
@@ -102,8 +135,11 @@ class ProjectManager {
                 projectsData.push(this.currentProject);
             }
             
+            this.storeWeather(window.weatherManager?.exportWeatherData());
+            projectsData.forEach(project => this.compactWeather(project));
             localStorage.setItem('solarProjects', JSON.stringify(projectsData));
             this.projects = projectsData;
+            this.pruneWeather(projectsData);
             this.lastSaveTime = new Date();
             this.hasUnsavedChanges = false;
             
@@ -111,7 +147,9 @@ class ProjectManager {
             return true;
         } catch (error) {
             console.error('Failed to save project:', error);
-            this.showSaveNotification('Failed to save project!', 'error');
+            this.showSaveNotification(this.isQuotaError(error)
+                ? 'Browser storage is full! Delete old projects or export this one to a file.'
+                : 'Failed to save project!', 'error');
             return false;
         }
     }
@@ -127,39 +165,8 @@ class ProjectManager {
         
         this.currentProject = project;
         
-        // Load data into all modules
         try {
-            // Load location and map
-            if (project.location && window.mapManager) {
-                window.mapManager.searchAddress(project.location.address);
-            }
-            
-            // Load roof data
-            if (project.roofData && window.roofDetector) {
-                window.roofDetector.processRoofData(project.roofData.roofData);
-                
-                // Restore keepouts
-                if (project.roofData.keepouts) {
-                    project.roofData.keepouts.forEach(keepout => {
-                        window.roofDetector.addKeepout(keepout.type, keepout.position, keepout.size);
-                    });
-                }
-            }
-            
-            // Load panel data
-            if (project.panelData && window.panelPlacer) {
-                if (project.panelData.panelSpecs) {
-                    window.panelPlacer.setPanelSpecs(project.panelData.panelSpecs);
-                }
-                if (project.panelData.spacing) {
-                    window.panelPlacer.setSpacing(project.panelData.spacing);
-                }
-            }
-            
-            // Update settings
-            if (project.settings) {
-                this.applyProjectSettings(project.settings);
-            }
+            this.applyProject(project);
             
             this.hasUnsavedChanges = false;
             this.showSaveNotification('Project loaded successfully!');
@@ -171,6 +178,103 @@ class ProjectManager {
         }
     }
 
+    // Loads a project into every module; whatever the project lacks is reset to that module's defaults
+    applyProject(project) {
+        // Load location and map
+        if (project.location && window.mapManager) {
+            window.mapManager.searchAddress(project.location.address);
+        }
+        
+        // Load roof data
+        if (project.roofData && window.roofDetector) {
+            window.roofDetector.processRoofData(project.roofData.roofData);
+            
+            // Restore keepouts
+            if (project.roofData.keepouts) {
+                project.roofData.keepouts.forEach(keepout => {
+                    window.roofDetector.addKeepout(keepout.type, keepout.position, keepout.size, keepout.height);
+                });
+            }
+        }
+        
+        this.applyModelSettings(project.settings);
+        
+        // Load weather dataset before panels so production uses the same inputs
+        if (window.weatherManager) {
+            window.weatherManager.setDataset(this.resolveWeather(project.weather));
+        }
+        
+        // Module parameters drive thermal and electrical calculations
+        if (window.moduleCatalog) {
+            window.moduleCatalog.importData(project.module || ModuleCatalog.getDefaults());
+        }
+        if (window.electricalDesigner) {
+            window.electricalDesigner.importData(project.electrical || ElectricalDesigner.getDefaults());
+        }
+        if (window.tariffEngine) {
+            window.tariffEngine.importData(project.tariff || TariffEngine.getDefaults());
+        }
+        if (window.consumptionManager) {
+            window.consumptionManager.importData(project.consumption);
+        }
+        if (window.statsCalculator) {
+            window.statsCalculator.architecture = project.stats?.architecture || 'string';
+            const architectureSelect = document.getElementById('architectureSelect');
+            if (architectureSelect) architectureSelect.value = window.statsCalculator.architecture;
+        }
+        
+        // Fire code profile shapes the placement area, so it precedes the layout
+        if (window.fireCodeRules) {
+            window.fireCodeRules.importData(project.fireCode || FireCodeRules.getDefaults());
+            const profileSelect = document.getElementById('fireCodeProfile');
+            if (profileSelect) profileSelect.value = window.fireCodeRules.profileId;
+        }
+        
+        // Load panel data
+        if (window.panelPlacer) {
+            const panelData = project.panelData || {};
+            if (panelData.panelSpecs) {
+                window.panelPlacer.setPanelSpecs(panelData.panelSpecs);
+            }
+            window.panelPlacer.referenceEdges = { ...(panelData.referenceEdges || {}) };
+            window.panelPlacer.edgeSetback = panelData.edgeSetback ?? 0;
+            window.panelPlacer.maxPanelCount = panelData.maxPanelCount ?? null;
+            window.panelPlacer.layoutMode = panelData.layoutMode || 'grid';
+            window.panelPlacer.optimizerSettings = {
+                ...window.panelPlacer.optimizerSettings,
+                ...panelData.optimizerSettings
+            };
+            if (panelData.spacing) {
+                window.panelPlacer.setSpacing(panelData.spacing);
+            }
+        }
+        
+        // Update settings
+        if (project.settings) {
+            this.applyProjectSettings(project.settings);
+        }
+        
+        // Last, so every restored value is redrawn in the project's units
+        if (window.unitSystem) {
+            window.unitSystem.importSettings(project.settings?.units);
+        }
+    }
+
+    // Puts a project's settings into the live models; anything missing falls back to the model's defaults
+    applyModelSettings(settings) {
+        if (window.weatherManager) {
+            window.weatherManager.utcOffset = settings?.utcOffset ?? null;
+            window.weatherManager.renderUtcOffsetInput();
+        }
+        window.localeManager?.importSettings(settings);
+        window.lossModel?.importSettings(settings?.losses);
+        window.snowModel?.importSettings(settings?.snow);
+        window.financialModel?.importSettings(settings?.finance);
+        window.batteryModel?.importSettings(settings?.battery);
+        window.costModel?.importSettings(settings?.cost);
+        window.emissionsModel?.importSettings(settings?.emissions);
+    }
+
     autoSave() {
         if (this.currentProject && this.autoSaveEnabled) {
             const originalName = this.currentProject.name;
@@ -192,10 +296,12 @@ class ProjectManager {
         // Update project with current data
         this.saveProject();
         
-        // Create downloadable JSON
+        // Create downloadable JSON; the file carries its weather data rather than a storage reference
         const exportData = {
             ...this.currentProject,
+            weather: window.weatherManager?.exportWeatherData() || null,
             exportedAt: new Date().toISOString(),
+            exchangeRate: window.localeManager?.getExchangeInfo() || null,
             exportVersion: '1.0',
             application: 'Solar Panel Roof Analyzer'
         };
@@ -213,6 +319,60 @@ class ProjectManager {
         this.showSaveNotification('Project exported successfully!');
     }
 
+    // Hour-by-hour results for spreadsheets and pvlib; format is 'csv' or 'json'
+    exportHourlyResults(format = 'csv') {
+        const data = window.statsCalculator?.exportHourlyData();
+        if (!data) {
+            this.showSaveNotification('Place panels to export hourly results!', 'error');
+            return;
+        }
+
+        const name = (this.currentProject?.name || 'solar_project').replace(/[^a-z0-9]/gi, '_');
+        if (format === 'json') {
+            this.downloadFile(JSON.stringify(data, null, 2), `${name}_hourly.json`, 'application/json;charset=utf-8');
+        } else {
+            this.downloadFile(this.buildHourlyCsv(data), `${name}_hourly.csv`, 'text/csv;charset=utf-8');
+        }
+
+        this.showSaveNotification('Hourly results exported!');
+    }
+
+    // Header lines start with '#' so readers can skip them (pandas: comment='#')
+    buildHourlyCsv(data) {
+        const headerLines = [];
+        const flatten = (value, path) => {
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                Object.entries(value).forEach(([key, child]) => flatten(child, path ? `${path}.${key}` : key));
+            } else {
+                headerLines.push(`# ${path}: ${Array.isArray(value) ? JSON.stringify(value) : value ?? ''}`);
+            }
+        };
+        flatten(data.header, '');
+        data.columns.forEach(column => {
+            headerLines.push(`# column ${column.key}${column.unit ? ` [${column.unit}]` : ''}: ${column.description}`);
+        });
+
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const keys = data.columns.map(column => column.key);
+        const lines = data.rows.map(row => keys.map(key => escape(row[key])).join(','));
+
+        return [...headerLines, keys.join(','), ...lines].join('\n') + '\n';
+    }
+
+    // A Blob URL, since an 8760-row file is too long for a data URI in some browsers
+    downloadFile(content, fileName, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: type }));
+        const linkElement = document.createElement('a');
+        linkElement.setAttribute('href', url);
+        linkElement.setAttribute('download', fileName);
+        linkElement.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
     importProject(file) {
         const reader = new FileReader();
         
@@ -236,6 +396,7 @@ class ProjectManager {
                 
                 // Save to local storage
                 const projects = this.getStoredProjects();
+                this.compactWeather(projectData);
                 projects.push(projectData);
                 localStorage.setItem('solarProjects', JSON.stringify(projects));
                 this.projects = projects;
@@ -246,7 +407,9 @@ class ProjectManager {
                 this.showSaveNotification('Project imported successfully!');
             } catch (error) {
                 console.error('Failed to import project:', error);
-                this.showSaveNotification('Failed to import project!', 'error');
+                this.showSaveNotification(this.isQuotaError(error)
+                    ? 'Browser storage is full! Delete old projects before importing.'
+                    : 'Failed to import project!', 'error');
             }
         };
         
@@ -268,6 +431,71 @@ class ProjectManager {
         }
     }
 
+    // Project's stand-in for its weather dataset: what it is and where the hours are stored
+    getWeatherReference(dataset) {
+        if (!dataset) return null;
+        
+        return {
+            storageKey: this.getWeatherKey(dataset),
+            name: dataset.name,
+            source: dataset.source,
+            fileName: dataset.fileName,
+            importedAt: dataset.importedAt,
+            location: dataset.location
+        };
+    }
+
+    getWeatherKey(dataset) {
+        return this.weatherKeyPrefix + `${dataset.fileName || dataset.name}_${dataset.importedAt}`.replace(/[^\w.-]/g, '_');
+    }
+
+    storeWeather(dataset) {
+        if (!dataset) return;
+        
+        const key = this.getWeatherKey(dataset);
+        if (localStorage.getItem(key) === null) {
+            localStorage.setItem(key, JSON.stringify(dataset));
+        }
+    }
+
+    // Older projects and imported files carry the whole dataset; move it to its own key
+    compactWeather(project) {
+        if (!Array.isArray(project.weather?.ghi)) return;
+        
+        this.storeWeather(project.weather);
+        project.weather = this.getWeatherReference(project.weather);
+    }
+
+    resolveWeather(weather) {
+        if (!weather) return null;
+        if (Array.isArray(weather.ghi)) return weather;
+        
+        try {
+            const stored = localStorage.getItem(weather.storageKey);
+            if (stored) return JSON.parse(stored);
+        } catch (error) {
+            console.error('Failed to read stored weather data:', error);
+        }
+        
+        this.showSaveNotification(`Weather data "${weather.name}" is no longer stored; using clear-sky irradiance`, 'error');
+        return null;
+    }
+
+    // Drops stored datasets no saved project refers to
+    pruneWeather(projects) {
+        const referenced = new Set(projects.map(project => project.weather?.storageKey).filter(Boolean));
+        const unused = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key.startsWith(this.weatherKeyPrefix) && !referenced.has(key)) unused.push(key);
+        }
+        unused.forEach(key => localStorage.removeItem(key));
+    }
+
+    isQuotaError(error) {
+        return error?.name === 'QuotaExceededError' || error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error?.code === 22;
+    }
+
     loadProjectsList() {
         this.projects = this.getStoredProjects();
         return this.projects;
@@ -280,6 +508,7 @@ class ProjectManager {
         try {
             localStorage.setItem('solarProjects', JSON.stringify(filteredProjects));
             this.projects = filteredProjects;
+            this.pruneWeather(filteredProjects);
             
             if (this.currentProject && this.currentProject.id === projectId) {
                 this.currentProject = null;
@@ -371,6 +600,7 @@ class ProjectManager {
             energyProduction: this.currentProject.stats?.energyProduction,
             financialAnalysis: this.currentProject.stats?.costSavings,
             environmentalImpact: this.currentProject.stats?.environmentalImpact,
+            currency: window.localeManager?.getExchangeInfo() || null,
             generatedAt: new Date().toISOString()
         };
         
@@ -384,6 +614,15 @@ class ProjectManager {
     }
 
     generateReportHTML(report) {
+        // Numbers, money and dates follow the project's locale and currency
+        const locale = window.localeManager;
+        const number = (value, decimals) => locale ? locale.formatNumber(value, decimals) : value.toFixed(decimals);
+        const money = (amount) => locale ? locale.formatCurrency(amount) : amount.toFixed(0);
+        const date = (value) => locale ? locale.formatDate(value) : new Date(value).toLocaleDateString();
+        const dateTime = (value) => locale ? locale.formatDateTime(value) : new Date(value).toLocaleString();
+        const exchange = report.currency;
+        const units = window.unitSystem; // Stored values are imperial; only the printout converts
+        
         return `
             <html>
             <head>
@@ -405,7 +644,7 @@ class ProjectManager {
                 <div class="header">
                     <h1>Solar Panel Analysis Report</h1>
                     <h2>${report.projectInfo.name}</h2>
-                    <p>Generated on ${new Date(report.generatedAt).toLocaleDateString()}</p>
+                    <p>Generated on ${date(report.generatedAt)}</p>
                 </div>
                 
                 <div class="section">
@@ -416,15 +655,15 @@ class ProjectManager {
                             <div>Solar Panels</div>
                         </div>
                         <div class="stat-box">
-                            <div class="stat-value">${(report.projectInfo.totalPower / 1000).toFixed(1)} kW</div>
+                            <div class="stat-value">${number(report.projectInfo.totalPower / 1000, 1)} kW</div>
                             <div>System Size</div>
                         </div>
                         <div class="stat-box">
-                            <div class="stat-value">${report.projectInfo.roofArea.toFixed(0)} sq ft</div>
+                            <div class="stat-value">${units ? units.format(report.projectInfo.roofArea, 'area', 0) : `${number(report.projectInfo.roofArea, 0)} sq ft`}</div>
                             <div>Roof Area</div>
                         </div>
                         <div class="stat-box">
-                            <div class="stat-value">${report.projectInfo.estimatedSavings.toFixed(0)}</div>
+                            <div class="stat-value">${money(report.projectInfo.estimatedSavings)}</div>
                             <div>Annual Savings</div>
                         </div>
                     </div>
@@ -435,9 +674,9 @@ class ProjectManager {
                     <h2>Energy Production</h2>
                     <table class="financial-table">
                         <tr><th>Period</th><th>Energy Production (kWh)</th></tr>
-                        <tr><td>Daily Average</td><td>${report.energyProduction.daily.toFixed(1)}</td></tr>
-                        <tr><td>Monthly Average</td><td>${report.energyProduction.monthly.toFixed(0)}</td></tr>
-                        <tr><td>Yearly Total</td><td>${report.energyProduction.yearly.toFixed(0)}</td></tr>
+                        <tr><td>Daily Average</td><td>${number(report.energyProduction.daily, 1)}</td></tr>
+                        <tr><td>Monthly Average</td><td>${number(report.energyProduction.monthly, 0)}</td></tr>
+                        <tr><td>Yearly Total</td><td>${number(report.energyProduction.yearly, 0)}</td></tr>
                     </table>
                 </div>
                 ` : ''}
@@ -446,10 +685,10 @@ class ProjectManager {
                 <div class="section">
                     <h2>Financial Analysis</h2>
                     <table class="financial-table">
-                        <tr><th>Period</th><th>Estimated Savings (CAD)</th></tr>
-                        <tr><td>Monthly</td><td>${report.financialAnalysis.monthly.toFixed(0)}</td></tr>
-                        <tr><td>Yearly</td><td>${report.financialAnalysis.yearly.toFixed(0)}</td></tr>
-                        <tr><td>25-Year Lifetime</td><td>${report.financialAnalysis.lifetime.toFixed(0)}</td></tr>
+                        <tr><th>Period</th><th>Estimated Savings (${exchange?.displayCurrency || 'CAD'})</th></tr>
+                        <tr><td>Monthly</td><td>${money(report.financialAnalysis.monthly)}</td></tr>
+                        <tr><td>Yearly</td><td>${money(report.financialAnalysis.yearly)}</td></tr>
+                        <tr><td>25-Year Lifetime</td><td>${money(report.financialAnalysis.lifetime)}</td></tr>
                     </table>
                 </div>
                 ` : ''}
@@ -459,21 +698,33 @@ class ProjectManager {
                     <h2>Environmental Impact</h2>
                     <div class="stats-grid">
                         <div class="stat-box">
-                            <div class="stat-value">${report.environmentalImpact.co2Avoided.toFixed(0)} kg</div>
+                            <div class="stat-value">${number(report.environmentalImpact.co2Avoided, 0)} kg</div>
                             <div>CO₂ Avoided Annually</div>
                         </div>
                         <div class="stat-box">
-                            <div class="stat-value">${report.environmentalImpact.treesEquivalent.toFixed(0)}</div>
+                            <div class="stat-value">${number(report.environmentalImpact.treesEquivalent, 0)}</div>
                             <div>Trees Equivalent</div>
                         </div>
                     </div>
+                    ${report.environmentalImpact.netLifetimeCo2 !== undefined ? `
+                    <table class="financial-table">
+                        <tr><th>Lifecycle Carbon${report.environmentalImpact.region ? ` (${report.environmentalImpact.region} grid)` : ''}</th><th>kg CO₂e</th></tr>
+                        <tr><td>Avoided over system life</td><td>${number(report.environmentalImpact.co2AvoidedLifetime, 0)}</td></tr>
+                        <tr><td>Embodied manufacturing carbon</td><td>${number(report.environmentalImpact.embodiedCarbon, 0)}</td></tr>
+                        <tr><td>Net lifetime CO₂ avoided</td><td>${number(report.environmentalImpact.netLifetimeCo2, 0)}</td></tr>
+                        <tr><td>Carbon payback</td><td>${report.environmentalImpact.carbonPaybackYears === null ? 'Not reached' : number(report.environmentalImpact.carbonPaybackYears, 1) + ' years'}</td></tr>
+                    </table>
+                    ` : ''}
                 </div>
                 ` : ''}
                 
                 <div class="section">
                     <h2>Technical Specifications</h2>
                     <p><strong>Location:</strong> ${report.projectInfo.location}</p>
-                    <p><strong>Report Generated:</strong> ${new Date(report.generatedAt).toLocaleString()}</p>
+                    <p><strong>Report Generated:</strong> ${dateTime(report.generatedAt)}</p>
+                    ${exchange && exchange.inputCurrency !== exchange.displayCurrency ? `
+                    <p><strong>Exchange Rate:</strong> 1 ${exchange.inputCurrency} = ${number(exchange.rate, 4)} ${exchange.displayCurrency} (rates of ${exchange.rateDate})</p>
+                    ` : ''}
                     <p><strong>Analysis Software:</strong> Solar Panel Roof Analyzer v1.0</p>
                 </div>
             </body>
@@ -0,0 +1,636 @@
+// js/proposalGenerator.js
+//
+// Builds the customer proposal as a PDF with PdfWriter: cover, site, 3D renders, layout plan,
+// production charts, financials and assumptions. Images are captured from the live page.
+class ProposalGenerator {
+    constructor() {
+        this.margin = 54;
+        this.colors = {
+            accent: '#667eea',
+            accentDark: '#764ba2',
+            text: '#2d3748',
+            muted: '#718096',
+            rule: '#e2e8f0',
+            band: '#f7fafc',
+            roof: '#edf2f7',
+            keepout: '#fc8181'
+        };
+
+        // Camera positions for the renders, clockwise from north on the camera's side
+        this.cameraViews = [
+            { name: 'From the southwest', azimuth: 225, elevation: 30 },
+            { name: 'From the southeast', azimuth: 135, elevation: 30 },
+            { name: 'From the northwest', azimuth: 315, elevation: 35 },
+            { name: 'Plan view', azimuth: 180, elevation: 89 }
+        ];
+        this.chartViews = ['monthly', 'daily', 'usage', 'cashflow'];
+        this.rasterScale = 2;        // Image pixels per PDF point
+        this.imageTimeout = 15000;   // ms to wait for the satellite image
+    }
+
+    // Number, money and date helpers in the project's locale
+    getFormatters() {
+        const locale = window.localeManager;
+        return {
+            number: (value, decimals = 0) => (locale ? locale.formatNumber(value, decimals) : value.toFixed(decimals)),
+            money: (amount, decimals = 0) => (locale ? locale.formatCurrency(amount, decimals) : amount.toFixed(decimals)),
+            date: (value) => (locale ? locale.formatDate(value) : new Date(value).toLocaleDateString())
+        };
+    }
+
+    // Draws an image source onto a white canvas and re-encodes it as JPEG; null if it can't be read
+    rasterize(src, width, height) {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => resolve(null), this.imageTimeout);
+            const image = new Image();
+            image.crossOrigin = 'anonymous';
+            image.onload = () => {
+                clearTimeout(timer);
+                try {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = width;
+                    canvas.height = height;
+                    const context = canvas.getContext('2d');
+                    context.fillStyle = '#ffffff';
+                    context.fillRect(0, 0, width, height);
+                    context.drawImage(image, 0, 0, width, height);
+                    resolve({ dataUrl: canvas.toDataURL('image/jpeg', 0.9), width: width, height: height });
+                } catch (error) {
+                    // Cross-origin images without CORS headers taint the canvas
+                    resolve(null);
+                }
+            };
+            image.onerror = () => {
+                clearTimeout(timer);
+                resolve(null);
+            };
+            image.src = src;
+        });
+    }
+
+    async rasterizeSvg(svg, width, height) {
+        const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+        const image = await this.rasterize(url, width * this.rasterScale, height * this.rasterScale);
+        URL.revokeObjectURL(url);
+        return image;
+    }
+
+    async captureImages() {
+        const mapUrl = window.mapManager?.getStaticMapUrl(640, 400);
+        const site = mapUrl ? await this.rasterize(mapUrl, 1280, 800) : null;
+
+        const views = window.model3D?.isInitialized && window.model3D.panelsGroup?.children.length
+            ? window.model3D.captureViews(this.cameraViews).filter(view => view.dataUrl)
+            : [];
+
+        const charts = [];
+        const renderer = window.chartRenderer;
+        for (const view of this.chartViews) {
+            const svg = renderer?.buildChart(view);
+            if (!svg) continue;
+            const image = await this.rasterizeSvg(svg, renderer.width, renderer.height);
+            if (image) charts.push({ name: renderer.views[view], ...image });
+        }
+
+        return { site: site, views: views, charts: charts };
+    }
+
+    async generate() {
+        const project = window.projectManager?.getCurrentProject();
+        const stats = window.statsCalculator;
+        if (!project || !stats) return null;
+
+        // Built from what is on screen; generating a proposal does not save the project
+        const location = window.mapManager?.getCurrentLocation() || project.location;
+        const report = {
+            projectInfo: {
+                name: project.name,
+                location: location?.address || 'Unknown'
+            },
+            generatedAt: new Date().toISOString()
+        };
+
+        const images = await this.captureImages();
+        this.format = this.getFormatters();
+        this.pdf = new PdfWriter({
+            title: `Solar Proposal - ${report.projectInfo.name}`,
+            author: 'Solar Panel Roof Analyzer'
+        });
+        this.projectName = report.projectInfo.name;
+
+        this.addCoverPage(report, stats, images.views[0] || images.site);
+        this.addSitePage(report, stats, images.site);
+        this.addRenderPage(images.views);
+        this.addLayoutPage();
+        this.addProductionPages(stats, images.charts);
+        this.addFinancialPages(stats);
+        this.addAssumptionsPage(stats);
+        this.addFooters(report.generatedAt);
+
+        const bytes = this.pdf.output();
+        this.pdf = null;
+        return {
+            bytes: bytes,
+            fileName: `${report.projectInfo.name.replace(/[^a-z0-9]/gi, '_')}_proposal.pdf`
+        };
+    }
+
+    async download() {
+        const result = await this.generate();
+        if (!result) return false;
+
+        window.projectManager.downloadFile(result.bytes, result.fileName, 'application/pdf');
+        return true;
+    }
+
+    // Page layout
+
+    getContentWidth() {
+        return this.pdf.pageWidth - this.margin * 2;
+    }
+
+    startPage(title) {
+        const pdf = this.pdf;
+        pdf.addPage();
+        this.pageTitle = title;
+
+        pdf.text(this.projectName, this.margin, 36, { size: 9, color: this.colors.muted });
+        pdf.text('Solar Proposal', pdf.pageWidth - this.margin, 36, { size: 9, color: this.colors.muted, align: 'right' });
+        pdf.line(this.margin, 44, pdf.pageWidth - this.margin, 44, { color: this.colors.accent, lineWidth: 1.5 });
+        pdf.text(title, this.margin, 78, { size: 18, bold: true, color: this.colors.text });
+        this.y = 100;
+    }
+
+    // Moves to a continuation page when the next block won't fit
+    ensureSpace(height) {
+        if (this.y + height > this.pdf.pageHeight - this.margin - 10) {
+            this.startPage(`${this.pageTitle.replace(/ \(continued\)$/, '')} (continued)`);
+        }
+    }
+
+    heading(text) {
+        this.ensureSpace(36);
+        this.y += 6;
+        this.pdf.text(text, this.margin, this.y + 12, { size: 12, bold: true, color: this.colors.accentDark });
+        this.y += 22;
+    }
+
+    paragraph(text, options = {}) {
+        const size = options.size || 10;
+        const lineHeight = size * 1.4;
+        this.pdf.wrapText(text, this.getContentWidth(), size).forEach(line => {
+            this.ensureSpace(lineHeight);
+            this.pdf.text(line, this.margin, this.y + size, { size: size, color: options.color || this.colors.text });
+            this.y += lineHeight;
+        });
+        this.y += 6;
+    }
+
+    // rows: [[label, value], ...]
+    keyValues(rows) {
+        const pdf = this.pdf;
+        const labelWidth = 190;
+        const valueWidth = this.getContentWidth() - labelWidth;
+        rows.forEach(([label, value]) => {
+            const lines = pdf.wrapText(value, valueWidth - 6, 10);
+            const height = lines.length * 14 + 4;
+            this.ensureSpace(height);
+            pdf.text(label, this.margin, this.y + 11, { size: 10, bold: true, color: this.colors.text });
+            lines.forEach((line, index) => {
+                pdf.text(line, this.margin + labelWidth, this.y + 11 + index * 14, { size: 10, color: this.colors.text });
+            });
+            this.y += height;
+        });
+        this.y += 6;
+    }
+
+    // columns: [{ label, width (share of the row), align }]; rows: arrays of cells or { cells, bold }
+    table(columns, rows) {
+        const pdf = this.pdf;
+        const width = this.getContentWidth();
+        const rowHeight = 16;
+        const positions = [];
+        let x = this.margin;
+        columns.forEach(column => {
+            positions.push({ left: x, right: x + column.width * width });
+            x += column.width * width;
+        });
+
+        const cellX = (index) => (columns[index].align === 'right' ? positions[index].right - 4 : positions[index].left + 4);
+        const drawHeader = () => {
+            pdf.rect(this.margin, this.y, width, rowHeight, { fill: this.colors.accent });
+            columns.forEach((column, index) => {
+                pdf.text(column.label, cellX(index), this.y + 11, { size: 9, bold: true, color: '#ffffff', align: column.align });
+            });
+            this.y += rowHeight;
+        };
+
+        this.ensureSpace(rowHeight * 2);
+        drawHeader();
+        rows.forEach((row, rowIndex) => {
+            if (this.y + rowHeight > this.pdf.pageHeight - this.margin - 10) {
+                this.ensureSpace(rowHeight * 2);
+                drawHeader();
+            }
+
+            const cells = Array.isArray(row) ? row : row.cells;
+            if (rowIndex % 2 === 1) pdf.rect(this.margin, this.y, width, rowHeight, { fill: this.colors.band });
+            cells.forEach((cell, index) => {
+                pdf.text(cell, cellX(index), this.y + 11, {
+                    size: 9,
+                    bold: !Array.isArray(row) && row.bold,
+                    color: this.colors.text,
+                    align: columns[index].align
+                });
+            });
+            this.y += rowHeight;
+        });
+        pdf.line(this.margin, this.y, this.margin + width, this.y, { color: this.colors.rule });
+        this.y += 12;
+    }
+
+    // Fits an image into a width, keeping its aspect ratio
+    imageBlock(image, width, caption) {
+        const height = width * image.height / image.width;
+        this.ensureSpace(height + (caption ? 18 : 0));
+        const x = this.margin + (this.getContentWidth() - width) / 2;
+        const name = this.pdf.addJpeg(this.pdf.dataUrlToBytes(image.dataUrl), image.width, image.height);
+        this.pdf.image(name, x, this.y, width, height);
+        this.y += height + 4;
+        if (caption) {
+            this.pdf.text(caption, this.margin + this.getContentWidth() / 2, this.y + 9, { size: 9, color: this.colors.muted, align: 'center' });
+            this.y += 14;
+        }
+        this.y += 8;
+    }
+
+    addFooters(generatedAt) {
+        const pdf = this.pdf;
+        const count = pdf.getPageCount();
+        for (let page = 1; page <= count; page++) {
+            pdf.setPage(page);
+            const y = pdf.pageHeight - 30;
+            pdf.text(`Prepared ${this.format.date(generatedAt)}`, this.margin, y, { size: 8, color: this.colors.muted });
+            pdf.text(`Page ${page} of ${count}`, pdf.pageWidth - this.margin, y, { size: 8, color: this.colors.muted, align: 'right' });
+        }
+        pdf.setPage(null);
+    }
+
+    // Pages
+
+    addCoverPage(report, stats, image) {
+        const pdf = this.pdf;
+        const { number, money } = this.format;
+        pdf.addPage();
+        this.pageTitle = 'Solar Proposal';
+
+        pdf.rect(0, 0, pdf.pageWidth, 200, { fill: this.colors.accent });
+        pdf.text('Solar Proposal', this.margin, 96, { size: 32, bold: true, color: '#ffffff' });
+        pdf.text(report.projectInfo.name, this.margin, 132, { size: 16, color: '#ffffff' });
+        pdf.wrapText(report.projectInfo.location, this.getContentWidth(), 11).slice(0, 2).forEach((line, index) => {
+            pdf.text(line, this.margin, 158 + index * 15, { size: 11, color: '#ffffff' });
+        });
+
+        this.y = 226;
+        if (image) this.imageBlock(image, this.getContentWidth() * 0.8);
+
+        // Headline figures in two rows of three
+        const quote = stats.quote;
+        const payback = stats.calculatePaybackPeriod();
+        const figures = [
+            [`${number(stats.totalPower / 1000, 1)} kW`, 'System size'],
+            [`${stats.panelCount}`, 'Solar panels'],
+            [`${number(stats.energyProduction.yearly, 0)} kWh`, 'First-year production'],
+            [quote ? money(quote.total) : '—', 'Installed cost'],
+            [money(stats.costSavings.yearly), 'First-year savings'],
+            [payback ? `${payback} years` : 'Beyond projection', 'Payback']
+        ];
+        const boxWidth = (this.getContentWidth() - 20) / 3;
+        const top = Math.max(this.y + 10, 560);
+        figures.forEach(([value, label], index) => {
+            const x = this.margin + (index % 3) * (boxWidth + 10);
+            const y = top + Math.floor(index / 3) * 70;
+            pdf.rect(x, y, boxWidth, 60, { fill: this.colors.band, stroke: this.colors.rule });
+            pdf.text(value, x + boxWidth / 2, y + 28, { size: 15, bold: true, color: this.colors.accent, align: 'center' });
+            pdf.text(label, x + boxWidth / 2, y + 46, { size: 9, color: this.colors.muted, align: 'center' });
+        });
+    }
+
+    addSitePage(report, stats, siteImage) {
+        const { number } = this.format;
+        const units = window.unitSystem;
+        const area = (value) => (units ? units.format(value, 'area', 0) : `${number(value, 0)} sq ft`);
+        const location = stats.getSiteLocation();
+
+        this.startPage('Site');
+        if (siteImage) {
+            this.imageBlock(siteImage, this.getContentWidth(), 'Satellite view with the roof facets outlined');
+        } else if (this.drawPlan(300, [])) {
+            this.paragraph('Site plan from the measured roof outline. The satellite image was not available (offline or blocked by the map service).',
+                { size: 9, color: this.colors.muted });
+        } else {
+            this.paragraph('The satellite image could not be retrieved (offline or blocked by the map service), and no roof has been outlined.',
+                { size: 9, color: this.colors.muted });
+        }
+
+        this.heading('Location');
+        this.keyValues([
+            ['Address', report.projectInfo.location],
+            ['Coordinates', `${location.lat.toFixed(5)}, ${location.lng.toFixed(5)}`],
+            ['Roof area', area(stats.roofArea)]
+        ]);
+
+        const facets = window.roofDetector?.getFacets() || [];
+        if (facets.length > 0) {
+            const panels = window.panelPlacer?.getPanels() || [];
+            this.heading('Roof facets');
+            this.table([
+                { label: 'Facet', width: 0.32 },
+                { label: 'Pitch', width: 0.14, align: 'right' },
+                { label: 'Azimuth', width: 0.14, align: 'right' },
+                { label: 'Area', width: 0.22, align: 'right' },
+                { label: 'Panels', width: 0.18, align: 'right' }
+            ], facets.map(facet => [
+                facet.name,
+                `${number(facet.pitch, 0)}°`,
+                `${number(facet.azimuth, 0)}°`,
+                area(facet.area || 0),
+                `${panels.filter(panel => panel.facetId === facet.id).length}`
+            ]));
+        }
+    }
+
+    addRenderPage(views) {
+        this.startPage('3D Model');
+        if (views.length === 0) {
+            this.paragraph('Generate the 3D model with panels placed to include renders in the proposal.', { color: this.colors.muted });
+            return;
+        }
+
+        // Two renders across, captioned underneath
+        const gap = 12;
+        const width = (this.getContentWidth() - gap) / 2;
+        views.forEach((view, index) => {
+            const height = width * view.height / view.width;
+            if (index % 2 === 0) this.ensureSpace(height + 22);
+            const x = this.margin + (index % 2) * (width + gap);
+            const name = this.pdf.addJpeg(this.pdf.dataUrlToBytes(view.dataUrl), view.width, view.height);
+            this.pdf.image(name, x, this.y, width, height);
+            this.pdf.text(view.name, x + width / 2, this.y + height + 13, { size: 9, color: this.colors.muted, align: 'center' });
+            if (index % 2 === 1 || index === views.length - 1) this.y += height + 24;
+        });
+    }
+
+    // Vector plan of facets, keepouts and panels in the local frame, north up
+    // Roof facets, keepouts and the given panels to scale, drawn from the local geometry so it
+    // needs no network; false when there is no roof outline
+    drawPlan(boxHeight, panels) {
+        const pdf = this.pdf;
+        const projection = window.localProjection;
+        const placer = window.panelPlacer;
+        const facets = window.roofDetector?.getFacets() || [];
+        if (!projection || !placer || facets.length === 0) return false;
+
+        const facetShapes = facets.map(facet => projection.toLocalPolygon(facet.coordinates));
+        const keepouts = (window.roofDetector.getKeepouts() || []).map(keepout => placer.getKeepoutCorners(keepout));
+        const points = facetShapes.flat();
+        const minX = Math.min(...points.map(point => point.x));
+        const maxX = Math.max(...points.map(point => point.x));
+        const minY = Math.min(...points.map(point => point.y));
+        const maxY = Math.max(...points.map(point => point.y));
+
+        const boxWidth = this.getContentWidth();
+        const scale = Math.min(boxWidth / Math.max(maxX - minX, 1), boxHeight / Math.max(maxY - minY, 1)) * 0.9;
+        const offsetX = this.margin + (boxWidth - (maxX - minX) * scale) / 2;
+        const offsetY = this.y + (boxHeight - (maxY - minY) * scale) / 2;
+        const toPage = (point) => ({ x: offsetX + (point.x - minX) * scale, y: offsetY + (maxY - point.y) * scale });
+
+        pdf.rect(this.margin, this.y, boxWidth, boxHeight, { stroke: this.colors.rule });
+        const facetColors = window.mapManager?.facetColors || ['#FF0000'];
+        facetShapes.forEach((shape, index) => {
+            pdf.polygon(shape.map(toPage), { fill: this.colors.roof, stroke: facetColors[index % facetColors.length], lineWidth: 1.2 });
+        });
+        keepouts.forEach(corners => {
+            pdf.polygon(corners.map(toPage), { fill: this.colors.keepout, stroke: '#c53030', lineWidth: 0.5 });
+        });
+        panels.forEach(panel => {
+            const color = window.model3D ? window.model3D.getPanelColor(panel) : 0x1e40af;
+            pdf.polygon(panel.localCorners.map(toPage), {
+                fill: `#${color.toString(16).padStart(6, '0')}`,
+                stroke: '#ffffff',
+                lineWidth: 0.4
+            });
+        });
+
+        // North arrow and scale bar
+        const arrowX = this.margin + boxWidth - 24;
+        const arrowY = this.y + 16;
+        pdf.polygon([{ x: arrowX, y: arrowY }, { x: arrowX + 6, y: arrowY + 18 }, { x: arrowX - 6, y: arrowY + 18 }], { fill: this.colors.text });
+        pdf.text('N', arrowX, arrowY + 30, { size: 9, bold: true, color: this.colors.text, align: 'center' });
+
+        const units = window.unitSystem;
+        const toDisplay = (feet) => (units ? units.toDisplay(feet, 'length') : feet);
+        const label = units ? units.label('length') : 'ft';
+        const target = toDisplay(boxWidth / 5 / scale);
+        const step = [1, 2, 5, 10, 20, 50, 100].find(value => value >= target / 2) || 100;
+        const barLength = step / toDisplay(1) * scale;
+        const barY = this.y + boxHeight - 16;
+        pdf.line(this.margin + 12, barY, this.margin + 12 + barLength, barY, { color: this.colors.text, lineWidth: 2 });
+        pdf.text(`${step} ${label}`, this.margin + 12 + barLength + 6, barY + 3, { size: 8, color: this.colors.text });
+        this.y += boxHeight + 16;
+        return true;
+    }
+
+    addLayoutPage() {
+        const placer = window.panelPlacer;
+        const panels = placer?.getPanels() || [];
+        this.startPage('Layout Plan');
+
+        if (!this.drawPlan(380, panels)) {
+            this.paragraph('Outline the roof to include a layout plan.', { color: this.colors.muted });
+            return;
+        }
+        const keepouts = window.roofDetector.getKeepouts() || [];
+
+        const design = window.electricalDesigner?.getDesign();
+        const architecture = window.statsCalculator?.getArchitectureSpec(window.statsCalculator.architecture);
+        const module = window.moduleCatalog?.getSelectedModule();
+        this.heading('Equipment');
+        this.keyValues([
+            ['Modules', `${panels.length} × ${module ? `${module.manufacturer} ${module.model}` : `${placer.panelSpecs.power} W`}`],
+            ['Power electronics', architecture ? architecture.name : 'String inverter'],
+            ...(design ? [['String design', `${window.electricalDesigner.getStrings().length} strings on ${design.inverterCount} inverter(s)`]] : []),
+            ['Keepouts', `${keepouts.length} (shown in red with their buffer)`]
+        ]);
+    }
+
+    addProductionPages(stats, charts) {
+        const { number } = this.format;
+        this.startPage('Production');
+
+        if (!stats.simulation) {
+            this.paragraph('Place panels to include production estimates.', { color: this.colors.muted });
+            return;
+        }
+
+        this.keyValues([
+            ['First-year production', `${number(stats.energyProduction.yearly, 0)} kWh (${number(stats.energyProduction.daily, 1)} kWh/day)`],
+            ['Specific yield', `${number(stats.totalPower > 0 ? stats.energyProduction.yearly / (stats.totalPower / 1000) : 0, 0)} kWh/kW`],
+            ...(stats.energyBalance ? [['Usage offset', `${number(stats.energyBalance.offsetPercent, 0)}% of ${number(stats.energyBalance.annualLoad, 0)} kWh`]] : [])
+        ]);
+
+        charts.forEach(chart => {
+            this.heading(chart.name);
+            this.imageBlock(chart, this.getContentWidth());
+        });
+
+        const seasonal = stats.calculateSeasonalProduction();
+        this.heading('Seasonal production');
+        this.table([
+            { label: 'Season', width: 0.25 },
+            { label: 'Production (kWh)', width: 0.25, align: 'right' },
+            { label: 'kWh per day', width: 0.25, align: 'right' },
+            { label: 'Snow loss', width: 0.25, align: 'right' }
+        ], Object.entries(seasonal).map(([season, data]) => [
+            season.charAt(0).toUpperCase() + season.slice(1),
+            number(data.total, 0),
+            number(data.dailyAverage, 1),
+            `${number(data.snowLossPercent, 1)}%`
+        ]));
+    }
+
+    addFinancialPages(stats) {
+        const { number, money } = this.format;
+        this.startPage('Financials');
+
+        const quote = stats.quote;
+        if (quote && quote.subtotal > 0) {
+            this.heading('Installed cost');
+            const amountRow = (label, amount, bold = false) => ({ cells: [label, '', '', amount], bold: bold });
+            this.table([
+                { label: 'Item', width: 0.46 },
+                { label: 'Qty', width: 0.16, align: 'right' },
+                { label: 'Unit price', width: 0.18, align: 'right' },
+                { label: 'Amount', width: 0.2, align: 'right' }
+            ], [
+                ...quote.lines.filter(line => line.quantity > 0).map(line => [
+                    line.description,
+                    `${number(line.quantity, line.unit === 'kW' ? 2 : 0)} ${line.unit}`,
+                    money(line.unitPrice),
+                    money(line.amount)
+                ]),
+                amountRow('Overhead', money(quote.overhead)),
+                amountRow('Margin', money(quote.margin)),
+                amountRow('Subtotal', money(quote.subtotal), true),
+                amountRow('Tax', money(quote.tax)),
+                ...(quote.rebates > 0 ? [amountRow('Rebates', `-${money(quote.rebates)}`)] : []),
+                amountRow(`Total (${money(quote.costPerWatt, 2)}/W solar)`, money(quote.total), true)
+            ]);
+        }
+
+        const financing = stats.financing;
+        if (financing) {
+            this.heading('Financing options');
+            this.table([
+                { label: 'Option', width: 0.22 },
+                { label: 'Upfront', width: 0.14, align: 'right' },
+                { label: 'Monthly', width: 0.13, align: 'right' },
+                { label: 'NPV', width: 0.14, align: 'right' },
+                { label: 'IRR', width: 0.1, align: 'right' },
+                { label: 'LCOE', width: 0.14, align: 'right' },
+                { label: 'Payback', width: 0.13, align: 'right' }
+            ], Object.values(financing).map(result => [
+                result.name,
+                money(result.upfront),
+                money(result.monthlyPayment),
+                money(result.npv),
+                result.irr === null ? '—' : `${number(result.irr, 1)}%`,
+                `${money(result.lcoe, 3)}/kWh`,
+                result.paybackYear === null ? '—' : `Year ${result.paybackYear}`
+            ]));
+        }
+
+        if (stats.projection.length > 0) {
+            this.heading(`${stats.projectionYears}-year cash flow`);
+            this.table([
+                { label: 'Year', width: 0.12, align: 'right' },
+                { label: 'Production (kWh)', width: 0.22, align: 'right' },
+                { label: 'Rate per kWh', width: 0.18, align: 'right' },
+                { label: 'Savings', width: 0.22, align: 'right' },
+                { label: 'Cumulative', width: 0.26, align: 'right' }
+            ], stats.projection.map(row => [
+                `${row.year}`,
+                number(row.production, 0),
+                money(row.rate, 3),
+                money(row.savings),
+                money(row.cumulativeCashFlow)
+            ]));
+        }
+    }
+
+    getSnowSource(stats) {
+        const sources = {
+            weather: 'weather file',
+            table: 'entered monthly table',
+            'default table': 'default table (Calgary climate normals)'
+        };
+        return sources[stats.snowResults?.source] || sources.table;
+    }
+
+    addAssumptionsPage(stats) {
+        const { number, money } = this.format;
+        const losses = window.lossModel;
+        const module = window.moduleCatalog?.getSelectedModule();
+        const warranty = module?.warranty || { firstYearDegradation: 2.0, annualDegradation: 0.55 };
+        const tariff = window.tariffEngine?.getSelectedTariff();
+        const battery = window.batteryModel;
+        const emissions = stats.emissions;
+        const exchange = window.localeManager?.getExchangeInfo();
+        const weather = window.weatherManager?.getDataset();
+        this.startPage('Assumptions');
+
+        this.heading('Production model');
+        this.keyValues([
+            ['Weather data', weather ? `${weather.name} (${weather.source})` : 'Clear-sky model (no weather file imported)'],
+            ['Module', module ? `${module.manufacturer} ${module.model}` : 'Generic module'],
+            ['Inverter', window.electricalDesigner?.getSelectedInverter()?.model || 'Generic string inverter'],
+            ['Snow', window.snowModel?.enabled ? `Monthly snow cover model, snowfall from the ${this.getSnowSource(stats)}` : 'Flat loss percentage'],
+            ['Degradation', `${number(warranty.firstYearDegradation, 1)}% in year one, then ${number(warranty.annualDegradation, 2)}% per year`]
+        ]);
+
+        if (losses) {
+            this.heading('System losses');
+            this.keyValues(losses.categories.map(category => [
+                category.label,
+                losses.isModeled(category.key) ? 'Modeled' : `${number(losses.getLoss(category.key) * 100, 1)}%`
+            ]));
+        }
+
+        this.heading('Financial');
+        this.keyValues([
+            ['Electricity tariff', tariff ? tariff.name : `Flat rate of ${money(stats.electricityRate, 3)}/kWh`],
+            ['Usage profile', stats.energyBalance ? `${stats.energyBalance.source}, ${number(stats.energyBalance.annualLoad, 0)} kWh/year` : 'None'],
+            ['Rate escalation', `${number(stats.annualRateIncrease * 100, 1)}% per year`],
+            ['Battery', battery?.isEnabled() ? `${number(battery.settings.capacity, 1)} kWh, ${battery.strategies[battery.settings.strategy]}` : 'None'],
+            ...(exchange && exchange.inputCurrency !== exchange.displayCurrency
+                ? [['Exchange rate', `1 ${exchange.inputCurrency} = ${number(exchange.rate, 4)} ${exchange.displayCurrency} (rates of ${exchange.rateDate})`]]
+                : [])
+        ]);
+
+        if (emissions?.region) {
+            this.heading('Emissions');
+            this.keyValues([
+                ['Grid region', `${emissions.region.name} (${number(emissions.region.factor, 3)} kg CO2e/kWh)`],
+                ['Grid outlook', window.emissionsModel?.trajectories[emissions.trajectory] || emissions.trajectory],
+                ['Lifetime avoided', `${number(emissions.netLifetime / 1000, 1)} t CO2e net of ${number(emissions.embodied / 1000, 1)} t embodied`]
+            ]);
+        }
+
+        this.heading('Notes');
+        this.paragraph('Estimates are modeled from the roof outline, equipment and settings above and are not a guarantee of production or savings. Actual results depend on weather, shading, equipment performance, utility rates and usage.',
+            { size: 9, color: this.colors.muted });
+    }
+}
+
+// Global instance
+window.proposalGenerator = new ProposalGenerator();
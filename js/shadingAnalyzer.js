@@ -0,0 +1,210 @@
+// js/shadingAnalyzer.js
+class ShadingAnalyzer {
+    constructor() {
+        this.representativeDay = 21; // Day of each month used for the sun path
+        this.samplesPerSide = 3;     // Sample grid per panel (3 x 3 points)
+        this.sunSampleCache = { key: null, samples: null };
+    }
+
+    // Sets panel.solarAccess (percent of unshaded irradiance) on every panel, and
+    // panel.hourlyAccess with the access of each shaded month/hour sample
+    analyzePanels(panels, keepouts, location) {
+        if (!panels || panels.length === 0) return panels;
+
+        const obstructions = (keepouts || [])
+            .filter(keepout => (keepout.height || 0) > 0)
+            .map(keepout => this.createObstruction(keepout));
+
+        // Nothing tall enough to cast shade leaves every panel fully exposed
+        if (obstructions.length === 0) {
+            panels.forEach(panel => {
+                panel.solarAccess = 100;
+                panel.hourlyAccess = {};
+            });
+            return panels;
+        }
+
+        // Hours are on the same clock as the hourly simulation, so shade lands on the right hours
+        const utcOffset = window.solarEngine.getUtcOffset(window.weatherManager?.getDataset(), location.lng);
+        const sunSamples = this.getSunSamples(location, utcOffset);
+
+        panels.forEach(panel => {
+            const access = this.calculatePanelAccess(panel, obstructions, sunSamples);
+            panel.solarAccess = access.solarAccess;
+            panel.hourlyAccess = access.hourlyAccess;
+        });
+
+        return panels;
+    }
+
+    calculatePanelAccess(panel, obstructions, sunSamples) {
+        const points = this.getPanelSamplePoints(panel);
+        let unshadedIrradiance = 0;
+        let shadedIrradiance = 0;
+        const hourlyAccess = {}; // Keyed by month * 24 + hour; unlisted hours are unshaded
+
+        sunSamples.forEach(sample => {
+            const irradiance = window.solarEngine.calculatePlaneOfArray(sample, panel.tilt ?? 30, panel.azimuth ?? 180);
+            if (irradiance.poa <= 0) return;
+
+            const shadeFraction = obstructions.length > 0
+                ? this.calculateShadeFraction(points, obstructions, sample)
+                : 0;
+
+            // Obstructions block the beam component; diffuse light is treated as unaffected
+            unshadedIrradiance += irradiance.poa;
+            shadedIrradiance += irradiance.poa - irradiance.beam * shadeFraction;
+            if (shadeFraction > 0) {
+                hourlyAccess[sample.month * 24 + sample.hour] = (1 - irradiance.beam * shadeFraction / irradiance.poa) * 100;
+            }
+        });
+
+        return {
+            solarAccess: unshadedIrradiance === 0 ? 100 : (shadedIrradiance / unshadedIrradiance) * 100,
+            hourlyAccess
+        };
+    }
+
+    // Percent of unshaded irradiance a panel receives in a given month and hour; panels
+    // analyzed before hourly access was kept fall back to their yearly figure
+    getHourlyAccess(panel, month, hour) {
+        if (!panel.hourlyAccess) return panel.solarAccess ?? 100;
+        return panel.hourlyAccess[month * 24 + hour] ?? 100;
+    }
+
+    calculateShadeFraction(points, obstructions, sun) {
+        const toRad = Math.PI / 180;
+        const elevation = sun.elevation * toRad;
+        const azimuth = sun.azimuth * toRad;
+
+        // Direction toward the sun in local east/north/up coordinates
+        const direction = {
+            x: Math.sin(azimuth) * Math.cos(elevation),
+            y: Math.cos(azimuth) * Math.cos(elevation),
+            z: Math.sin(elevation)
+        };
+
+        const shadedPoints = points.filter(point =>
+            obstructions.some(obstruction => this.rayHitsBox(point, direction, obstruction))
+        );
+
+        return shadedPoints.length / points.length;
+    }
+
+    rayHitsBox(origin, direction, box) {
+        // Slab test of a ray from the roof surface against the obstruction's box
+        let tMin = 0;
+        let tMax = Infinity;
+        const axes = [
+            { o: origin.x, d: direction.x, min: box.minX, max: box.maxX },
+            { o: origin.y, d: direction.y, min: box.minY, max: box.maxY },
+            { o: 0, d: direction.z, min: 0, max: box.height }
+        ];
+
+        for (const axis of axes) {
+            if (Math.abs(axis.d) < 1e-9) {
+                if (axis.o < axis.min || axis.o > axis.max) return false;
+                continue;
+            }
+
+            let t1 = (axis.min - axis.o) / axis.d;
+            let t2 = (axis.max - axis.o) / axis.d;
+            if (t1 > t2) [t1, t2] = [t2, t1];
+
+            tMin = Math.max(tMin, t1);
+            tMax = Math.min(tMax, t2);
+            if (tMin > tMax) return false;
+        }
+
+        return true;
+    }
+
+    createObstruction(keepout) {
+        const center = window.localProjection.toLocal(keepout.position);
+        const halfWidth = keepout.size.width / 2;
+        const halfDepth = keepout.size.height / 2;
+
+        return {
+            type: keepout.type,
+            minX: center.x - halfWidth,
+            maxX: center.x + halfWidth,
+            minY: center.y - halfDepth,
+            maxY: center.y + halfDepth,
+            height: keepout.height
+        };
+    }
+
+    getPanelSamplePoints(panel) {
+        const projection = window.localProjection;
+        const corners = panel.localCorners || projection.toLocalPolygon(panel.corners || []);
+        if (corners.length < 4) {
+            return [panel.localPosition || projection.toLocal(panel.position)];
+        }
+
+        // Bilinear grid across the panel footprint
+        const points = [];
+        const n = this.samplesPerSide;
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                const u = (i + 0.5) / n;
+                const v = (j + 0.5) / n;
+                points.push({
+                    x: (1 - u) * (1 - v) * corners[0].x + u * (1 - v) * corners[1].x +
+                        u * v * corners[2].x + (1 - u) * v * corners[3].x,
+                    y: (1 - u) * (1 - v) * corners[0].y + u * (1 - v) * corners[1].y +
+                        u * v * corners[2].y + (1 - u) * v * corners[3].y
+                });
+            }
+        }
+
+        return points;
+    }
+
+    getSunSamples(location, utcOffset) {
+        const key = `${location.lat.toFixed(4)},${location.lng.toFixed(4)},${utcOffset}`;
+        if (this.sunSampleCache.key === key) {
+            return this.sunSampleCache.samples;
+        }
+
+        const engine = window.solarEngine;
+        const samples = [];
+        let dayOfYear = 0;
+
+        for (let month = 0; month < 12; month++) {
+            const representativeDay = dayOfYear + this.representativeDay;
+
+            for (let hour = 0; hour < 24; hour++) {
+                const sun = engine.calculateSunPosition(location.lat, location.lng, representativeDay, hour + 0.5, utcOffset);
+                if (sun.elevation <= 0) continue;
+
+                samples.push({
+                    month,
+                    hour,
+                    ...sun,
+                    ...engine.calculateClearSkyIrradiance(month, sun.zenith)
+                });
+            }
+
+            dayOfYear += engine.daysInMonth[month];
+        }
+
+        this.sunSampleCache = { key, samples };
+        return samples;
+    }
+
+    // Summary across a set of panels
+    summarizeAccess(panels) {
+        if (!panels || panels.length === 0) return null;
+
+        const values = panels.map(panel => panel.solarAccess ?? 100);
+        return {
+            min: Math.min(...values),
+            max: Math.max(...values),
+            average: values.reduce((a, b) => a + b, 0) / values.length,
+            shadedPanels: values.filter(value => value < 95).length
+        };
+    }
+}
+
+// Global instance
+window.shadingAnalyzer = new ShadingAnalyzer();
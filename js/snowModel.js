@@ -0,0 +1,239 @@
+// js/snowModel.js
+class SnowModel {
+    constructor() {
+        // Off until chosen: without snow records in the weather file the model falls back to
+        // Calgary normals, which would wrongly cost a warm site production
+        this.enabled = false;
+        this.daysInMonth = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+        // Calgary climate normals; used when the weather file has no snow or humidity records
+        // snowfall in cm, snowDays = days with measurable snowfall, temperature in °C, humidity in %
+        this.defaultTable = [
+            { snowfall: 18.5, snowDays: 8, temperature: -7.1, humidity: 66 },
+            { snowfall: 15.2, snowDays: 7, temperature: -5.4, humidity: 65 },
+            { snowfall: 19.4, snowDays: 8, temperature: -1.1, humidity: 63 },
+            { snowfall: 14.6, snowDays: 6, temperature: 4.7, humidity: 57 },
+            { snowfall: 6.4, snowDays: 2, temperature: 9.8, humidity: 60 },
+            { snowfall: 0.2, snowDays: 0, temperature: 13.8, humidity: 64 },
+            { snowfall: 0, snowDays: 0, temperature: 16.5, humidity: 62 },
+            { snowfall: 0, snowDays: 0, temperature: 15.8, humidity: 61 },
+            { snowfall: 4.8, snowDays: 2, temperature: 10.8, humidity: 60 },
+            { snowfall: 10.1, snowDays: 4, temperature: 4.9, humidity: 57 },
+            { snowfall: 15.3, snowDays: 7, temperature: -2.4, humidity: 63 },
+            { snowfall: 16.4, snowDays: 8, temperature: -6.4, humidity: 65 }
+        ];
+        this.table = this.defaultTable.map(month => ({ ...month }));
+
+        // Array lower edge above the ground; null follows the 3D model's wall height
+        this.clearance = null; // feet
+
+        // Townsend & Powers (2011) monthly snow loss coefficients
+        this.coefficients = { c1: 5.7e4, c2: 0.51, angleOfRepose: 40 };
+        this.metersPerFoot = 0.3048;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        this.onChange();
+    }
+
+    setTableValue(month, key, value) {
+        const row = this.table[month];
+        const parsed = parseFloat(value);
+        if (!row || !(key in row) || isNaN(parsed)) return;
+
+        row[key] = key === 'temperature' ? parsed : Math.max(0, parsed);
+        this.onChange();
+    }
+
+    setClearance(feet) {
+        const value = parseFloat(feet);
+        this.clearance = isNaN(value) ? null : Math.max(0, value);
+        this.onChange();
+    }
+
+    onChange() {
+        window.projectManager?.markAsModified();
+        window.statsCalculator?.recalculate();
+        window.lossModel?.renderLossInputs();
+        this.renderSnowInputs();
+    }
+
+    getClearance() {
+        return this.clearance ?? window.model3D?.wallHeight ?? 8;
+    }
+
+    // Monthly climate inputs, taking each quantity from the weather file when it carries it
+    getMonthlyInputs(weather = window.weatherManager?.getDataset()) {
+        const tableSource = this.isDefaultTable() ? 'default table' : 'table';
+        const inputs = this.table.map(row => ({ ...row, source: tableSource }));
+        if (!weather) return inputs;
+
+        const monthOfHour = this.getMonthOfHour();
+        const sums = inputs.map(() => ({ temperature: 0, humidity: 0, humidityHours: 0, hours: 0 }));
+        weather.temperature.forEach((temperature, index) => {
+            const month = sums[monthOfHour[index]];
+            month.temperature += temperature;
+            month.hours++;
+            const humidity = weather.relativeHumidity?.[index];
+            if (humidity !== null && humidity !== undefined) {
+                month.humidity += humidity;
+                month.humidityHours++;
+            }
+        });
+
+        const snow = this.getWeatherSnowfall(weather, monthOfHour);
+
+        return inputs.map((input, month) => {
+            const sum = sums[month];
+            return {
+                snowfall: snow ? snow[month].snowfall : input.snowfall,
+                snowDays: snow ? snow[month].snowDays : input.snowDays,
+                temperature: sum.hours > 0 ? sum.temperature / sum.hours : input.temperature,
+                humidity: sum.humidityHours > 0 ? sum.humidity / sum.humidityHours : input.humidity,
+                source: snow ? 'weather' : input.source
+            };
+        });
+    }
+
+    // True until the user edits the table, i.e. snowfall is still Calgary's
+    isDefaultTable() {
+        return this.table.every((row, month) =>
+            Object.keys(row).every(key => row[key] === this.defaultTable[month][key])
+        );
+    }
+
+    // Snowfall from day-over-day increases in EPW snow depth; settling makes this an underestimate
+    getWeatherSnowfall(weather, monthOfHour) {
+        const depth = weather.snowDepth;
+        if (!depth || !depth.some(value => value !== null && value > 0)) return null;
+
+        const months = this.table.map(() => ({ snowfall: 0, snowDays: 0 }));
+        let previousDepth = null;
+        for (let day = 0; day < 365; day++) {
+            const values = depth.slice(day * 24, day * 24 + 24).filter(value => value !== null);
+            if (values.length === 0) continue;
+
+            const dayDepth = Math.max(...values);
+            if (previousDepth !== null && dayDepth > previousDepth) {
+                const month = months[monthOfHour[day * 24]];
+                month.snowfall += dayDepth - previousDepth;
+                month.snowDays++;
+            }
+            previousDepth = dayDepth;
+        }
+
+        return months;
+    }
+
+    getMonthOfHour() {
+        const months = [];
+        this.daysInMonth.forEach((days, month) => {
+            for (let i = 0; i < days * 24; i++) months.push(month);
+        });
+        return months;
+    }
+
+    // Monthly loss fractions for one orientation; monthlyPoa is plane-of-array insolation in kWh/m²
+    calculateMonthlyLosses(tilt, slantHeight, monthlyPoa, inputs = this.getMonthlyInputs()) {
+        if (!this.enabled) return new Array(12).fill(0);
+
+        const { c1, c2, angleOfRepose } = this.coefficients;
+        const cosTilt = Math.cos(tilt * Math.PI / 180);
+        const slant = Math.max(slantHeight, 0) * this.metersPerFoot;
+        const lowerEdge = Math.max(this.getClearance() * this.metersPerFoot, 0.01);
+
+        // Snow from several small events slides off sooner than one large dump
+        const effectiveSnow = inputs.map(input =>
+            input.snowfall * 0.5 * (1 + 1 / Math.max(input.snowDays, 1)));
+
+        return inputs.map((input, month) => {
+            if (input.snowfall <= 0 || monthlyPoa[month] <= 0) return 0;
+
+            // Snow left over from the previous month still has to clear
+            const weighted = effectiveSnow[(month + 11) % 12] / 3 + effectiveSnow[month] * 2 / 3; // cm
+            const weightedMeters = weighted / 100;
+
+            // Snow piling up below a low array edge keeps the panels from shedding
+            const gamma = slant * weightedMeters * cosTilt /
+                Math.max(lowerEdge * lowerEdge - weightedMeters * weightedMeters, 1e-6) *
+                2 * Math.tan(angleOfRepose * Math.PI / 180);
+            const groundInterference = 1 - c2 * Math.exp(-gamma);
+
+            const kelvin = input.temperature + 273.15;
+            const loss = c1 * (weighted / 2.54) * cosTilt * cosTilt * groundInterference *
+                (input.humidity / 100) / (kelvin * kelvin) / Math.pow(monthlyPoa[month], 0.67);
+
+            return Math.max(0, Math.min(1, loss));
+        });
+    }
+
+    // Full-coverage days that would produce the same loss
+    getCoveredDays(losses) {
+        return losses.map((loss, month) => loss * this.daysInMonth[month]);
+    }
+
+    renderSnowInputs() {
+        const container = typeof document !== 'undefined' && document.getElementById('snowSettings');
+        if (!container) return;
+
+        const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        const inputs = this.getMonthlyInputs();
+        
+        // Snowfall, temperature and clearance show in the project's units; the table stays metric
+        const units = window.unitSystem;
+        const quantities = { snowfall: 'snowfall', temperature: 'temperature' };
+        const display = (key, value) => units && quantities[key] ? units.inputValue(value, quantities[key], 1) : value;
+        const label = (quantity, fallback) => units ? units.label(quantity) : fallback;
+        const cell = (month, key, step) => `
+            <input type="number" step="${step}" value="${display(key, this.table[month][key])}" style="width: 60px;"
+                onchange="updateSnowTable(${month}, '${key}', this.value)">
+        `;
+
+        const rows = this.table.map((row, month) => `
+            <tr>
+                <td>${monthNames[month]}</td>
+                <td>${cell(month, 'snowfall', 0.1)}</td>
+                <td>${cell(month, 'snowDays', 1)}</td>
+                <td>${cell(month, 'temperature', 0.1)}</td>
+                <td>${cell(month, 'humidity', 1)}</td>
+                <td>${inputs[month].source}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="facet-row">
+                <label><input type="checkbox" ${this.enabled ? 'checked' : ''}
+                    onchange="setSnowModelEnabled(this.checked)"> Monthly snow model</label>
+                <label>Array clearance (${label('length', 'ft')})
+                    <input type="number" min="0" step="${units?.getUnits() === 'metric' ? 0.1 : 0.5}"
+                        value="${units ? units.inputValue(this.getClearance(), 'length') : this.getClearance()}" style="width: 70px;"
+                        onchange="setSnowClearance(this.value)">
+                </label>
+            </div>
+            <table>
+                <tr><th>Month</th><th>Snowfall (${label('snowfall', 'cm')})</th><th>Snow days</th><th>Temp (${label('temperature', '°C')})</th><th>RH (%)</th><th>Source</th></tr>
+                ${rows}
+            </table>
+        `;
+    }
+
+    exportSettings() {
+        return {
+            enabled: this.enabled,
+            clearance: this.clearance,
+            table: this.table.map(row => ({ ...row }))
+        };
+    }
+
+    importSettings(settings) {
+        this.enabled = settings?.enabled ?? false;
+        this.clearance = settings?.clearance ?? null;
+        this.table = (settings?.table?.length === 12 ? settings.table : this.defaultTable)
+            .map(row => ({ ...row }));
+        this.renderSnowInputs();
+    }
+}
+
+// Global instance
+window.snowModel = new SnowModel();
@@ -0,0 +1,324 @@
+// js/solarEngine.js
+class SolarEngine {
+    constructor() {
+        this.referenceYear = 2023; // Non-leap year used for the 8760-hour simulation
+        this.daysInMonth = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+        this.groundAlbedo = 0.2;
+
+        // Fraction of clear-sky irradiance reaching the ground on an average day.
+        // Stands in for cloud cover when no measured weather data is available.
+        this.clearSkyFactor = 0.7;
+
+        // Cell temperature model defaults (NOCT method)
+        this.noct = 45; // °C at 800 W/m², 20 °C ambient
+        this.temperatureCoefficient = -0.0037; // Pmax change per °C above 25 °C
+
+        // ASHRAE clear-sky coefficients per month:
+        // A = apparent extraterrestrial irradiance (W/m²), B = optical depth, C = diffuse ratio
+        this.clearSkyCoefficients = [
+            { A: 1230, B: 0.142, C: 0.058 },
+            { A: 1215, B: 0.144, C: 0.060 },
+            { A: 1186, B: 0.156, C: 0.071 },
+            { A: 1136, B: 0.180, C: 0.097 },
+            { A: 1104, B: 0.196, C: 0.121 },
+            { A: 1088, B: 0.205, C: 0.134 },
+            { A: 1085, B: 0.207, C: 0.136 },
+            { A: 1107, B: 0.201, C: 0.122 },
+            { A: 1151, B: 0.177, C: 0.092 },
+            { A: 1192, B: 0.160, C: 0.073 },
+            { A: 1221, B: 0.149, C: 0.063 },
+            { A: 1233, B: 0.142, C: 0.057 }
+        ];
+
+        // Cached weather-independent sun path, keyed by location
+        this.sunPathCache = { key: null, hours: null };
+    }
+
+    // Solar geometry
+    calculateSunPosition(lat, lng, dayOfYear, hour, timezone = this.getUtcOffset(undefined, lng)) {
+        const toRad = Math.PI / 180;
+        const toDeg = 180 / Math.PI;
+
+        // Spencer's Fourier series for declination and equation of time
+        const B = 2 * Math.PI * (dayOfYear - 1) / 365;
+        const declination = 0.006918 - 0.399912 * Math.cos(B) + 0.070257 * Math.sin(B)
+            - 0.006758 * Math.cos(2 * B) + 0.000907 * Math.sin(2 * B)
+            - 0.002697 * Math.cos(3 * B) + 0.00148 * Math.sin(3 * B);
+        const equationOfTime = 229.18 * (0.000075 + 0.001868 * Math.cos(B) - 0.032077 * Math.sin(B)
+            - 0.014615 * Math.cos(2 * B) - 0.040849 * Math.sin(2 * B)); // minutes
+
+        // Local standard time to apparent solar time
+        const standardMeridian = timezone * 15;
+        const solarTime = hour + (4 * (lng - standardMeridian) + equationOfTime) / 60;
+        const hourAngle = (solarTime - 12) * 15 * toRad;
+
+        const latRad = lat * toRad;
+        const cosZenith = Math.sin(latRad) * Math.sin(declination) +
+            Math.cos(latRad) * Math.cos(declination) * Math.cos(hourAngle);
+        const zenith = Math.acos(Math.max(-1, Math.min(1, cosZenith)));
+
+        // Azimuth measured clockwise from north (180 = due south)
+        const azimuth = (Math.atan2(
+            Math.sin(hourAngle),
+            Math.cos(hourAngle) * Math.sin(latRad) - Math.tan(declination) * Math.cos(latRad)
+        ) * toDeg + 180 + 360) % 360;
+
+        return {
+            declination: declination * toDeg,
+            hourAngle: hourAngle * toDeg,
+            zenith: zenith * toDeg,
+            elevation: 90 - zenith * toDeg,
+            azimuth: azimuth
+        };
+    }
+
+    // Hours from UTC of the site's standard time, which every hourly series is in
+    getUtcOffset(weather, lng) {
+        if (window.weatherManager) return window.weatherManager.getUtcOffset(weather, lng);
+
+        const zone = weather?.location?.timezone;
+        return Number.isFinite(zone) ? zone : Math.round((lng ?? 0) / 15);
+    }
+
+    // Irradiance models
+    calculateClearSkyIrradiance(month, zenith) {
+        if (zenith >= 90) {
+            return { ghi: 0, dni: 0, dhi: 0 };
+        }
+
+        const { A, B, C } = this.clearSkyCoefficients[month];
+        const cosZenith = Math.cos(zenith * Math.PI / 180);
+        const dni = A * Math.exp(-B / Math.max(cosZenith, 0.01)) * this.clearSkyFactor;
+        const dhi = C * A * Math.exp(-B / Math.max(cosZenith, 0.01)) * this.clearSkyFactor;
+
+        return {
+            ghi: dni * cosZenith + dhi,
+            dni: dni,
+            dhi: dhi
+        };
+    }
+
+    calculatePlaneOfArray(hourData, tilt, azimuth, albedo = this.groundAlbedo) {
+        if (hourData.zenith >= 90 || hourData.ghi <= 0) {
+            return { poa: 0, beam: 0, skyDiffuse: 0, groundReflected: 0, angleOfIncidence: 90 };
+        }
+
+        const toRad = Math.PI / 180;
+        const tiltRad = tilt * toRad;
+        const zenithRad = hourData.zenith * toRad;
+
+        const cosIncidence = Math.cos(zenithRad) * Math.cos(tiltRad) +
+            Math.sin(zenithRad) * Math.sin(tiltRad) * Math.cos((hourData.azimuth - azimuth) * toRad);
+
+        // Isotropic sky (Liu-Jordan) transposition
+        const beam = hourData.dni * Math.max(0, cosIncidence);
+        const skyDiffuse = hourData.dhi * (1 + Math.cos(tiltRad)) / 2;
+        const groundReflected = hourData.ghi * albedo * (1 - Math.cos(tiltRad)) / 2;
+
+        return {
+            poa: beam + skyDiffuse + groundReflected,
+            beam: beam,
+            skyDiffuse: skyDiffuse,
+            groundReflected: groundReflected,
+            angleOfIncidence: Math.acos(Math.max(-1, Math.min(1, cosIncidence))) * 180 / Math.PI
+        };
+    }
+
+    // Hourly time series
+    generateSunPath(location, timezone = this.getUtcOffset(undefined, location.lng)) {
+        const key = `${location.lat.toFixed(4)},${location.lng.toFixed(4)},${timezone}`;
+        if (this.sunPathCache.key === key) {
+            return this.sunPathCache.hours;
+        }
+
+        const hours = [];
+        let dayOfYear = 1;
+
+        for (let month = 0; month < 12; month++) {
+            for (let day = 1; day <= this.daysInMonth[month]; day++) {
+                for (let hour = 0; hour < 24; hour++) {
+                    // Evaluate at the middle of the hour to represent the hourly average
+                    const sun = this.calculateSunPosition(location.lat, location.lng, dayOfYear, hour + 0.5, timezone);
+                    hours.push({
+                        month: month,
+                        day: day,
+                        dayOfYear: dayOfYear,
+                        hour: hour,
+                        ...sun
+                    });
+                }
+                dayOfYear++;
+            }
+        }
+
+        this.sunPathCache = { key, hours };
+        return hours;
+    }
+
+    generateYearlyIrradiance(location, weather = null) {
+        const timezone = this.getUtcOffset(weather, location.lng);
+        if (!weather) {
+            return this.generateSunPath(location, timezone).map(sunHour => ({
+                ...sunHour,
+                ...this.calculateClearSkyIrradiance(sunHour.month, sunHour.zenith),
+                temperature: null
+            }));
+        }
+
+        // Measured data is in the weather file's standard time, hour ending; a project offset
+        // other than the file's moves it by whole hours
+        const fileZone = weather.location?.timezone;
+        const shift = Number.isFinite(fileZone) ? Math.round(timezone - fileZone) : 0;
+        const at = (values, index) => values[(index - shift + values.length) % values.length];
+        return this.generateSunPath(location, timezone).map((sunHour, index) => ({
+            ...sunHour,
+            ghi: at(weather.ghi, index),
+            dni: at(weather.dni, index),
+            dhi: at(weather.dhi, index),
+            temperature: at(weather.temperature, index),
+            windSpeed: at(weather.windSpeed, index)
+        }));
+    }
+
+    calculateCellTemperature(ambientTemperature, poa, noct = this.noct) {
+        return ambientTemperature + (poa / 800) * (noct - 20);
+    }
+
+    calculateTemperatureFactor(cellTemperature, temperatureCoefficient = this.temperatureCoefficient) {
+        return 1 + temperatureCoefficient * (cellTemperature - 25);
+    }
+
+    simulateArray(location, panels, options = {}) {
+        const systemEfficiency = options.systemEfficiency ?? 0.85;
+        const albedo = options.albedo ?? this.groundAlbedo;
+        const noct = options.noct ?? this.noct;
+        const temperatureCoefficient = options.temperatureCoefficient ?? this.temperatureCoefficient;
+        const bifaciality = options.bifaciality ?? 0;
+        const rearExposure = options.rearExposure ?? 0;
+        const weatherHours = this.generateYearlyIrradiance(location, options.weather);
+
+        // Panels sharing an orientation share one irradiance calculation
+        const orientations = this.groupPanelsByOrientation(panels);
+
+        // Monthly snow losses per orientation need each plane's monthly insolation first
+        if (options.snowLosses) {
+            orientations.forEach(group => {
+                const monthlyPoa = new Array(12).fill(0);
+                weatherHours.forEach(hourData => {
+                    monthlyPoa[hourData.month] += this.calculatePlaneOfArray(hourData, group.tilt, group.azimuth, albedo).poa / 1000;
+                });
+                group.snowLosses = options.snowLosses(group, monthlyPoa);
+            });
+        }
+
+        const monthly = new Array(12).fill(0);
+        const snowLossMonthly = new Array(12).fill(0);
+        const daily = new Array(365).fill(0);
+        let yearly = 0;
+
+        // Unshaded kWh per watt of each orientation, hour by hour, for per-panel string analysis
+        orientations.forEach(group => {
+            group.hourlyYield = new Float64Array(weatherHours.length);
+        });
+
+        const hourly = weatherHours.map((hourData, index) => {
+            let energy = 0;
+            let snowLoss = 0;
+            let weightedPoa = 0;
+            let weightedCellTemperature = 0;
+
+            orientations.forEach(group => {
+                const irradiance = this.calculatePlaneOfArray(hourData, group.tilt, group.azimuth, albedo);
+                
+                // Bifacial modules also collect ground-reflected light on the rear face
+                const rearIrradiance = bifaciality > 0
+                    ? hourData.ghi * albedo * (1 + Math.cos(group.tilt * Math.PI / 180)) / 2 * rearExposure
+                    : 0;
+                const effectiveIrradiance = irradiance.poa + bifaciality * rearIrradiance;
+
+                // Temperature derating only applies when ambient temperature is known
+                let temperatureFactor = 1;
+                let cellTemperature = null;
+                if (hourData.temperature !== null) {
+                    cellTemperature = this.calculateCellTemperature(hourData.temperature, irradiance.poa, noct);
+                    temperatureFactor = this.calculateTemperatureFactor(cellTemperature, temperatureCoefficient);
+                    weightedCellTemperature += cellTemperature * group.power;
+                }
+
+                // Rated power is defined at 1000 W/m², so energy scales with POA irradiance
+                const unsnowedEnergy = (group.effectivePower / 1000) * (effectiveIrradiance / 1000) * temperatureFactor * systemEfficiency;
+                const groupEnergy = unsnowedEnergy * (1 - (group.snowLosses ? group.snowLosses[hourData.month] : 0));
+                snowLossMonthly[hourData.month] += unsnowedEnergy - groupEnergy;
+                snowLoss += unsnowedEnergy - groupEnergy;
+                group.hourlyYield[index] = group.effectivePower > 0 ? groupEnergy / group.effectivePower : 0;
+                group.yearly += groupEnergy;
+                energy += groupEnergy;
+                weightedPoa += irradiance.poa * group.power;
+            });
+
+            const totalPower = orientations.reduce((total, group) => total + group.power, 0);
+
+            monthly[hourData.month] += energy;
+            daily[hourData.dayOfYear - 1] += energy;
+            yearly += energy;
+
+            return {
+                ...hourData,
+                poa: totalPower > 0 ? weightedPoa / totalPower : 0,
+                cellTemperature: hourData.temperature !== null && totalPower > 0
+                    ? weightedCellTemperature / totalPower
+                    : null,
+                energy: energy, // kWh
+                snowLoss: snowLoss // kWh
+            };
+        });
+
+        return {
+            location: { lat: location.lat, lng: location.lng },
+            weatherSource: options.weather ? options.weather.source : 'clear-sky',
+            orientations: orientations,
+            hourly,
+            daily,
+            monthly,
+            yearly,
+            snowLossMonthly,
+            snowLossYearly: snowLossMonthly.reduce((total, loss) => total + loss, 0)
+        };
+    }
+
+    groupPanelsByOrientation(panels) {
+        const groups = {};
+
+        panels.forEach(panel => {
+            const tilt = panel.tilt ?? 30;
+            const azimuth = panel.azimuth ?? 180;
+            const facetId = panel.facetId || 'facet_1';
+            const key = this.getOrientationKey(panel);
+
+            if (!groups[key]) {
+                groups[key] = { key, facetId, tilt, azimuth, power: 0, effectivePower: 0, count: 0, yearly: 0 };
+            }
+            groups[key].power += panel.power || 0;
+            // Shading from keepouts scales each panel's contribution by its solar access
+            groups[key].effectivePower += (panel.power || 0) * (panel.solarAccess ?? 100) / 100;
+            groups[key].count++;
+        });
+
+        return Object.values(groups);
+    }
+
+    getOrientationKey(panel) {
+        const tilt = panel.tilt ?? 30;
+        const azimuth = panel.azimuth ?? 180;
+        return `${panel.facetId || 'facet_1'}|${tilt.toFixed(1)}|${azimuth.toFixed(1)}`;
+    }
+
+    getHourOfYear(date) {
+        const start = new Date(date.getFullYear(), 0, 1);
+        const dayOfYear = Math.floor((date - start) / 86400000);
+        return Math.min(dayOfYear, 364) * 24 + date.getHours();
+    }
+}
+
+// Global instance
+window.solarEngine = new SolarEngine();
@@ -9,8 +9,33 @@ class StatsCalculator {
         this.energyProduction = {
             daily: 0,
             monthly: 0,
-            yearly: 0
+            yearly: 0,
+            monthlyTotals: new Array(12).fill(0)
+        };
+        this.simulation = null;
+        
+        // Power electronics; module-level efficiency and mismatch act on panel DC output
+        this.architecture = 'string'; // 'string', 'microinverter' or 'optimizer'
+        this.architectures = {
+            // String mismatch comes from the project's loss settings
+            string: { name: 'String inverter', mismatchLoss: null, moduleLevelEfficiency: 1, usesInverterCurve: true, panelLevel: false },
+            microinverter: { name: 'Microinverters', mismatchLoss: 0, moduleLevelEfficiency: 0.965, usesInverterCurve: false, panelLevel: true },
+            optimizer: { name: 'DC optimizers', mismatchLoss: 0.005, moduleLevelEfficiency: 0.99, usesInverterCurve: true, panelLevel: true }
         };
+        this.bypassDiodeRecovery = 0.5; // Share of a string's shade mismatch that bypass diodes win back
+        this.architectureResults = null;
+        this.snowResults = null;
+        
+        // Flat Alberta rate (approximate); only used until a tariff is available
+        this.electricityRate = 0.12; // per kWh, input currency
+        this.annualRateIncrease = 0.03; // 3% per year
+        this.billing = null;
+        this.energyBalance = null;
+        this.batteryResults = null;
+        this.quote = null; // Installed-cost quote for the current layout
+        this.projectionYears = 25;
+        this.projection = [];
+        this.financing = null;
         this.costSavings = {
             monthly: 0,
             yearly: 0,
@@ -20,15 +45,20 @@ class StatsCalculator {
             co2Avoided: 0,
             treesEquivalent: 0
         };
+        this.emissions = null; // Lifecycle carbon from the emissions model
     }
 
     updateRoofArea(area) {
         this.roofArea = area;
-        this.updateDisplay();
-        this.calculateEnergyProduction();
+        this.recalculate();
     }
 
     updatePanelData(panels) {
+        this.setPanelData(panels);
+        this.recalculate();
+    }
+
+    setPanelData(panels) {
         this.panelData = panels || [];
         this.panelCount = this.panelData.length;
         
@@ -46,86 +76,642 @@ class StatsCalculator {
         } else {
             this.averageEfficiency = 0;
         }
-        
-        this.updateDisplay();
+    }
+
+    recalculate() {
+        this.compute();
+        this.render();
+    }
+
+    // Results only; nothing on the page changes, so scratch calculators can use it too
+    compute() {
         this.calculateEnergyProduction();
         this.calculateCostSavings();
         this.calculateEnvironmentalImpact();
     }
 
+    // Shows the computed results in the stats panel and the model summaries
+    render() {
+        const number = (value, decimals) => this.formatNumber(value, decimals);
+        const currency = (amount, decimals) => this.formatCurrency(amount, decimals);
+        
+        this.updateDisplay();
+        this.renderArchitectureSummary();
+        window.electricalDesigner?.updateClipping();
+        this.renderConsumptionSummary();
+        window.costModel?.renderQuote(this.quote, number, currency);
+        window.batteryModel?.renderBatterySummary(this.batteryResults, number, currency);
+        window.financialModel?.renderFinanceSummary(this.financing, currency);
+        window.emissionsModel?.renderEmissionsSummary(this.emissions, number);
+        window.chartRenderer?.render(this);
+    }
+
     calculateEnergyProduction() {
         if (this.totalPower === 0) {
-            this.energyProduction = { daily: 0, monthly: 0, yearly: 0 };
+            this.energyProduction = { daily: 0, monthly: 0, yearly: 0, monthlyTotals: new Array(12).fill(0) };
+            this.simulation = null;
+            this.architectureResults = null;
+            this.snowResults = null;
             return;
         }
 
-        // Average sun hours per day (location dependent - using Calgary, Alberta)
-        const sunHoursPerDay = 4.2; // Annual average for Calgary
+        const location = this.getSiteLocation();
+        
+        // DC losses from the project's loss settings; mismatch and inverter are applied below
+        const systemEfficiency = window.lossModel ? window.lossModel.getDcDerate() : 0.85;
+        
+        // Monthly snow cover depends on each facet's tilt and the height of its array
+        const weather = window.weatherManager?.getDataset();
+        const snowModel = window.snowModel?.enabled ? window.snowModel : null;
+        const snowInputs = snowModel?.getMonthlyInputs(weather);
+        
+        // Hour-by-hour simulation driven by imported weather data when available
+        // Thermal and bifacial behaviour comes from the selected module
+        this.simulation = window.solarEngine.simulateArray(location, this.panelData, {
+            systemEfficiency,
+            weather: weather,
+            snowLosses: snowModel
+                ? (group, monthlyPoa) => snowModel.calculateMonthlyLosses(group.tilt, this.getArraySlantHeight(group.key), monthlyPoa, snowInputs)
+                : null,
+            ...window.moduleCatalog?.getSimulationOptions()
+        });
+        
+        // Per-panel output through the chosen power electronics; the hourly profile becomes AC
+        this.architectureResults = this.calculateArchitectureProduction();
+        this.snowResults = this.calculateSnowResults(snowInputs);
+        
+        this.energyProduction.yearly = this.simulation.yearly;
+        this.energyProduction.monthly = this.simulation.yearly / 12;
+        this.energyProduction.daily = this.simulation.yearly / 365;
+        this.energyProduction.monthlyTotals = this.simulation.monthly;
+    }
+
+    setArchitecture(architecture) {
+        if (!this.architectures[architecture]) return;
+        
+        this.architecture = architecture;
+        this.recalculate();
+        window.model3D?.updatePanelColors();
+    }
+
+    // Yearly kWh each panel would make at its own maximum power point
+    calculatePanelProduction() {
+        const yieldPerWatt = {};
+        this.simulation.orientations.forEach(group => {
+            yieldPerWatt[group.key] = group.effectivePower > 0 ? group.yearly / group.effectivePower : 0;
+        });
+        
+        return this.panelData.map(panel => {
+            const unshaded = (panel.power || 0) * (yieldPerWatt[window.solarEngine.getOrientationKey(panel)] || 0);
+            return {
+                panelId: panel.id,
+                facetId: panel.facetId,
+                stringId: panel.stringId || null,
+                unshaded: unshaded,
+                ideal: unshaded * (panel.solarAccess ?? 100) / 100
+            };
+        });
+    }
+
+    // Series strings run at the current of their weakest panel, less what bypass diodes recover
+    calculateStringOutput(panelProduction) {
+        const hasDesign = !!window.electricalDesigner?.getDesign();
+        const strings = {};
+        
+        panelProduction.forEach(panel => {
+            // Without a string design each roof plane is treated as one string
+            const stringId = panel.stringId || (hasDesign ? null : `facet:${panel.facetId}`);
+            if (!stringId) return; // Left off every string, so it produces nothing
+            if (!strings[stringId]) strings[stringId] = [];
+            strings[stringId].push(panel);
+        });
+        
+        const panels = new Map(this.panelData.map(panel => [panel.id, panel]));
+        const outputs = {};
+        Object.values(strings).forEach(members => {
+            const ideal = members.reduce((total, panel) => total + panel.ideal, 0);
+            const output = ideal * (1 - this.calculateStringMismatch(members.map(member => panels.get(member.panelId))));
+            members.forEach(panel => {
+                outputs[panel.panelId] = output / members.length;
+            });
+        });
+        
+        return outputs;
+    }
+
+    // Fraction of a string's energy lost to its weakest panel, taken hour by hour since
+    // shade moves from panel to panel over the day
+    calculateStringMismatch(panels) {
+        const groups = {};
+        this.simulation.orientations.forEach(group => {
+            groups[group.key] = group;
+        });
+        const members = panels.map(panel => ({
+            panel,
+            power: panel.power || 0,
+            hourlyYield: groups[window.solarEngine.getOrientationKey(panel)]?.hourlyYield || null
+        }));
+        const analyzer = window.shadingAnalyzer;
+        
+        let ideal = 0;
+        let output = 0;
+        this.simulation.hourly.forEach((hour, index) => {
+            let total = 0;
+            let weakest = Infinity;
+            members.forEach(member => {
+                const access = analyzer
+                    ? analyzer.getHourlyAccess(member.panel, hour.month, hour.hour)
+                    : (member.panel.solarAccess ?? 100);
+                const energy = member.power * (member.hourlyYield ? member.hourlyYield[index] : 0) * access / 100;
+                total += energy;
+                weakest = Math.min(weakest, energy);
+            });
+            if (total <= 0) return;
+            
+            ideal += total;
+            output += total - (total - members.length * weakest) * (1 - this.bypassDiodeRecovery);
+        });
+        
+        return ideal > 0 ? 1 - output / ideal : 0;
+    }
+
+    calculateArchitectureProduction() {
+        const panelProduction = this.calculatePanelProduction();
+        const stringOutputs = this.calculateStringOutput(panelProduction);
+        const idealDc = panelProduction.reduce((total, panel) => total + panel.ideal, 0);
+        const stringDc = Object.values(stringOutputs).reduce((total, output) => total + output, 0);
         
-        // Seasonal variations
-        const seasonalFactors = {
-            spring: 1.1,
-            summer: 1.3,
-            fall: 0.9,
-            winter: 0.6
+        // DC energy after mismatch: strings are held back by their weakest panel, panel-level
+        // electronics only by their own small mismatch
+        const dcAfterMismatch = (spec) => (spec.panelLevel ? idealDc : stringDc) * (1 - spec.mismatchLoss);
+        
+        const spec = this.getArchitectureSpec(this.architecture);
+        const stringSpec = this.getArchitectureSpec('string');
+        const dc = dcAfterMismatch(spec);
+        const stringYearly = this.convertToAc(idealDc > 0 ? dcAfterMismatch(stringSpec) / idealDc : 0, stringSpec);
+        const yearly = this.convertToAc(idealDc > 0 ? dc / idealDc : 0, spec, true);
+        const acRatio = dc > 0 ? yearly / dc : 0;
+        
+        const panels = panelProduction.map(panel => {
+            const panelDc = spec.panelLevel ? panel.ideal : (stringOutputs[panel.panelId] || 0);
+            return { ...panel, output: panelDc * (1 - spec.mismatchLoss) * acRatio };
+        });
+        
+        return {
+            architecture: this.architecture,
+            name: spec.name,
+            mismatchLoss: spec.mismatchLoss,
+            moduleLevelEfficiency: spec.moduleLevelEfficiency,
+            unshadedYearly: panelProduction.reduce((total, panel) => total + panel.unshaded, 0),
+            idealYearly: idealDc,
+            dcYearly: dc,
+            clippingYearly: this.simulation.clippingYearly,
+            stringYearly: stringYearly,
+            yearly: yearly,
+            gainVsString: yearly - stringYearly,
+            gainVsStringPercent: stringYearly > 0 ? (yearly / stringYearly - 1) * 100 : 0,
+            panels: panels
         };
+    }
+
+    // Upslope length of the panels sharing an orientation, which snow has to slide down (feet)
+    getArraySlantHeight(orientationKey) {
+        const panels = this.panelData.filter(panel => window.solarEngine.getOrientationKey(panel) === orientationKey);
+        if (panels.length === 0) return 0;
         
-        // System losses (inverter, wiring, etc.)
-        const systemEfficiency = 0.85;
+        const rows = panels.map(panel => panel.row || 0);
+        const panelHeight = Math.max(...panels.map(panel => panel.height || window.panelPlacer?.panelSpecs.height || 3.25));
+        return (Math.max(...rows) - Math.min(...rows) + 1) * panelHeight;
+    }
+
+    // Snow losses carried through to AC, month by month
+    calculateSnowResults(inputs) {
+        const simulation = this.simulation;
+        if (!inputs || !simulation.snowLossMonthly) return null;
         
-        // Basic calculation: Power (kW) × Sun Hours × Efficiency × System Efficiency
-        const baseDaily = (this.totalPower / 1000) * sunHoursPerDay * this.averageEfficiency * systemEfficiency;
+        const acRatio = simulation.dcYearly > 0 ? simulation.yearly / simulation.dcYearly : 0;
+        const monthlyLoss = simulation.snowLossMonthly.map(loss => loss * acRatio);
+        const monthlyPercent = monthlyLoss.map((loss, month) => {
+            const before = simulation.monthly[month] + loss;
+            return before > 0 ? loss / before * 100 : 0;
+        });
         
-        this.energyProduction.daily = baseDaily;
-        this.energyProduction.monthly = baseDaily * 30;
-        this.energyProduction.yearly = baseDaily * 365;
+        return {
+            source: inputs.some(input => input.source === 'weather') ? 'weather' : inputs[0].source,
+            inputs: inputs,
+            monthlyLoss: monthlyLoss,
+            monthlyPercent: monthlyPercent,
+            coveredDays: window.snowModel.getCoveredDays(monthlyPercent.map(percent => percent / 100)),
+            yearlyLoss: monthlyLoss.reduce((total, loss) => total + loss, 0),
+            dcFraction: simulation.snowLossYearly / (simulation.dcYearly + simulation.snowLossYearly || 1)
+        };
+    }
+
+    getArchitectureSpec(architecture) {
+        const spec = { ...this.architectures[architecture] };
+        if (spec.mismatchLoss === null) {
+            spec.mismatchLoss = window.lossModel ? window.lossModel.getLoss('mismatch') : 0.02;
+        }
+        return spec;
+    }
+
+    // AC capacity the inverter curve is evaluated against (kW)
+    getInverterCapacity() {
+        const design = window.electricalDesigner?.getDesign();
+        if (design && design.acPower > 0) return design.acPower / 1000;
+        
+        const ratio = window.lossModel?.defaultDcAcRatio || 1.2;
+        return this.totalPower / 1000 / ratio;
+    }
+
+    // Hourly DC (scaled by dcFactor) to AC, clipped at the inverters' rating; with apply set,
+    // the simulation is rewritten in AC
+    convertToAc(dcFactor, spec, apply = false) {
+        const losses = window.lossModel;
+        const capacity = this.getInverterCapacity();
+        const ratedEfficiency = window.electricalDesigner?.getSelectedInverter()?.efficiency || null;
+        let yearly = 0;
+        let clippingYearly = 0;
+        const clipLosses = [];
+        
+        const acHours = this.simulation.hourly.map(hour => {
+            const dc = hour.energy * dcFactor;
+            let efficiency = spec.moduleLevelEfficiency;
+            if (spec.usesInverterCurve) {
+                efficiency *= losses
+                    ? losses.getInverterEfficiency(capacity > 0 ? dc / capacity : 0, ratedEfficiency)
+                    : 0.96;
+            }
+            
+            // Hourly energy stands in for power, so an hour over the AC rating loses the excess
+            const unclipped = dc * efficiency;
+            const ac = spec.usesInverterCurve && capacity > 0 ? Math.min(unclipped, capacity) : unclipped;
+            clipLosses.push(unclipped - ac);
+            clippingYearly += unclipped - ac;
+            yearly += ac;
+            return ac;
+        });
+        
+        if (apply) {
+            const simulation = this.simulation;
+            const dcYearly = simulation.yearly;
+            simulation.monthly = new Array(12).fill(0);
+            simulation.daily = new Array(simulation.daily.length).fill(0);
+            simulation.hourly.forEach((hour, index) => {
+                hour.dcEnergy = hour.energy;
+                hour.energy = acHours[index];
+                hour.clipLoss = clipLosses[index];
+                simulation.monthly[hour.month] += hour.energy;
+                simulation.daily[hour.dayOfYear - 1] += hour.energy;
+            });
+            simulation.orientations.forEach(group => {
+                group.yearly *= dcYearly > 0 ? yearly / dcYearly : 0;
+            });
+            simulation.dcYearly = dcYearly;
+            simulation.clippingYearly = clippingYearly;
+            simulation.yearly = yearly;
+        }
+        
+        return yearly;
+    }
+
+    // Energy left after each loss, from unshaded plane-of-array output down to AC
+    calculateLossWaterfall() {
+        const results = this.architectureResults;
+        const losses = window.lossModel;
+        if (!results || !losses) return [];
+        
+        // Modeled snow replaces the flat snow percentage
+        const modeled = this.snowResults ? { snow: this.snowResults.dcFraction } : {};
+        const dcDerate = losses.getDcDerate() * (1 - (modeled.snow || 0));
+        const beforeLosses = results.unshadedYearly / dcDerate;
+        const shadedBeforeLosses = results.idealYearly / dcDerate;
+        
+        return losses.buildWaterfall({
+            start: beforeLosses,
+            items: [
+                { label: 'Obstruction shading (simulated)', energyAfter: shadedBeforeLosses },
+                ...losses.getDcLossSteps(modeled),
+                {
+                    label: results.architecture === 'string' ? 'Mismatch and string shading' : 'Mismatch',
+                    energyAfter: results.dcYearly
+                },
+                {
+                    label: results.architecture === 'microinverter' ? 'Microinverter conversion' : 'Inverter efficiency',
+                    energyAfter: results.yearly + results.clippingYearly
+                },
+                { label: 'Inverter clipping', energyAfter: results.yearly }
+            ]
+        });
+    }
+
+    renderArchitectureSummary() {
+        const container = typeof document !== 'undefined' && document.getElementById('architectureSummary');
+        if (!container) return;
+        
+        const results = this.architectureResults;
+        if (!results) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const comparison = results.architecture === 'string'
+            ? `${this.formatNumber(results.idealYearly - results.dcYearly, 0)} kWh/yr lost to mismatch and string shading`
+            : `${results.gainVsString >= 0 ? '+' : ''}${this.formatNumber(results.gainVsString, 0)} kWh/yr ` +
+                `(${results.gainVsStringPercent >= 0 ? '+' : ''}${this.formatNumber(results.gainVsStringPercent, 1)}%) vs string inverter`;
+        
+        container.innerHTML = `
+            <div class="facet-row">
+                <strong>${results.name}</strong>
+                <span>${this.formatNumber(results.yearly, 0)} kWh/yr</span>
+                <span>${comparison}</span>
+            </div>
+        `;
+    }
+
+    getSiteLocation() {
+        const location = window.mapManager?.getCurrentLocation();
+        if (location) return location;
+        
+        // Fall back to the outlined roof, then to the map's default location
+        const roofCenter = window.roofDetector?.getRoofData()?.center;
+        if (roofCenter) return roofCenter;
+        
+        const weatherLocation = window.weatherManager?.getDataset()?.location;
+        if (weatherLocation) return weatherLocation;
+        
+        return window.mapManager?.getDefaultLocation() || { lat: 51.0447, lng: -114.0719 };
     }
 
     calculateCostSavings() {
         if (this.energyProduction.yearly === 0) {
             this.costSavings = { monthly: 0, yearly: 0, lifetime: 0 };
+            this.projection = [];
+            this.financing = null;
+            this.billing = null;
+            this.energyBalance = null;
+            this.batteryResults = null;
+            this.quote = this.calculateQuote();
             return;
         }
-
-        // Alberta electricity rates (approximate)
-        const electricityRate = 0.12; // CAD per kWh
-        const annualRateIncrease = 0.03; // 3% per year
         
-        // Calculate yearly savings
-        this.costSavings.yearly = this.energyProduction.yearly * electricityRate;
+        // Itemized installed cost for the layout; its total is the system cost below
+        this.quote = this.calculateQuote();
+        
+        // Hour-by-hour usage against production
+        this.energyBalance = this.calculateEnergyBalance();
+
+        // Bill the hourly production against the selected tariff
+        this.billing = this.calculateBillSavings();
+        this.batteryResults = this.calculateBatteryDispatch();
+        this.costSavings.yearly = (this.billing
+            ? this.billing.yearlySavings
+            : this.energyProduction.yearly * this.electricityRate) + (this.batteryResults?.savings || 0);
         this.costSavings.monthly = this.costSavings.yearly / 12;
         
-        // Calculate 25-year lifetime savings with rate increases
-        let lifetimeSavings = 0;
-        let currentRate = electricityRate;
+        // Lifetime savings follow the degraded, year-by-year projection
+        this.projection = this.calculateProjection();
+        this.costSavings.lifetime = this.projection.reduce((total, row) => total + row.savings, 0);
+        
+        this.financing = this.calculateFinancing();
+    }
+
+    // Cash, loan, lease and PPA cash flows built on the degraded projection
+    calculateFinancing() {
+        const model = window.financialModel;
+        if (!model) return null;
+        
+        const monthlyTotals = this.energyProduction.monthlyTotals;
+        const yearly = monthlyTotals.reduce((total, month) => total + month, 0);
+        return model.analyze({
+            cost: this.getSystemCost(),
+            sizeKw: this.totalPower / 1000,
+            projection: this.projection,
+            monthlyShares: monthlyTotals.map(month => (yearly > 0 ? month / yearly : 1 / 12))
+        });
+    }
+
+    calculateBillSavings() {
+        const tariffs = window.tariffEngine;
+        const consumption = window.consumptionManager;
+        if (!tariffs?.getSelectedTariff() || !consumption || !this.simulation) return null;
+        
+        const tariff = tariffs.getSelectedTariff();
+        const production = this.simulation.hourly.map(hour => hour.energy);
+        const savings = tariffs.calculateSavings(consumption.getHourlyLoad(), production, tariff);
+        return {
+            ...savings,
+            before: this.convertBill(savings.before, tariff),
+            after: this.convertBill(savings.after, tariff),
+            monthlySavings: savings.monthlySavings.map(amount => this.fromTariffCurrency(amount, tariff)),
+            yearlySavings: this.fromTariffCurrency(savings.yearlySavings, tariff)
+        };
+    }
+
+    // Tariffs are priced in their own currency; costs and savings are in the input currency
+    fromTariffCurrency(amount, tariff) {
+        const locale = window.localeManager;
+        if (!locale || !tariff?.currency) return amount;
+        
+        const converted = locale.convert(amount, tariff.currency, locale.settings.inputCurrency);
+        return converted === null ? amount : converted;
+    }
+
+    convertBill(bill, tariff) {
+        const money = ['fixed', 'energy', 'demand', 'credit', 'payout', 'total'];
+        const convert = (entry) => {
+            const result = { ...entry };
+            money.forEach(key => {
+                if (result[key] !== undefined) result[key] = this.fromTariffCurrency(result[key], tariff);
+            });
+            return result;
+        };
+        return { ...bill, months: bill.months.map(convert), annual: convert(bill.annual) };
+    }
+
+    calculateEnergyBalance() {
+        const consumption = window.consumptionManager;
+        if (!consumption || !this.simulation) return null;
+        
+        const balance = consumption.analyze(this.simulation.hourly.map(hour => hour.energy));
+        balance.suggestedSize = consumption.suggestSystemSize(
+            this.totalPower > 0 ? this.energyProduction.yearly / (this.totalPower / 1000) : 0,
+            window.panelPlacer?.panelSpecs.power || 400
+        );
+        return balance;
+    }
+
+    renderConsumptionSummary() {
+        const container = typeof document !== 'undefined' && document.getElementById('consumptionSummary');
+        if (!container) return;
+        
+        const balance = this.energyBalance;
+        if (!balance) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const suggestion = balance.suggestedSize;
+        const cap = window.panelPlacer?.maxPanelCount;
+        container.innerHTML = `
+            <div class="facet-row">
+                <span>Offset: ${this.formatNumber(balance.offsetPercent, 0)}%</span>
+                <span>Self-consumption: ${this.formatNumber(balance.selfConsumptionPercent, 0)}%</span>
+                <span>Grid import: ${this.formatNumber(balance.gridImport, 0)} kWh</span>
+                <span>Grid export: ${this.formatNumber(balance.gridExport, 0)} kWh</span>
+            </div>
+            ${suggestion ? `
+                <div class="facet-row">
+                    <span>Suggested for ${this.formatNumber(suggestion.targetOffset, 0)}% offset:
+                        ${suggestion.panelCount} panels (${this.formatNumber(suggestion.sizeKw, 1)} kW)</span>
+                    <button onclick="applySuggestedSize()">Size to Usage</button>
+                    ${cap ? `<button onclick="clearPanelCap()">Fill Roof (cap ${cap})</button>` : ''}
+                </div>
+            ` : ''}
+        `;
+    }
+
+    // Battery dispatch against usage and production; savings are on top of solar alone
+    calculateBatteryDispatch() {
+        const battery = window.batteryModel;
+        const consumption = window.consumptionManager;
+        if (!battery?.isEnabled() || !consumption || !this.simulation) {
+            return null;
+        }
+        
+        const load = consumption.getHourlyLoad();
+        const production = this.simulation.hourly.map(hour => hour.energy);
+        const tariffs = window.tariffEngine;
+        const tariff = tariffs?.getSelectedTariff();
         
-        for (let year = 1; year <= 25; year++) {
-            lifetimeSavings += this.energyProduction.yearly * currentRate;
-            currentRate *= (1 + annualRateIncrease);
+        const results = battery.dispatch(load, production, tariff ? tariffs.getHourlyPrices(tariff) : null);
+        const series = results.series;
+        
+        if (tariff && this.billing) {
+            // The battery changes what crosses the meter; bill that instead of the solar-only flows
+            const withBattery = this.convertBill(tariffs.calculateBill(tariff, series.gridImport, series.gridExport), tariff);
+            results.bill = withBattery;
+            results.savings = this.billing.after.annual.total - withBattery.annual.total;
+        } else {
+            const sum = (values) => values.reduce((total, value) => total + value, 0);
+            const solarOnly = consumption.analyze(production);
+            results.savings = ((solarOnly.gridImport - sum(series.gridImport)) -
+                (solarOnly.gridExport - sum(series.gridExport))) * this.electricityRate;
         }
         
-        this.costSavings.lifetime = lifetimeSavings;
+        results.backup = battery.summarizeBackup(series.soc, production);
+        results.cost = battery.getCost();
+        return results;
+    }
+
+    // Average bill savings per kWh produced in year one
+    getEffectiveRate() {
+        return this.energyProduction.yearly > 0
+            ? this.costSavings.yearly / this.energyProduction.yearly
+            : this.electricityRate;
+    }
+
+    // Bill of materials priced by the cost model, with quantities from this layout
+    calculateQuote() {
+        const model = window.costModel;
+        if (!model) return null;
+        
+        const design = window.electricalDesigner?.getDesign();
+        return model.buildQuote({
+            panelCount: this.panelCount,
+            power: this.totalPower,
+            architecture: this.architecture,
+            inverterCount: design ? design.inverterCount : null
+        });
+    }
+
+    getSystemCost() {
+        if (!this.quote) this.quote = this.calculateQuote();
+        return this.quote ? this.quote.total : 0;
+    }
+
+    // Share of year-one output left in a given year, following the module's linear warranty.
+    // Year one is the simulated year (light-induced degradation is already a system loss),
+    // so the first-year drop shows up from year two
+    getDegradationFactor(year) {
+        if (year <= 1) return 1;
+        
+        const warranty = window.moduleCatalog?.getSelectedModule()?.warranty
+            || { firstYearDegradation: 2.0, annualDegradation: 0.55 };
+        const factor = 1 - (warranty.firstYearDegradation + (year - 2) * warranty.annualDegradation) / 100;
+        return Math.max(0, factor);
+    }
+
+    // Year 0 is the installation; each later row is one year of degraded production at that year's rate
+    calculateProjection() {
+        const systemCost = this.getSystemCost();
+        const effectiveRate = this.getEffectiveRate();
+        const rows = [{
+            year: 0,
+            degradationFactor: 1,
+            production: 0,
+            rate: effectiveRate,
+            savings: 0,
+            cashFlow: -systemCost,
+            cumulativeCashFlow: -systemCost
+        }];
+        
+        let cumulative = -systemCost;
+        for (let year = 1; year <= this.projectionYears; year++) {
+            const degradationFactor = this.getDegradationFactor(year);
+            const production = this.energyProduction.yearly * degradationFactor;
+            // Later bills keep year one's value per kWh, escalated with rates
+            const rate = effectiveRate * Math.pow(1 + this.annualRateIncrease, year - 1);
+            const savings = production * rate;
+            cumulative += savings;
+            
+            rows.push({
+                year: year,
+                degradationFactor: degradationFactor,
+                production: production,
+                rate: rate,
+                savings: savings,
+                cashFlow: savings,
+                cumulativeCashFlow: cumulative
+            });
+        }
+        
+        return rows;
     }
 
     calculateEnvironmentalImpact() {
-        if (this.energyProduction.yearly === 0) {
+        const model = window.emissionsModel;
+        if (this.energyProduction.yearly === 0 || !model) {
             this.environmentalImpact = { co2Avoided: 0, treesEquivalent: 0 };
+            this.emissions = null;
             return;
         }
 
-        // Alberta grid emissions factor (kg CO2 per kWh)
-        const emissionsFactor = 0.610; // kg CO2/kWh for Alberta
-        
-        // Calculate CO2 avoided per year
-        this.environmentalImpact.co2Avoided = this.energyProduction.yearly * emissionsFactor;
+        // Degraded output each year against the regional grid, which gets cleaner over time
+        const production = [];
+        for (let year = 1; year <= this.projectionYears; year++) {
+            production.push(this.energyProduction.yearly * this.getDegradationFactor(year));
+        }
+        const battery = window.batteryModel;
+        this.emissions = model.analyze(production, this.totalPower / 1000,
+            battery?.isEnabled() ? battery.settings.capacity : 0);
         
-        // Trees equivalent (1 tree absorbs ~21.77 kg CO2 per year)
-        this.environmentalImpact.treesEquivalent = this.environmentalImpact.co2Avoided / 21.77;
+        this.environmentalImpact = {
+            co2Avoided: this.emissions.yearlyAvoided,
+            treesEquivalent: this.emissions.treesEquivalent,
+            emissionsFactor: this.emissions.region?.factor || 0,
+            region: this.emissions.region?.name || null,
+            co2AvoidedLifetime: this.emissions.grossLifetime,
+            embodiedCarbon: this.emissions.embodied,
+            netLifetimeCo2: this.emissions.netLifetime,
+            carbonPaybackYears: this.emissions.carbonPaybackYears
+        };
     }
 
     updateDisplay() {
         // Update main stats cards
-        this.updateStatCard('roofAreaStat', this.formatNumber(this.roofArea, 0));
+        const units = window.unitSystem;
+        this.updateStatCard('roofAreaStat', this.formatNumber(units ? units.toDisplay(this.roofArea, 'area') : this.roofArea, 0));
         this.updateStatCard('panelCountStat', this.panelCount);
         this.updateStatCard('powerOutputStat', this.formatNumber(this.totalPower / 1000, 1));
         this.updateStatCard('efficiencyStat', this.formatNumber(this.averageEfficiency * 100, 1));
@@ -138,7 +724,9 @@ class StatsCalculator {
         }
     }
 
+    // Locale and currency come from the project settings
     formatNumber(number, decimals = 2) {
+        if (window.localeManager) return window.localeManager.formatNumber(number, decimals);
         if (isNaN(number) || number === null || number === undefined) return '0';
         return number.toLocaleString('en-CA', {
             minimumFractionDigits: decimals,
@@ -147,6 +735,7 @@ class StatsCalculator {
     }
 
     formatCurrency(amount, decimals = 0) {
+        if (window.localeManager) return window.localeManager.formatCurrency(amount, decimals);
         return new Intl.NumberFormat('en-CA', {
             style: 'currency',
             currency: 'CAD',
@@ -167,45 +756,75 @@ class StatsCalculator {
             energyProduction: {
                 daily: this.energyProduction.daily,
                 monthly: this.energyProduction.monthly,
-                yearly: this.energyProduction.yearly
+                yearly: this.energyProduction.yearly,
+                monthlyTotals: this.energyProduction.monthlyTotals
+            },
+            losses: {
+                settings: window.lossModel?.exportSettings() || null,
+                waterfall: this.calculateLossWaterfall(),
+                snow: this.snowResults
             },
             financials: {
                 monthlySavings: this.costSavings.monthly,
                 yearlySavings: this.costSavings.yearly,
                 lifetimeSavings: this.costSavings.lifetime,
                 paybackPeriod: this.calculatePaybackPeriod(),
-                roi: this.calculateROI()
+                roi: this.calculateROI(),
+                systemCost: this.getSystemCost(),
+                quote: this.quote,
+                projection: this.projection,
+                billing: this.billing
             },
+            currency: window.localeManager?.getExchangeInfo() || null,
+            consumption: this.energyBalance,
+            battery: this.batteryResults,
+            financing: this.financing ? {
+                settings: window.financialModel.exportSettings(),
+                cash: this.financing.cash,
+                loan: this.financing.loan,
+                lease: this.financing.lease,
+                ppa: this.financing.ppa
+            } : null,
             environmental: {
                 co2AvoidedYearly: this.environmentalImpact.co2Avoided,
-                co2AvoidedLifetime: this.environmentalImpact.co2Avoided * 25,
-                treesEquivalent: this.environmentalImpact.treesEquivalent
+                co2AvoidedLifetime: this.emissions ? this.emissions.grossLifetime : 0,
+                embodiedCarbon: this.emissions ? this.emissions.embodied : 0,
+                netLifetimeCo2: this.emissions ? this.emissions.netLifetime : 0,
+                carbonPaybackYears: this.emissions ? this.emissions.carbonPaybackYears : null,
+                treesEquivalent: this.environmentalImpact.treesEquivalent,
+                region: this.emissions?.region || null,
+                regionSource: this.emissions?.regionSource || null,
+                trajectory: this.emissions?.trajectory || null,
+                settings: window.emissionsModel?.exportSettings() || null,
+                annual: this.emissions?.annual || []
             },
             technical: {
                 panelDetails: this.analyzePanelPerformance(),
+                module: window.moduleCatalog?.getSelectedModule() || null,
+                electrical: this.calculateElectricalSummary(),
+                stringDesign: window.electricalDesigner?.getDesign() || null,
+                architecture: this.architectureResults,
+                facetProduction: this.calculateFacetProduction(),
                 roofUtilization: this.calculateRoofUtilization(),
                 seasonalProduction: this.calculateSeasonalProduction()
             }
         };
     }
 
+    // First year in which cumulative cash flow turns positive; null if it never does in the projection
     calculatePaybackPeriod() {
         if (this.costSavings.yearly === 0) return 0;
         
-        // Estimate system cost (CAD per watt installed)
-        const costPerWatt = 3.50; // Alberta average
-        const systemCost = (this.totalPower / 1000) * 1000 * costPerWatt;
-        
-        // Calculate payback period in years
-        return systemCost / this.costSavings.yearly;
+        const paybackYear = this.projection.find(row => row.year > 0 && row.cumulativeCashFlow >= 0);
+        return paybackYear ? paybackYear.year : null;
     }
 
     calculateROI() {
-        const paybackPeriod = this.calculatePaybackPeriod();
-        if (paybackPeriod === 0 || paybackPeriod > 25) return 0;
+        if (this.costSavings.yearly === 0) return 0;
         
-        // ROI over 25 years
-        const systemCost = (this.totalPower / 1000) * 1000 * 3.50;
+        // ROI over the projection period; undefined once rebates bring the cost to nothing
+        const systemCost = this.getSystemCost();
+        if (systemCost <= 0) return null;
         const totalReturn = this.costSavings.lifetime;
         
         return ((totalReturn - systemCost) / systemCost) * 100;
@@ -216,6 +835,7 @@ class StatsCalculator {
         
         const efficiencies = this.panelData.map(panel => panel.efficiency || 0);
         const powers = this.panelData.map(panel => panel.power || 0);
+        const access = window.shadingAnalyzer?.summarizeAccess(this.panelData);
         
         return {
             minEfficiency: Math.min(...efficiencies),
@@ -224,38 +844,110 @@ class StatsCalculator {
             minPower: Math.min(...powers),
             maxPower: Math.max(...powers),
             avgPower: powers.reduce((a, b) => a + b, 0) / powers.length,
+            minSolarAccess: access ? access.min : 100,
+            avgSolarAccess: access ? access.average : 100,
+            shadedPanels: access ? access.shadedPanels : 0,
             totalPanels: this.panelData.length
         };
     }
 
+    calculateElectricalSummary() {
+        const catalog = window.moduleCatalog;
+        const module = catalog?.getSelectedModule();
+        if (!module || this.panelCount === 0) return null;
+        
+        // Cell temperature extremes from the hourly simulation, or STC when no weather is loaded
+        const temperatures = (this.simulation?.hourly || [])
+            .map(hour => hour.cellTemperature)
+            .filter(temperature => temperature !== null);
+        const coldest = temperatures.length > 0 ? Math.min(...temperatures) : 25;
+        const hottest = temperatures.length > 0 ? Math.max(...temperatures) : 25;
+        
+        return {
+            moduleVoc: module.voc,
+            moduleIsc: module.isc,
+            moduleVmp: module.vmp,
+            moduleImp: module.imp,
+            minCellTemperature: coldest,
+            maxCellTemperature: hottest,
+            maxModuleVoc: catalog.getElectricalAtTemperature(coldest, module).voc,
+            minModuleVmp: catalog.getElectricalAtTemperature(hottest, module).vmp,
+            arrayIsc: module.isc * this.panelCount,
+            arrayImp: module.imp * this.panelCount
+        };
+    }
+
+    calculateFacetProduction() {
+        if (!this.simulation) return [];
+        
+        // Aggregate orientation groups back to the roof facets they came from
+        const facets = {};
+        this.simulation.orientations.forEach(group => {
+            if (!facets[group.facetId]) {
+                const facet = window.roofDetector?.getFacet(group.facetId);
+                facets[group.facetId] = {
+                    facetId: group.facetId,
+                    name: facet?.name || group.facetId,
+                    pitch: group.tilt,
+                    azimuth: group.azimuth,
+                    panelCount: 0,
+                    power: 0,
+                    yearly: 0
+                };
+            }
+            facets[group.facetId].panelCount += group.count;
+            facets[group.facetId].power += group.power;
+            facets[group.facetId].yearly += group.yearly;
+        });
+        
+        return Object.values(facets).map(facet => ({
+            ...facet,
+            specificYield: facet.power > 0 ? facet.yearly / (facet.power / 1000) : 0, // kWh/kWp
+            share: this.energyProduction.yearly > 0 ? (facet.yearly / this.energyProduction.yearly) * 100 : 0
+        }));
+    }
+
     calculateRoofUtilization() {
         if (this.roofArea === 0) return 0;
         
-        // Estimate panel area
-        const panelSpecs = window.panelPlacer?.panelSpecs || { width: 5.4, height: 3.25 };
-        const singlePanelArea = panelSpecs.width * panelSpecs.height;
-        const totalPanelArea = this.panelCount * singlePanelArea;
+        // Roof area is measured in plan, so compare it with the panels' plan footprints
+        const panels = window.panelPlacer?.getPanels() || [];
+        const totalPanelArea = panels.reduce((total, panel) =>
+            total + window.localProjection.polygonArea(panel.localCorners), 0);
         
         return (totalPanelArea / this.roofArea) * 100;
     }
 
     calculateSeasonalProduction() {
-        const baseDaily = this.energyProduction.daily;
+        const monthlyTotals = this.energyProduction.monthlyTotals || new Array(12).fill(0);
+        const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        const daysInMonth = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
         
-        // Seasonal factors for Calgary
         const seasons = {
-            winter: { factor: 0.6, months: ['Dec', 'Jan', 'Feb'] },
-            spring: { factor: 1.1, months: ['Mar', 'Apr', 'May'] },
-            summer: { factor: 1.3, months: ['Jun', 'Jul', 'Aug'] },
-            fall: { factor: 0.9, months: ['Sep', 'Oct', 'Nov'] }
+            winter: [11, 0, 1],
+            spring: [2, 3, 4],
+            summer: [5, 6, 7],
+            fall: [8, 9, 10]
         };
         
+        const snow = this.snowResults;
+        
         const seasonalData = {};
         Object.keys(seasons).forEach(season => {
+            const months = seasons[season];
+            const total = months.reduce((sum, month) => sum + monthlyTotals[month], 0);
+            const days = months.reduce((sum, month) => sum + daysInMonth[month], 0);
+            const snowLoss = snow ? months.reduce((sum, month) => sum + snow.monthlyLoss[month], 0) : 0;
+            
             seasonalData[season] = {
-                dailyAverage: baseDaily * seasons[season].factor,
-                monthlyAverage: baseDaily * seasons[season].factor * 30,
-                months: seasons[season].months
+                total: total,
+                dailyAverage: total / days,
+                monthlyAverage: total / months.length,
+                months: months.map(month => monthNames[month]),
+                // Production already excludes snow; this is what snow cover took
+                snowLoss: snowLoss,
+                snowLossPercent: total + snowLoss > 0 ? snowLoss / (total + snowLoss) * 100 : 0,
+                snowCoveredDays: snow ? months.reduce((sum, month) => sum + snow.coveredDays[month], 0) : 0
             };
         });
         
@@ -272,30 +964,202 @@ class StatsCalculator {
                 averageEfficiency: this.averageEfficiency
             },
             energyProduction: this.energyProduction,
+            architecture: this.architecture,
             costSavings: this.costSavings,
+            projection: this.projection,
             environmentalImpact: this.environmentalImpact,
             detailedReport: this.generateDetailedReport()
         };
     }
 
+    // Calendar year matching the 8760-hour reference year: not a leap year, starting on the tariff weekday
+    getReferenceYear() {
+        const startDay = window.tariffEngine?.referenceYearStartDay ?? 0;
+        for (let year = 2023; ; year++) {
+            const leap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+            if (!leap && new Date(Date.UTC(year, 0, 1)).getUTCDay() === startDay) return year;
+        }
+    }
+
+    // Full hourly time series with a header describing the inputs; null until panels are simulated
+    exportHourlyData() {
+        const simulation = this.simulation;
+        if (!simulation) return null;
+
+        const results = this.architectureResults;
+        const dcFactor = results && results.idealYearly > 0 ? results.dcYearly / results.idealYearly : 1;
+        const dcDerate = window.lossModel ? window.lossModel.getDcDerate() : 0.85;
+
+        // Flows across the meter include the battery when one is dispatched
+        const balance = this.energyBalance?.hourly;
+        const battery = this.batteryResults?.series;
+        const gridImport = battery ? battery.gridImport : balance?.gridImport;
+        const gridExport = battery ? battery.gridExport : balance?.gridExport;
+
+        // Each hour is valued at its period's first-tier import and export rates; tiers, demand
+        // charges and credit banking only settle monthly, so they stay in the bill totals
+        const tariffs = window.tariffEngine;
+        const tariff = tariffs?.getSelectedTariff();
+        const importRates = tariff ? tariffs.getHourlyPrices(tariff) : null;
+        const exportRates = tariff ? tariffs.getHourlyExportRates(tariff) : null;
+        const locale = window.localeManager;
+        const currency = locale ? locale.getDisplayCurrency() : 'CAD';
+        const toDisplay = (amount) => (locale ? locale.convert(amount, locale.settings.inputCurrency, currency) : amount);
+
+        const location = this.getSiteLocation();
+        const utcOffset = window.solarEngine.getUtcOffset(window.weatherManager?.getDataset());
+        const year = this.getReferenceYear();
+        const offset = `${utcOffset < 0 ? '-' : '+'}${String(Math.floor(Math.abs(utcOffset))).padStart(2, '0')}:${String(Math.round(Math.abs(utcOffset) % 1 * 60)).padStart(2, '0')}`;
+        const round = (value, decimals = 4) => (value === null || value === undefined ? null : Number(value.toFixed(decimals)));
+
+        const columns = [
+            { key: 'timestamp', unit: null, description: 'Start of the hour, local standard time' },
+            { key: 'sun_elevation', unit: 'deg', description: 'Solar elevation at mid-hour' },
+            { key: 'sun_azimuth', unit: 'deg', description: 'Solar azimuth at mid-hour, clockwise from north' },
+            { key: 'ghi', unit: 'W/m2', description: 'Global horizontal irradiance' },
+            { key: 'dni', unit: 'W/m2', description: 'Direct normal irradiance' },
+            { key: 'dhi', unit: 'W/m2', description: 'Diffuse horizontal irradiance' },
+            { key: 'ambient_temperature', unit: 'C', description: 'Air temperature (blank for clear-sky runs)' },
+            { key: 'poa_irradiance', unit: 'W/m2', description: 'Plane-of-array irradiance, weighted by array power' },
+            { key: 'cell_temperature', unit: 'C', description: 'Cell temperature, weighted by array power' },
+            { key: 'dc_power', unit: 'kW', description: 'DC output after DC losses, snow and mismatch (hour average)' },
+            { key: 'ac_power', unit: 'kW', description: 'AC output after the inverter (hour average)' },
+            { key: 'dc_loss', unit: 'kWh', description: 'Soiling, wiring, nameplate and other DC derates' },
+            { key: 'snow_loss', unit: 'kWh', description: 'Energy lost to modeled snow cover' },
+            { key: 'mismatch_loss', unit: 'kWh', description: 'Mismatch and string shading' },
+            { key: 'inverter_loss', unit: 'kWh', description: 'DC to AC conversion' },
+            { key: 'clipping_loss', unit: 'kWh', description: 'AC output above the inverter rating' },
+            { key: 'load', unit: 'kWh', description: 'Household usage' },
+            { key: 'grid_import', unit: 'kWh', description: 'Energy bought from the grid' },
+            { key: 'grid_export', unit: 'kWh', description: 'Energy sent to the grid' },
+            { key: 'bill_value', unit: currency, description: 'Avoided purchases plus export credit' }
+        ];
+
+        const rows = simulation.hourly.map((hour, index) => {
+            const month = String(hour.month + 1).padStart(2, '0');
+            const day = String(hour.day).padStart(2, '0');
+            const time = String(index % 24).padStart(2, '0');
+
+            const simulatedDc = hour.dcEnergy ?? hour.energy;
+            const snowLoss = hour.snowLoss || 0;
+            const dc = simulatedDc * dcFactor;
+
+            const load = balance ? balance.load[index] : null;
+            const imported = gridImport ? gridImport[index] : null;
+            const exported = gridExport ? gridExport[index] : null;
+            let billValue = null;
+            if (load !== null) {
+                const importRate = importRates ? this.fromTariffCurrency(importRates[index], tariff) : this.electricityRate;
+                const exportRate = exportRates ? this.fromTariffCurrency(exportRates[index], tariff) : this.electricityRate;
+                billValue = toDisplay((load - imported) * importRate + exported * exportRate);
+            }
+
+            return {
+                timestamp: `${year}-${month}-${day}T${time}:00:00${offset}`,
+                sun_elevation: round(hour.elevation, 2),
+                sun_azimuth: round(hour.azimuth, 2),
+                ghi: round(hour.ghi, 1),
+                dni: round(hour.dni, 1),
+                dhi: round(hour.dhi, 1),
+                ambient_temperature: round(hour.temperature, 1),
+                poa_irradiance: round(hour.poa, 1),
+                cell_temperature: round(hour.cellTemperature, 1),
+                dc_power: round(dc),
+                ac_power: round(hour.energy),
+                dc_loss: round(dcDerate > 0 ? (simulatedDc + snowLoss) * (1 / dcDerate - 1) : 0),
+                snow_loss: round(snowLoss),
+                mismatch_loss: round(simulatedDc - dc),
+                inverter_loss: round(dc - hour.energy - (hour.clipLoss || 0)),
+                clipping_loss: round(hour.clipLoss || 0),
+                load: round(load),
+                grid_import: round(imported),
+                grid_export: round(exported),
+                bill_value: round(billValue)
+            };
+        });
+
+        const sum = (key) => round(rows.reduce((total, row) => total + (row[key] || 0), 0), 2);
+        const module = window.moduleCatalog?.getSelectedModule();
+        const inverter = window.electricalDesigner?.getSelectedInverter();
+        const header = {
+            project: window.projectManager?.currentProject?.name || null,
+            exportedAt: new Date().toISOString(),
+            application: 'Solar Panel Roof Analyzer',
+            location: { lat: location.lat, lng: location.lng, address: location.address || null },
+            referenceYear: year,
+            utcOffset: utcOffset,
+            timeConvention: 'Hour-beginning local standard time; kW columns are the average over the hour and equal its kWh',
+            weatherSource: simulation.weatherSource,
+            system: {
+                panelCount: this.panelCount,
+                dcSizeKw: this.totalPower / 1000,
+                module: module ? `${module.manufacturer} ${module.model}` : null,
+                inverter: inverter ? `${inverter.manufacturer} ${inverter.model}` : null,
+                architecture: this.architecture,
+                arrays: simulation.orientations.map(group => ({
+                    tilt: group.tilt,
+                    azimuth: group.azimuth,
+                    panels: group.count,
+                    sizeKw: group.power / 1000
+                }))
+            },
+            losses: {
+                dcDerate: dcDerate,
+                ...(window.lossModel?.exportSettings() || {}),
+                snowModeled: !!window.snowModel?.enabled
+            },
+            usageSource: this.energyBalance?.source || null,
+            tariff: tariff ? tariff.name : null,
+            billValueBasis: 'First-tier import and export rates of each hour; billSavings is the difference in monthly bills, including tiers, demand charges and credit limits',
+            battery: this.batteryResults ? window.batteryModel.exportSettings() : null,
+            currency: locale ? locale.getExchangeInfo() : { displayCurrency: currency },
+            annual: {
+                dcKwh: sum('dc_power'),
+                acKwh: sum('ac_power'),
+                clippingKwh: sum('clipping_loss'),
+                loadKwh: sum('load'),
+                gridImportKwh: sum('grid_import'),
+                gridExportKwh: sum('grid_export'),
+                billValue: sum('bill_value'),
+                billSavings: round(toDisplay(this.costSavings.yearly), 2)
+            }
+        };
+
+        return { header: header, columns: columns, rows: rows };
+    }
+
     reset() {
         this.roofArea = 0;
         this.panelData = [];
         this.totalPower = 0;
         this.averageEfficiency = 0;
         this.panelCount = 0;
-        this.energyProduction = { daily: 0, monthly: 0, yearly: 0 };
+        this.energyProduction = { daily: 0, monthly: 0, yearly: 0, monthlyTotals: new Array(12).fill(0) };
+        this.simulation = null;
         this.costSavings = { monthly: 0, yearly: 0, lifetime: 0 };
+        this.projection = [];
+        this.financing = null;
+        this.quote = null;
         this.environmentalImpact = { co2Avoided: 0, treesEquivalent: 0 };
-        this.updateDisplay();
+        this.emissions = null;
+        this.architectureResults = null;
+        this.snowResults = null;
+        this.billing = null;
+        this.energyBalance = null;
+        this.batteryResults = null;
+        
+        // Redraws every panel and chart, which would otherwise still show the cleared design
+        this.recalculate();
     }
 
     // Comparison methods
     compareScenarios(scenarios) {
         return scenarios.map(scenario => {
+            // Computed off-page so the live stats panel keeps showing the current design
             const stats = new StatsCalculator();
-            stats.updateRoofArea(scenario.roofArea);
-            stats.updatePanelData(scenario.panels);
+            stats.roofArea = scenario.roofArea;
+            stats.setPanelData(scenario.panels);
+            stats.compute();
             
             return {
                 name: scenario.name,
@@ -336,37 +1200,27 @@ class StatsCalculator {
             paybackPeriod: {
                 current: currentStats.financials.paybackPeriod,
                 benchmark: benchmarks.paybackYears,
-                comparison: ((benchmarks.paybackYears / currentStats.financials.paybackPeriod) - 1) * 100
+                comparison: currentStats.financials.paybackPeriod
+                    ? ((benchmarks.paybackYears / currentStats.financials.paybackPeriod) - 1) * 100
+                    : null
             },
             roi: {
                 current: currentStats.financials.roi,
                 benchmark: benchmarks.roiPercent,
-                comparison: ((currentStats.financials.roi / benchmarks.roiPercent) - 1) * 100
+                comparison: currentStats.financials.roi !== null
+                    ? ((currentStats.financials.roi / benchmarks.roiPercent) - 1) * 100
+                    : null
             }
         };
     }
 
     // Real-time monitoring simulation
     simulateRealTimeProduction() {
-        if (this.totalPower === 0) return 0;
-        
-        const now = new Date();
-        const hour = now.getHours();
-        const month = now.getMonth();
-        
-        // Seasonal factor
-        const seasonalFactors = [0.6, 0.7, 0.9, 1.1, 1.2, 1.3, 1.3, 1.2, 1.0, 0.8, 0.6, 0.5];
-        const seasonalFactor = seasonalFactors[month];
-        
-        // Daily production curve (simplified)
-        let hourlyFactor = 0;
-        if (hour >= 6 && hour <= 18) {
-            const normalizedHour = (hour - 6) / 12; // 0 to 1
-            hourlyFactor = Math.sin(normalizedHour * Math.PI); // Bell curve
-        }
+        if (this.totalPower === 0 || !this.simulation) return 0;
         
-        // Current power output (kW)
-        const currentPower = (this.totalPower / 1000) * hourlyFactor * seasonalFactor * this.averageEfficiency;
+        // Energy over one hour in kWh equals the average power in kW for that hour
+        const hourOfYear = window.solarEngine.getHourOfYear(new Date());
+        const currentPower = this.simulation.hourly[hourOfYear]?.energy || 0;
         
         return Math.max(0, currentPower);
     }
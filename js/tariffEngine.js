@@ -0,0 +1,422 @@
+// js/tariffEngine.js
+//
+// Tariff format (JSON):
+//   fixedMonthlyCharge  currency per month
+//   seasons             [{ id, name, months: [1-12] }]; omitted means one season all year
+//   periods             [{ id, name, season?, days?: 'all'|'weekday'|'weekend', hours?: [[start, end)], rate | tiers }]
+//                       the first matching period prices an hour, so list a catch-all last;
+//                       tiers: [{ upTo: kWh per month, counted across all periods, rate }, ..., { rate }] (last tier open-ended)
+//   demandCharges       [{ name, rate: per kW of monthly peak, season?, periods?: [period ids] }]
+//   export              { mode: 'none'|'netBilling'|'netMetering', rate: 'retail'|number|{ periodId: rate },
+//                         rollover, payout (netBilling), trueUpRate (netMetering, per banked kWh at year end) }
+//                       net metering banks surplus kWh in one bank that offsets imports in any period
+class TariffEngine {
+    constructor() {
+        this.catalogUrl = 'data/tariffs.json';
+        this.tariffs = [];
+        this.selectedId = TariffEngine.getDefaults().selectedId;
+        this.daysInMonth = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+        // Hourly profiles follow a non-leap reference year starting on a Sunday (as 2023 does);
+        // statutory holidays are billed like ordinary days
+        this.referenceYearStartDay = 0;
+
+        this.exportModes = ['none', 'netBilling', 'netMetering'];
+    }
+
+    async loadCatalog(url = this.catalogUrl) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.addTariffs(this.parseCatalog(await response.json()), 'bundled');
+        } catch (error) {
+            console.error('Failed to load tariff library:', error);
+        }
+
+        this.renderTariffSelect();
+        return this.tariffs;
+    }
+
+    importCatalogFile(file) {
+        const reader = new FileReader();
+
+        reader.onload = (event) => {
+            try {
+                const tariffs = this.parseCatalog(JSON.parse(event.target.result));
+                const added = this.addTariffs(tariffs, 'imported');
+                this.renderTariffSelect();
+
+                window.projectManager?.markAsModified();
+                this.notify(`Imported ${added} tariff${added === 1 ? '' : 's'} from ${file.name}`, 'success');
+            } catch (error) {
+                console.error('Failed to import tariffs:', error);
+                this.notify(`Failed to import tariffs: ${error.message}`, 'error');
+            }
+        };
+
+        reader.readAsText(file);
+    }
+
+    // Accepts { tariffs: [...] }, a bare array, or a single tariff
+    parseCatalog(data) {
+        const entries = Array.isArray(data) ? data : (data.tariffs || [data]);
+        return entries.map((entry, index) => this.normalizeTariff(entry, index));
+    }
+
+    normalizeTariff(entry, index = 0) {
+        if (!entry.name) {
+            throw new Error(`Tariff ${index + 1} has no name`);
+        }
+        if (!Array.isArray(entry.periods) || entry.periods.length === 0) {
+            throw new Error(`Tariff "${entry.name}" has no energy periods`);
+        }
+
+        const number = (value, fallback) => {
+            const parsed = parseFloat(value);
+            return isNaN(parsed) ? fallback : parsed;
+        };
+
+        const seasons = (entry.seasons?.length ? entry.seasons : [{ id: 'all', name: 'All year', months: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] }])
+            .map(season => ({ id: String(season.id), name: season.name || String(season.id), months: season.months.map(Number) }));
+
+        const periods = entry.periods.map((period, periodIndex) => {
+            if (period.rate === undefined && !period.tiers?.length) {
+                throw new Error(`Period ${period.id || periodIndex + 1} of "${entry.name}" has no rate or tiers`);
+            }
+            if (period.season && !seasons.some(season => season.id === period.season)) {
+                throw new Error(`Period ${period.id || periodIndex + 1} of "${entry.name}" uses unknown season "${period.season}"`);
+            }
+
+            const tiers = period.tiers?.length
+                ? period.tiers.map(tier => ({ upTo: number(tier.upTo, null), rate: number(tier.rate, 0) }))
+                : [{ upTo: null, rate: number(period.rate, 0) }];
+
+            return {
+                id: String(period.id || `period-${periodIndex + 1}`),
+                name: period.name || String(period.id || `Period ${periodIndex + 1}`),
+                season: period.season || null,
+                days: period.days || 'all',
+                hours: period.hours || null,
+                tiers: tiers
+            };
+        });
+
+        const exportRules = entry.export || {};
+        const mode = this.exportModes.includes(exportRules.mode) ? exportRules.mode : 'none';
+
+        return {
+            id: entry.id || String(entry.name).toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+            name: String(entry.name),
+            utility: entry.utility || '',
+            region: entry.region || '',
+            currency: entry.currency || 'CAD',
+            fixedMonthlyCharge: number(entry.fixedMonthlyCharge, 0),
+            seasons: seasons,
+            periods: periods,
+            demandCharges: (entry.demandCharges || []).map(charge => ({
+                name: charge.name || 'Demand',
+                rate: number(charge.rate, 0),
+                season: charge.season || null,
+                periods: charge.periods || null
+            })),
+            export: {
+                mode: mode,
+                rate: exportRules.rate ?? 'retail',
+                rollover: exportRules.rollover !== false,
+                payout: !!exportRules.payout,
+                trueUpRate: number(exportRules.trueUpRate, 0)
+            }
+        };
+    }
+
+    addTariffs(tariffs, source) {
+        tariffs.forEach(tariff => {
+            const existing = this.tariffs.findIndex(t => t.id === tariff.id);
+            const entry = { ...tariff, source };
+            if (existing >= 0) {
+                this.tariffs[existing] = entry;
+            } else {
+                this.tariffs.push(entry);
+            }
+        });
+        return tariffs.length;
+    }
+
+    getTariffs() {
+        return this.tariffs;
+    }
+
+    getTariff(tariffId) {
+        return this.tariffs.find(tariff => tariff.id === tariffId) || null;
+    }
+
+    getSelectedTariff() {
+        return this.getTariff(this.selectedId);
+    }
+
+    selectTariff(tariffId) {
+        if (!this.getTariff(tariffId)) return false;
+
+        this.selectedId = tariffId;
+        this.renderTariffSelect();
+        window.statsCalculator?.recalculate();
+        return true;
+    }
+
+    // Calendar position of an hour of the reference year
+    getHourInfo(index) {
+        const dayOfYear = Math.floor(index / 24);
+        let month = 0;
+        let remaining = dayOfYear;
+        while (remaining >= this.daysInMonth[month]) {
+            remaining -= this.daysInMonth[month];
+            month++;
+        }
+        const weekday = (this.referenceYearStartDay + dayOfYear) % 7;
+        return { month: month, hour: index % 24, weekend: weekday === 0 || weekday === 6 };
+    }
+
+    getSeason(tariff, month) {
+        return tariff.seasons.find(season => season.months.includes(month + 1)) || tariff.seasons[0];
+    }
+
+    getPeriod(tariff, info) {
+        const season = this.getSeason(tariff, info.month);
+        return tariff.periods.find(period => {
+            if (period.season && period.season !== season.id) return false;
+            if (period.days === 'weekday' && info.weekend) return false;
+            if (period.days === 'weekend' && !info.weekend) return false;
+            if (period.hours && !period.hours.some(([start, end]) => info.hour >= start && info.hour < end)) return false;
+            return true;
+        }) || tariff.periods[tariff.periods.length - 1];
+    }
+
+    // Charge for kWh in one period, walking up its tiers from the kWh already billed that month
+    priceEnergy(period, kwh, billedKwh = 0) {
+        let remaining = kwh;
+        let previousLimit = 0;
+        let cost = 0;
+        for (const tier of period.tiers) {
+            if (remaining <= 0) break;
+            const limit = tier.upTo ?? Infinity; // The last tier is open-ended
+            const tierKwh = Math.min(remaining, Math.max(0, limit - Math.max(previousLimit, billedKwh)));
+            cost += tierKwh * tier.rate;
+            remaining -= tierKwh;
+            previousLimit = limit;
+        }
+        return cost;
+    }
+
+    // First-tier energy price of every hour, for dispatch decisions
+    getHourlyPrices(tariff) {
+        const prices = [];
+        for (let index = 0; index < 8760; index++) {
+            prices.push(this.getPeriod(tariff, this.getHourInfo(index)).tiers[0].rate);
+        }
+        return prices;
+    }
+
+    // Export credit rate of every hour
+    getHourlyExportRates(tariff) {
+        const rates = [];
+        for (let index = 0; index < 8760; index++) {
+            rates.push(this.getExportRate(tariff, this.getPeriod(tariff, this.getHourInfo(index))));
+        }
+        return rates;
+    }
+
+    getExportRate(tariff, period) {
+        const rate = tariff.export.rate;
+        if (typeof rate === 'number') return rate;
+        if (rate && typeof rate === 'object') return parseFloat(rate[period.id]) || 0;
+        return period.tiers[0].rate; // 'retail'
+    }
+
+    // Bills a year of hourly load and production (kWh, 8760 values each)
+    calculateBill(tariff, load, production = null) {
+        const exportRules = tariff.export;
+        const months = this.daysInMonth.map((days, month) => ({
+            month: month + 1,
+            importKwh: 0,
+            exportKwh: 0,
+            periods: {},
+            demand: {},
+            exportValue: 0
+        }));
+
+        load.forEach((hourLoad, index) => {
+            const info = this.getHourInfo(index);
+            const bill = months[info.month];
+            const period = this.getPeriod(tariff, info);
+            const net = hourLoad - (production ? production[index] || 0 : 0);
+            const imported = Math.max(0, net);
+            const exported = Math.max(0, -net);
+
+            bill.importKwh += imported;
+            bill.exportKwh += exported;
+            if (!bill.periods[period.id]) bill.periods[period.id] = { period: period, importKwh: 0, exportKwh: 0 };
+            bill.periods[period.id].importKwh += imported;
+            bill.periods[period.id].exportKwh += exported;
+            bill.exportValue += exported * this.getExportRate(tariff, period);
+
+            // Hourly energy stands in for demand (kW averaged over the hour)
+            tariff.demandCharges.forEach((charge, chargeIndex) => {
+                if (charge.season && charge.season !== this.getSeason(tariff, info.month).id) return;
+                if (charge.periods && !charge.periods.includes(period.id)) return;
+                bill.demand[chargeIndex] = Math.max(bill.demand[chargeIndex] || 0, imported);
+            });
+        });
+
+        let creditBank = 0; // currency, net billing
+        let kwhBank = 0; // kWh, net metering
+        const monthlyBills = months.map(bill => {
+            let energy = 0;
+            let credit = 0;
+
+            const periods = Object.values(bill.periods).map(({ period, importKwh, exportKwh }) => ({
+                period: period,
+                billedKwh: importKwh,
+                exportKwh: exportKwh
+            }));
+
+            if (exportRules.mode === 'netMetering') {
+                // Exports net against imports in the same period first; the surplus joins the bank
+                let available = kwhBank;
+                periods.forEach(entry => {
+                    const netted = Math.min(entry.billedKwh, entry.exportKwh);
+                    entry.billedKwh -= netted;
+                    available += entry.exportKwh - netted;
+                });
+
+                // Banked kWh then offset the dearest remaining imports, whatever their season
+                [...periods].sort((a, b) => b.period.tiers[0].rate - a.period.tiers[0].rate).forEach(entry => {
+                    const offset = Math.min(entry.billedKwh, available);
+                    entry.billedKwh -= offset;
+                    available -= offset;
+                });
+                kwhBank = exportRules.rollover ? available : 0;
+            }
+
+            // Tiers count the month's total, so each period picks up where the last one stopped
+            let billedKwh = 0;
+            periods.forEach(entry => {
+                energy += this.priceEnergy(entry.period, entry.billedKwh, billedKwh);
+                billedKwh += entry.billedKwh;
+            });
+
+            const demand = tariff.demandCharges.reduce((total, charge, chargeIndex) =>
+                total + charge.rate * (bill.demand[chargeIndex] || 0), 0);
+
+            if (exportRules.mode === 'netBilling') {
+                // Export credits offset energy and demand charges, never the fixed charge
+                const available = bill.exportValue + creditBank;
+                credit = Math.min(available, energy + demand);
+                creditBank = exportRules.rollover ? available - credit : 0;
+            }
+
+            return {
+                month: bill.month,
+                importKwh: bill.importKwh,
+                exportKwh: bill.exportKwh,
+                fixed: tariff.fixedMonthlyCharge,
+                energy: energy,
+                demand: demand,
+                credit: credit,
+                total: tariff.fixedMonthlyCharge + energy + demand - credit
+            };
+        });
+
+        // Year-end true-up of whatever credit is left
+        let payout = 0;
+        if (exportRules.mode === 'netBilling' && exportRules.payout) {
+            payout = creditBank;
+        } else if (exportRules.mode === 'netMetering') {
+            payout = kwhBank * exportRules.trueUpRate;
+        }
+
+        const sum = (key) => monthlyBills.reduce((total, bill) => total + bill[key], 0);
+        return {
+            tariffId: tariff.id,
+            months: monthlyBills,
+            annual: {
+                importKwh: sum('importKwh'),
+                exportKwh: sum('exportKwh'),
+                fixed: sum('fixed'),
+                energy: sum('energy'),
+                demand: sum('demand'),
+                credit: sum('credit'),
+                payout: payout,
+                total: sum('total') - payout
+            }
+        };
+    }
+
+    // Bill before and after solar for the selected tariff
+    calculateSavings(load, production, tariff = this.getSelectedTariff()) {
+        if (!tariff) return null;
+
+        const before = this.calculateBill(tariff, load);
+        const after = this.calculateBill(tariff, load, production);
+        return {
+            tariff: { id: tariff.id, name: tariff.name, currency: tariff.currency },
+            before: before,
+            after: after,
+            monthlySavings: before.months.map((bill, month) => bill.total - after.months[month].total),
+            yearlySavings: before.annual.total - after.annual.total
+        };
+    }
+
+    renderTariffSelect() {
+        const select = typeof document !== 'undefined' && document.getElementById('tariffSelect');
+        if (!select) return;
+
+        select.innerHTML = this.tariffs.map(tariff => `
+            <option value="${tariff.id}" ${tariff.id === this.selectedId ? 'selected' : ''}>
+                ${tariff.name}${tariff.region ? ` (${tariff.region})` : ''}
+            </option>
+        `).join('');
+    }
+
+    // Selection of a fresh instance, for new projects
+    static getDefaults() {
+        return { selectedId: 'ab-flat-microgen' };
+    }
+
+    exportData() {
+        return {
+            selectedId: this.selectedId,
+            selectedTariff: this.getSelectedTariff(),
+            importedTariffs: this.tariffs.filter(tariff => tariff.source === 'imported')
+        };
+    }
+
+    importData(data) {
+        if (!data) return;
+
+        if (data.importedTariffs?.length) {
+            this.addTariffs(data.importedTariffs, 'imported');
+        }
+
+        // Keep the project's tariff even if the library it came from is gone
+        if (data.selectedTariff && !this.getTariff(data.selectedTariff.id)) {
+            this.addTariffs([data.selectedTariff], 'project');
+        }
+
+        if (data.selectedId) {
+            this.selectedId = data.selectedId;
+        }
+
+        this.renderTariffSelect();
+    }
+
+    notify(message, type) {
+        if (window.solarApp) {
+            window.solarApp.showNotification(message, type);
+        }
+    }
+}
+
+// Global instance
+window.tariffEngine = new TariffEngine();
@@ -0,0 +1,127 @@
+// js/unitSystem.js
+//
+// Stored values never change units: lengths are feet, areas square feet, snowfall centimetres
+// and temperatures °C. Inputs and displays convert through here.
+class UnitSystem {
+    constructor() {
+        this.units = 'imperial'; // 'imperial' or 'metric'
+
+        // display = stored × factor + offset
+        this.quantities = {
+            length: {
+                imperial: { label: 'ft', factor: 1 },
+                metric: { label: 'm', factor: 0.3048 }
+            },
+            area: {
+                imperial: { label: 'sq ft', factor: 1 },
+                metric: { label: 'm²', factor: 0.09290304 }
+            },
+            shortLength: { // setbacks and clearances stored in feet, shown in smaller units
+                imperial: { label: 'in', factor: 12 },
+                metric: { label: 'cm', factor: 30.48 }
+            },
+            snowfall: {
+                imperial: { label: 'in', factor: 1 / 2.54 },
+                metric: { label: 'cm', factor: 1 }
+            },
+            temperature: {
+                imperial: { label: '°F', factor: 1.8, offset: 32 },
+                metric: { label: '°C', factor: 1, offset: 0 }
+            }
+        };
+    }
+
+    setUnits(units) {
+        if (units !== 'imperial' && units !== 'metric') return;
+
+        this.units = units;
+        if (window.projectManager?.currentProject) {
+            window.projectManager.currentProject.settings.units = units;
+            window.projectManager.markAsModified();
+        }
+        this.refresh();
+    }
+
+    getUnits() {
+        return this.units;
+    }
+
+    getDefinition(quantity) {
+        return this.quantities[quantity][this.units];
+    }
+
+    label(quantity) {
+        return this.getDefinition(quantity).label;
+    }
+
+    toDisplay(value, quantity) {
+        const definition = this.getDefinition(quantity);
+        return value * definition.factor + (definition.offset || 0);
+    }
+
+    fromDisplay(value, quantity) {
+        const definition = this.getDefinition(quantity);
+        return (parseFloat(value) - (definition.offset || 0)) / definition.factor;
+    }
+
+    // Plain rounded number for input fields, which don't take grouping separators
+    inputValue(value, quantity, decimals = 2) {
+        const scale = Math.pow(10, decimals);
+        return Math.round(this.toDisplay(value, quantity) * scale) / scale;
+    }
+
+    format(value, quantity, decimals = 1) {
+        const display = this.toDisplay(value, quantity);
+        const number = window.localeManager
+            ? window.localeManager.formatNumber(display, decimals)
+            : display.toFixed(decimals);
+        const label = this.label(quantity);
+        return label.startsWith('°') ? `${number}${label}` : `${number} ${label}`;
+    }
+
+    // Redraw every input and display that shows a converted value
+    refresh() {
+        this.updateStaticLabels();
+        window.roofDetector?.renderFacetList();
+        window.roofDetector?.renderKeepoutList();
+        window.snowModel?.renderSnowInputs();
+        window.electricalDesigner?.renderDesign();
+        window.statsCalculator?.updateDisplay();
+
+        // Fire code messages quote setback distances
+        const placer = window.panelPlacer;
+        if (window.fireCodeRules && placer?.roofBoundary) {
+            window.fireCodeRules.checkLayout(placer.getPanels(), placer.getFacets());
+        }
+    }
+
+    // Fixed page labels carry data-unit="<quantity>"; the setback field shows its stored value converted
+    updateStaticLabels() {
+        if (typeof document === 'undefined') return;
+
+        document.querySelectorAll('[data-unit]').forEach(element => {
+            element.textContent = this.label(element.dataset.unit);
+        });
+
+        const setback = document.getElementById('edgeSetback');
+        if (setback && window.panelPlacer) {
+            setback.value = this.inputValue(window.panelPlacer.edgeSetback, 'length');
+            setback.step = this.units === 'metric' ? 0.1 : 0.5;
+        }
+
+        const select = document.getElementById('unitsSelect');
+        if (select) select.value = this.units;
+    }
+
+    exportSettings() {
+        return this.units;
+    }
+
+    importSettings(units) {
+        this.units = units === 'metric' ? 'metric' : 'imperial';
+        this.refresh();
+    }
+}
+
+// Global instance
+window.unitSystem = new UnitSystem();
@@ -0,0 +1,261 @@
+// js/weatherManager.js
+class WeatherManager {
+    constructor() {
+        this.dataset = null;
+        this.hoursPerYear = 8760;
+
+        // Site standard time, hours from UTC. A project value overrides the weather file's zone;
+        // with neither, the zone is estimated from the site's longitude
+        this.utcOffset = null;
+    }
+
+    importWeatherFile(file) {
+        const reader = new FileReader();
+
+        reader.onload = (event) => {
+            try {
+                const dataset = this.parseWeatherFile(event.target.result, file.name);
+                this.setDataset(dataset);
+
+                window.projectManager?.markAsModified();
+                this.notify(`Weather data loaded: ${dataset.name} (${dataset.source})`, 'success');
+            } catch (error) {
+                console.error('Failed to import weather file:', error);
+                this.notify(`Failed to import weather file: ${error.message}`, 'error');
+            }
+        };
+
+        reader.readAsText(file);
+    }
+
+    parseWeatherFile(text, fileName = '') {
+        const firstLine = text.slice(0, text.indexOf('\n')).trim();
+
+        if (firstLine.toUpperCase().startsWith('LOCATION')) {
+            return this.parseEPW(text, fileName);
+        }
+
+        return this.parseTMY3(text, fileName);
+    }
+
+    parseEPW(text, fileName) {
+        const lines = text.split(/\r?\n/);
+        const header = lines[0].split(',');
+
+        // LOCATION,City,State,Country,Source,WMO,Latitude,Longitude,TimeZone,Elevation
+        const location = {
+            city: header[1],
+            region: header[2],
+            country: header[3],
+            lat: parseFloat(header[6]),
+            lng: parseFloat(header[7]),
+            timezone: parseFloat(header[8]),
+            elevation: parseFloat(header[9])
+        };
+
+        // Data starts after the 8 header records
+        const rows = lines.slice(8)
+            .filter(line => line.trim().length > 0)
+            .map(line => line.split(','))
+            .map(fields => ({
+                month: parseInt(fields[1], 10),
+                day: parseInt(fields[2], 10),
+                hour: parseInt(fields[3], 10), // 1-24, hour ending
+                temperature: parseFloat(fields[6]),
+                relativeHumidity: parseFloat(fields[8]),
+                ghi: parseFloat(fields[13]),
+                dni: parseFloat(fields[14]),
+                dhi: parseFloat(fields[15]),
+                windSpeed: parseFloat(fields[21]),
+                snowDepth: parseFloat(fields[30]) // cm, 999 when missing
+            }));
+
+        return this.buildDataset(rows, location, 'EPW', fileName);
+    }
+
+    parseTMY3(text, fileName) {
+        const lines = text.split(/\r?\n/);
+        const meta = lines[0].split(',');
+
+        // USAF,Name,State,TZ,Latitude,Longitude,Elevation
+        const location = {
+            city: meta[1]?.replace(/"/g, ''),
+            region: meta[2],
+            country: 'USA',
+            lat: parseFloat(meta[4]),
+            lng: parseFloat(meta[5]),
+            timezone: parseFloat(meta[3]),
+            elevation: parseFloat(meta[6])
+        };
+
+        const columns = lines[1].split(',').map(column => column.trim());
+        const findColumn = (prefix, optional = false) => {
+            const index = columns.findIndex(column => column.startsWith(prefix));
+            if (index < 0 && !optional) {
+                throw new Error(`TMY3 column "${prefix}" not found`);
+            }
+            return index;
+        };
+
+        const dateCol = findColumn('Date');
+        const timeCol = findColumn('Time');
+        const ghiCol = findColumn('GHI (W/m^2)');
+        const dniCol = findColumn('DNI (W/m^2)');
+        const dhiCol = findColumn('DHI (W/m^2)');
+        const tempCol = findColumn('Dry-bulb');
+        const windCol = findColumn('Wspd');
+        const humidityCol = findColumn('RHum', true);
+
+        const rows = lines.slice(2)
+            .filter(line => line.trim().length > 0)
+            .map(line => line.split(','))
+            .map(fields => {
+                const [month, day] = fields[dateCol].split('/').map(value => parseInt(value, 10));
+                return {
+                    month: month,
+                    day: day,
+                    hour: parseInt(fields[timeCol], 10), // 1-24, hour ending
+                    temperature: parseFloat(fields[tempCol]),
+                    ghi: parseFloat(fields[ghiCol]),
+                    dni: parseFloat(fields[dniCol]),
+                    dhi: parseFloat(fields[dhiCol]),
+                    windSpeed: parseFloat(fields[windCol]),
+                    relativeHumidity: humidityCol >= 0 ? parseFloat(fields[humidityCol]) : NaN,
+                    snowDepth: NaN // TMY3 has no snow records
+                };
+            });
+
+        return this.buildDataset(rows, location, 'TMY3', fileName);
+    }
+
+    buildDataset(rows, location, source, fileName) {
+        // Typical years are non-leap; drop Feb 29 if the source year includes it
+        const hours = rows.filter(row => !(row.month === 2 && row.day === 29));
+
+        if (hours.length !== this.hoursPerYear) {
+            throw new Error(`Expected ${this.hoursPerYear} hourly records, found ${hours.length}`);
+        }
+        if (isNaN(location.lat) || isNaN(location.lng)) {
+            throw new Error('Weather file has no valid latitude/longitude');
+        }
+
+        // Stored column-wise to keep saved projects compact
+        const clean = (value) => (isNaN(value) ? 0 : Math.max(0, value));
+        return {
+            name: location.city || fileName,
+            source: source,
+            fileName: fileName,
+            importedAt: new Date().toISOString(),
+            location: location,
+            ghi: hours.map(row => clean(row.ghi)),
+            dni: hours.map(row => clean(row.dni)),
+            dhi: hours.map(row => clean(row.dhi)),
+            temperature: hours.map(row => (isNaN(row.temperature) ? 20 : row.temperature)),
+            windSpeed: hours.map(row => (isNaN(row.windSpeed) ? 1 : row.windSpeed)),
+            relativeHumidity: hours.map(row => (isNaN(row.relativeHumidity) ? null : row.relativeHumidity)),
+            snowDepth: hours.map(row => (isNaN(row.snowDepth) || row.snowDepth >= 999 ? null : row.snowDepth))
+        };
+    }
+
+    setDataset(dataset) {
+        const previousOffset = this.getUtcOffset();
+        this.dataset = dataset;
+
+        this.refreshForUtcOffset(previousOffset);
+        window.snowModel?.renderSnowInputs();
+        this.renderUtcOffsetInput();
+    }
+
+    clearDataset() {
+        this.setDataset(null);
+    }
+
+    getDataset() {
+        return this.dataset;
+    }
+
+    getUtcOffset(dataset = this.dataset, lng = this.getSiteLongitude(dataset)) {
+        if (this.utcOffset !== null) return this.utcOffset;
+
+        const zone = dataset?.location?.timezone;
+        return Number.isFinite(zone) ? zone : Math.round(lng / 15);
+    }
+
+    getSiteLongitude(dataset = this.dataset) {
+        const location = window.statsCalculator?.getSiteLocation() || dataset?.location;
+        return location ? location.lng : 0;
+    }
+
+    // Blank clears the project value so the weather file's zone applies again
+    setUtcOffset(value) {
+        const previousOffset = this.getUtcOffset();
+        const offset = parseFloat(value);
+        this.utcOffset = isNaN(offset) || offset < -12 || offset > 14 ? null : offset;
+
+        this.renderUtcOffsetInput();
+        this.refreshForUtcOffset(previousOffset);
+    }
+
+    // Panel shade is kept by clock hour, so a new offset means shading the panels again
+    refreshForUtcOffset(previousOffset) {
+        if (this.getUtcOffset() !== previousOffset) {
+            window.panelPlacer?.applyShadingAnalysis();
+        }
+        window.statsCalculator?.recalculate();
+    }
+
+    renderUtcOffsetInput() {
+        const input = typeof document !== 'undefined' && document.getElementById('utcOffsetInput');
+        if (!input) return;
+
+        const zone = this.dataset?.location?.timezone;
+        input.value = this.utcOffset ?? '';
+        input.placeholder = this.getUtcOffset();
+
+        const source = document.getElementById('utcOffsetSource');
+        if (source) {
+            source.textContent = this.utcOffset !== null ? 'Set for this project'
+                : Number.isFinite(zone) ? 'From the weather file' : 'Estimated from longitude';
+        }
+    }
+
+    getHour(index) {
+        if (!this.dataset) return null;
+
+        return {
+            ghi: this.dataset.ghi[index],
+            dni: this.dataset.dni[index],
+            dhi: this.dataset.dhi[index],
+            temperature: this.dataset.temperature[index],
+            windSpeed: this.dataset.windSpeed[index]
+        };
+    }
+
+    getSummary() {
+        if (!this.dataset) return null;
+
+        const sum = (values) => values.reduce((total, value) => total + value, 0);
+        return {
+            name: this.dataset.name,
+            source: this.dataset.source,
+            fileName: this.dataset.fileName,
+            location: this.dataset.location,
+            annualGHI: sum(this.dataset.ghi) / 1000, // kWh/m²
+            averageTemperature: sum(this.dataset.temperature) / this.hoursPerYear
+        };
+    }
+
+    // Export data
+    exportWeatherData() {
+        return this.dataset;
+    }
+
+    notify(message, type) {
+        if (window.solarApp) {
+            window.solarApp.showNotification(message, type);
+        }
+    }
+}
+
+// Global instance
+window.weatherManager = new WeatherManager();